@@ -0,0 +1,246 @@
+/**
+ * Signing proxy for Delta Exchange private (authenticated) REST endpoints.
+ *
+ * The browser calls /api/delta-private/:env/<path>; this handler adds the
+ * api-key / timestamp / signature headers and forwards the request upstream.
+ * Keys never reach the browser — they are read from the server environment:
+ *
+ *   DELTA_<ENV>_API_KEY, DELTA_<ENV>_API_SECRET   e.g. DELTA_TESTNET_API_KEY
+ *   DELTA_<ENV>_UPSTREAM                          optional upstream override,
+ *                                                 e.g. the local signature stub
+ *   DELTA_PROXY_TOKEN                             access token callers must send
+ *                                                 in the PROXY_TOKEN_HEADER header
+ *   DELTA_ALLOW_PROD_ORDERS=true                  allow ORDER_ROUTES outside testnet
+ *
+ * The proxy signs on behalf of whoever calls it, so nothing is signed until
+ * the caller presents DELTA_PROXY_TOKEN — on Vercel and the local dev /
+ * preview server alike; without a token configured it refuses. Requests from
+ * other sites (Origin / Sec-Fetch-Site) and non-JSON bodies are refused too,
+ * and responses carry no CORS headers, so a page elsewhere cannot drive it.
+ * Only the allowlisted routes in PRIVATE_ROUTES are forwarded; order
+ * placement, edits and cancels are limited to testnet unless enabled above.
+ *
+ * Signature (Delta API v2): hex HMAC-SHA256 with the secret over
+ *   method + timestamp + path + query_string + body
+ * where query_string includes its leading '?' and timestamp is Unix seconds.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/** Mount point of the signing proxy on the app origin */
+export const PRIVATE_PROXY_MOUNT = '/api/delta-private';
+
+/** Request header carrying the DELTA_PROXY_TOKEN access token */
+export const PROXY_TOKEN_HEADER = 'x-delta-proxy-token';
+
+/**
+ * Trading API hosts for signed requests. The public proxy's CDN mirrors
+ * (DELTA_UPSTREAMS) serve market data only and must not see signed traffic.
+ */
+export const PRIVATE_UPSTREAMS = {
+  prod:    'https://api.india.delta.exchange',
+  testnet: 'https://cdn-ind.testnet.deltaex.org',
+};
+
+/** Allowed "METHOD path" pairs */
+export const PRIVATE_ROUTES = new Set([
+  'GET v2/wallet/balances',
+  'GET v2/positions/margined',
+  'GET v2/orders',
+  'GET v2/fills',
+  'POST v2/orders',
+  'PUT v2/orders',
+  'DELETE v2/orders',
+]);
+
+/** Routes that change orders — testnet only by default */
+export const ORDER_ROUTES = new Set(['POST v2/orders', 'PUT v2/orders', 'DELETE v2/orders']);
+
+const USER_AGENT = 'delta-dashboard-signing-proxy';
+
+/**
+ * Hex HMAC-SHA256 signature of a request.
+ * path starts with '/', query is '' or '?a=1&b=2', body is the raw JSON string.
+ */
+export function signRequest({ secret, method, timestamp, path, query = '', body = '' }) {
+  return createHmac('sha256', secret).update(`${method}${timestamp}${path}${query}${body}`).digest('hex');
+}
+
+/** Credentials and upstream for an environment, or null when not configured. */
+function credentialsFor(env, vars = process.env) {
+  const prefix = `DELTA_${env.toUpperCase()}`;
+  const apiKey = vars[`${prefix}_API_KEY`];
+  const secret = vars[`${prefix}_API_SECRET`];
+  if (!apiKey || !secret) return null;
+  return { apiKey, secret, upstream: vars[`${prefix}_UPSTREAM`] || PRIVATE_UPSTREAMS[env] };
+}
+
+/** JSON response without CORS headers — the signing proxy is same-origin only. */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Why a request may not use the proxy, as [status, body], or null when
+ * allowed. headers are the incoming (lower-cased) request headers.
+ */
+function accessError(method, headers, vars = process.env) {
+  const fetchSite = headers['sec-fetch-site'];
+  let crossOrigin = fetchSite != null && fetchSite !== 'same-origin' && fetchSite !== 'none';
+  if (headers.origin) {
+    try {
+      crossOrigin ||= new URL(headers.origin).host !== headers.host;
+    } catch {
+      crossOrigin = true;   // "null" or garbage
+    }
+  }
+  if (crossOrigin) return [403, { error: 'Cross-origin request refused', origin: headers.origin ?? null }];
+
+  if (method !== 'GET' && method !== 'HEAD' && !/^application\/json\b/i.test(headers['content-type'] ?? '')) {
+    return [415, { error: 'Unsupported content type', message: 'send the request body as application/json' }];
+  }
+
+  const expected = vars.DELTA_PROXY_TOKEN;
+  if (!expected) {
+    return [503, { error: 'Proxy token not configured', message: 'set DELTA_PROXY_TOKEN on the server to enable the signing proxy' }];
+  }
+  const token = headers[PROXY_TOKEN_HEADER];
+  const ok = typeof token === 'string' && token.length === expected.length
+    && timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+  return ok ? null : [401, { error: 'Proxy token required', message: `send the DELTA_PROXY_TOKEN value in the ${PROXY_TOKEN_HEADER} header` }];
+}
+
+/**
+ * Sign one request and forward it upstream.
+ *
+ * env:    key into PRIVATE_UPSTREAMS
+ * path:   upstream path without leading slash, e.g. "v2/positions/margined"
+ * search: URLSearchParams to forward
+ * method: incoming HTTP method
+ * body:    raw request body ('' when none)
+ * headers: incoming request headers (token, origin and content-type checks)
+ * res:     Node ServerResponse (works for both Vercel and Vite/connect)
+ */
+export async function proxyPrivateRequest(
+  { env, path, search, method = 'GET', body = '', headers = {} },
+  res
+) {
+  if (method === 'OPTIONS') {
+    // No CORS headers: preflights from other origins fail
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+  const denied = accessError(method, headers);
+  if (denied) {
+    sendJson(res, ...denied);
+    return;
+  }
+  if (!PRIVATE_UPSTREAMS[env]) {
+    sendJson(res, 400, { error: 'Unknown environment', env, allowed: Object.keys(PRIVATE_UPSTREAMS) });
+    return;
+  }
+  if (!PRIVATE_ROUTES.has(`${method} ${path}`)) {
+    sendJson(res, 400, { error: 'Route not allowed', route: `${method} ${path}` });
+    return;
+  }
+  if (ORDER_ROUTES.has(`${method} ${path}`) && env !== 'testnet' && process.env.DELTA_ALLOW_PROD_ORDERS !== 'true') {
+    sendJson(res, 403, {
+      error:   'Trading disabled',
+      message: `orders are limited to testnet; set DELTA_ALLOW_PROD_ORDERS=true to trade on ${env}`,
+    });
+    return;
+  }
+  const creds = credentialsFor(env);
+  if (!creds) {
+    sendJson(res, 503, {
+      error:   'Private API not configured',
+      message: `set DELTA_${env.toUpperCase()}_API_KEY and DELTA_${env.toUpperCase()}_API_SECRET on the server`,
+    });
+    return;
+  }
+
+  const query     = search && [...search.keys()].length > 0 ? `?${search}` : '';
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = signRequest({ secret: creds.secret, method, timestamp, path: `/${path}`, query, body });
+
+  try {
+    const upstreamRes = await fetch(`${creds.upstream.replace(/\/$/, '')}/${path}${query}`, {
+      method,
+      headers: {
+        Accept:         'application/json',
+        'Content-Type': 'application/json',
+        'User-Agent':   USER_AGENT,
+        'api-key':      creds.apiKey,
+        timestamp,
+        signature,
+      },
+      ...(body ? { body } : {}),
+    });
+
+    const text = await upstreamRes.text();
+    res.statusCode = upstreamRes.status;
+    res.setHeader('Content-Type', upstreamRes.headers.get('Content-Type') ?? 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(text);
+  } catch (err) {
+    sendJson(res, 502, { error: 'Proxy error', message: err.message });
+  }
+}
+
+/** Raw body of a Node request ('' when empty). */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Vercel adapter: route params arrive in req.query; Vercel has already
+ * parsed a JSON body into req.body.
+ */
+export function vercelPrivateHandler(req, res) {
+  const { env, path, ...queryParams } = req.query;
+  const search = new URLSearchParams();
+  Object.entries(queryParams).forEach(([k, v]) => {
+    if (v === undefined || v === null) return;
+    (Array.isArray(v) ? v : [v]).forEach((item) => search.append(k, String(item)));
+  });
+  const pathStr = Array.isArray(path) ? path.join('/') : (path ?? '');
+  const body = typeof req.body === 'string' ? req.body : req.body ? JSON.stringify(req.body) : '';
+  return proxyPrivateRequest(
+    { env, path: pathStr, search, method: req.method, body, headers: req.headers },
+    res
+  );
+}
+
+/**
+ * Connect-style middleware for the Vite dev server, mounted at
+ * PRIVATE_PROXY_MOUNT (connect strips the mount prefix from req.url).
+ * Same checks as deployed: the dev server is reachable by any page the
+ * browser has open, so DELTA_PROXY_TOKEN is required here too.
+ */
+export async function deltaPrivateMiddleware(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const [, env, ...rest] = url.pathname.split('/');
+  let body = '';
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      sendJson(res, 400, { error: 'Unreadable request body', message: err.message });
+      return;
+    }
+  }
+  return proxyPrivateRequest(
+    { env, path: rest.join('/'), search: url.searchParams, method: req.method, body, headers: req.headers },
+    res
+  );
+}
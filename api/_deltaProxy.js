@@ -0,0 +1,113 @@
+/**
+ * Shared Delta Exchange REST proxy.
+ *
+ * One handler serves every upstream environment. The environment is taken
+ * from the route (/api/delta/:env/...) and resolved through an allowlist, so
+ * the proxy can never be pointed at an arbitrary host.
+ *
+ * Used by the Vercel function in api/delta/[env]/[...path].js and by the
+ * Vite dev-server middleware in vite.config.js, so dev and prod behave alike.
+ */
+
+export const DELTA_UPSTREAMS = {
+  prod:    'https://cdn.india.deltaex.org',
+  testnet: 'https://cdn-ind.testnet.deltaex.org',
+};
+
+/** Mount point of the proxy on the app origin */
+export const PROXY_MOUNT = '/api/delta';
+
+const USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36';
+
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Forward one request upstream and stream the answer back.
+ *
+ * env:    key into DELTA_UPSTREAMS
+ * path:   upstream path without leading slash, e.g. "v2/tickers"
+ * search: URLSearchParams to forward
+ * method: incoming HTTP method
+ * res:    Node ServerResponse (works for both Vercel and Vite/connect)
+ */
+export async function proxyDeltaRequest({ env, path, search, method = 'GET' }, res) {
+  if (method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.end();
+    return;
+  }
+  if (method !== 'GET' && method !== 'HEAD') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  const upstream = DELTA_UPSTREAMS[env];
+  if (!upstream) {
+    sendJson(res, 400, { error: 'Unknown environment', env, allowed: Object.keys(DELTA_UPSTREAMS) });
+    return;
+  }
+  // Only the public REST API is proxied
+  if (!/^v2\/[\w\-/]+$/.test(path ?? '')) {
+    sendJson(res, 400, { error: 'Path not allowed', path });
+    return;
+  }
+
+  const url = new URL(`${upstream}/${path}`);
+  search?.forEach((v, k) => url.searchParams.append(k, v));
+
+  try {
+    const upstreamRes = await fetch(url.toString(), {
+      method,
+      headers: { Accept: 'application/json', 'User-Agent': USER_AGENT },
+    });
+
+    const body = await upstreamRes.text();
+    res.statusCode = upstreamRes.status;
+    res.setHeader('Content-Type', upstreamRes.headers.get('Content-Type') ?? 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    // Pass rate-limit hints through so the client scheduler can back off
+    for (const h of ['Retry-After', 'X-RATE-LIMIT-RESET']) {
+      const v = upstreamRes.headers.get(h);
+      if (v != null) res.setHeader(h, v);
+    }
+    res.end(body);
+  } catch (err) {
+    sendJson(res, 502, { error: 'Proxy error', message: err.message });
+  }
+}
+
+/**
+ * Vercel adapter: the route params arrive in req.query alongside the
+ * forwarded query string.
+ */
+export function vercelDeltaHandler(req, res) {
+  const { env, path, ...queryParams } = req.query;
+  const search = new URLSearchParams();
+  Object.entries(queryParams).forEach(([k, v]) => {
+    if (v === undefined || v === null) return;
+    (Array.isArray(v) ? v : [v]).forEach((item) => search.append(k, String(item)));
+  });
+  const pathStr = Array.isArray(path) ? path.join('/') : (path ?? '');
+  return proxyDeltaRequest({ env, path: pathStr, search, method: req.method }, res);
+}
+
+/**
+ * Connect-style middleware for the Vite dev server, mounted at PROXY_MOUNT
+ * (connect strips the mount prefix from req.url).
+ */
+export function deltaProxyMiddleware(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const [, env, ...rest] = url.pathname.split('/');
+  return proxyDeltaRequest(
+    { env, path: rest.join('/'), search: url.searchParams, method: req.method },
+    res
+  );
+}
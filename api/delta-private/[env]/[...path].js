@@ -0,0 +1,7 @@
+/**
+ * Vercel serverless signing proxy → Delta Exchange private REST API.
+ * /api/delta-private/:env/* where :env is an allowlisted environment (see ../../_deltaPrivate.js).
+ */
+import { vercelPrivateHandler } from '../../_deltaPrivate.js';
+
+export default vercelPrivateHandler;
@@ -0,0 +1,7 @@
+/**
+ * Vercel serverless proxy → Delta Exchange REST API.
+ * /api/delta/:env/* where :env is an allowlisted environment (see ../../_deltaProxy.js).
+ */
+import { vercelDeltaHandler } from '../../_deltaProxy.js';
+
+export default vercelDeltaHandler;
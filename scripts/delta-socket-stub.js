@@ -0,0 +1,231 @@
+/**
+ * Local stand-in for Delta Exchange's public WebSocket feed — exercises
+ * streaming, reconnects and re-subscription without the real exchange.
+ *
+ *   npm run stub:socket                              # listens on :8788
+ *   VITE_DELTA_SOCKET_URL=ws://localhost:8788 npm run dev
+ *
+ * then turn on streaming in the app. Supported: subscribe / unsubscribe on
+ * the v2/ticker channel (answered with a "subscriptions" message),
+ * enable_heartbeat, and ticker pushes for every subscribed symbol.
+ *
+ * Forced disconnects, to watch the client back off, reconnect and resubscribe:
+ *   curl localhost:8788/disconnect    drop every connection now
+ *   curl localhost:8788/silence       keep connections open but stop all
+ *                                     traffic (trips the heartbeat watchdog)
+ *   DELTA_SOCKET_STUB_DROP_EVERY_S=60 drop every connection periodically
+ *
+ * Port and push interval: DELTA_SOCKET_STUB_PORT, DELTA_SOCKET_STUB_INTERVAL_MS.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT         = Number(process.env.DELTA_SOCKET_STUB_PORT ?? 8788);
+const INTERVAL_MS  = Number(process.env.DELTA_SOCKET_STUB_INTERVAL_MS ?? 1000);
+const DROP_EVERY_S = Number(process.env.DELTA_SOCKET_STUB_DROP_EVERY_S ?? 0);
+const HEARTBEAT_MS = 30000;   // Delta's heartbeat cadence
+const TICKER_CHANNEL = 'v2/ticker';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// ─── Frames (RFC 6455, text / close / ping only) ──────────────────────────────
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  const header = len < 126 ? Buffer.alloc(2) : len < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x80 | opcode;
+  if (len < 126) {
+    header[1] = len;
+  } else if (len < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/** Split complete client frames off buf. Returns { frames: [{ opcode, payload }], rest }. */
+function decodeFrames(buf) {
+  const frames = [];
+  let offset = 0;
+  while (buf.length - offset >= 2) {
+    const opcode = buf[offset] & 0x0f;
+    const masked = (buf[offset + 1] & 0x80) !== 0;
+    let len = buf[offset + 1] & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buf.length < pos + 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buf.length < pos + 8) break;
+      len = Number(buf.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < pos + maskLen + len) break;
+    const payload = Buffer.from(buf.subarray(pos + maskLen, pos + maskLen + len));
+    if (masked) {
+      const mask = buf.subarray(pos, pos + 4);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = pos + maskLen + len;
+  }
+  return { frames, rest: buf.subarray(offset) };
+}
+
+// ─── Tickers ──────────────────────────────────────────────────────────────────
+
+const SPOT = { BTC: 100000, ETH: 3500 };
+const quotes = new Map();   // symbol → { mark, oi } random walk
+
+function tickerFor(symbol) {
+  const [, type, asset, strike] = symbol.match(/^([CP])-(\w+)-(\d+)-\d{6}$/) ?? [];
+  const spot = SPOT[asset] ?? 100;
+  let q = quotes.get(symbol);
+  if (!q) {
+    const intrinsic = type === 'C' ? Math.max(0, spot - Number(strike)) : Math.max(0, Number(strike) - spot);
+    q = { mark: intrinsic + spot * 0.02, oi: 100 };
+    quotes.set(symbol, q);
+  }
+  q.mark = Math.max(spot * 0.0005, q.mark * (1 + (Math.random() - 0.5) * 0.01));
+  q.oi = Math.max(0, q.oi + Math.round((Math.random() - 0.5) * 4));
+  const mark = Number(q.mark.toFixed(1));
+  return {
+    type: TICKER_CHANNEL,
+    symbol,
+    timestamp: Date.now() * 1000,
+    mark_price: String(mark),
+    spot_price: String(spot),
+    close: String(Number((mark * (1 + (Math.random() - 0.5) * 0.02)).toFixed(1))),
+    oi: String(q.oi),
+    volume: String(Math.round(Math.random() * 50)),
+    quotes: {
+      best_bid: String(Number((mark * 0.98).toFixed(1))),
+      best_ask: String(Number((mark * 1.02).toFixed(1))),
+      bid_size: '10',
+      ask_size: '10',
+      bid_iv: '0.48',
+      ask_iv: '0.52',
+      mark_iv: '0.50',
+    },
+    greeks: {
+      delta: type === 'P' ? '-0.45' : '0.55', gamma: '0.00002', theta: '-45.2', vega: '38.1', rho: '2.1',
+    },
+  };
+}
+
+// ─── Connections ──────────────────────────────────────────────────────────────
+
+const clients = new Set();   // { socket, symbols: Set, heartbeat: bool, id }
+let nextClientId = 1;
+let silenced = false;
+
+function sendJson(client, msg) {
+  if (silenced || client.socket.destroyed) return;
+  client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(msg))));
+}
+
+function handleMessage(client, msg) {
+  const channels = msg.payload?.channels ?? [];
+  if (msg.type === 'enable_heartbeat') {
+    client.heartbeat = true;
+    return;
+  }
+  if (msg.type !== 'subscribe' && msg.type !== 'unsubscribe') return;
+  for (const ch of channels) {
+    if (ch.name !== TICKER_CHANNEL) continue;
+    for (const s of ch.symbols ?? []) {
+      if (msg.type === 'subscribe') client.symbols.add(s);
+      else client.symbols.delete(s);
+    }
+  }
+  console.log(`#${client.id} ${msg.type} ${channels.map((c) => `${c.name} [${(c.symbols ?? []).length}]`).join(', ')}`
+    + ` → ${client.symbols.size} symbols`);
+  sendJson(client, { type: 'subscriptions', channels: [{ name: TICKER_CHANNEL, symbols: [...client.symbols] }] });
+}
+
+function dropAll(reason) {
+  console.log(`dropping ${clients.size} connection(s): ${reason}`);
+  for (const c of clients) c.socket.destroy();
+}
+
+const server = createServer((req, res) => {
+  if (req.url === '/disconnect') {
+    dropAll('forced');
+    silenced = false;   // reconnecting clients get traffic again
+    res.end('disconnected\n');
+    return;
+  }
+  if (req.url === '/silence') {
+    silenced = !silenced;
+    console.log(silenced ? 'silenced — no pushes or heartbeats' : 'traffic resumed');
+    res.end(`${silenced ? 'silenced' : 'resumed'}\n`);
+    return;
+  }
+  res.statusCode = 426;
+  res.end('WebSocket endpoint\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n'
+    + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = { socket, symbols: new Set(), heartbeat: false, id: nextClientId++ };
+  clients.add(client);
+  console.log(`#${client.id} connected`);
+
+  let buffered = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([buffered, chunk]));
+    buffered = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === 0x8) {
+        socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+        continue;
+      }
+      if (opcode !== 0x1) continue;
+      try {
+        handleMessage(client, JSON.parse(payload.toString('utf8')));
+      } catch {
+        // ignore malformed messages, like the real feed
+      }
+    }
+  });
+  socket.on('close', () => {
+    clients.delete(client);
+    console.log(`#${client.id} closed`);
+  });
+  socket.on('error', () => {});
+});
+
+setInterval(() => {
+  for (const c of clients) {
+    for (const s of c.symbols) sendJson(c, tickerFor(s));
+  }
+}, INTERVAL_MS);
+
+setInterval(() => {
+  for (const c of clients) if (c.heartbeat) sendJson(c, { type: 'heartbeat' });
+}, HEARTBEAT_MS);
+
+if (DROP_EVERY_S > 0) setInterval(() => dropAll('scheduled'), DROP_EVERY_S * 1000);
+
+server.listen(PORT, () => {
+  console.log(`Delta socket stub on ws://localhost:${PORT} (curl localhost:${PORT}/disconnect to drop clients)`);
+});
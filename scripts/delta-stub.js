@@ -0,0 +1,173 @@
+/**
+ * Local stand-in for Delta Exchange's private REST API that verifies request
+ * signatures — exercises the signing proxy end to end without real keys.
+ *
+ *   npm run stub                      # listens on :8787
+ *   DELTA_TESTNET_API_KEY=stub-key DELTA_TESTNET_API_SECRET=stub-secret \
+ *   DELTA_TESTNET_UPSTREAM=http://localhost:8787 DELTA_PROXY_TOKEN=stub-token npm run dev
+ *
+ * then pick "Testnet" in the app, open My Account and enter the proxy token. Key, secret and port
+ * can be changed with DELTA_STUB_API_KEY, DELTA_STUB_API_SECRET, DELTA_STUB_PORT.
+ * Rejections use Delta's error envelope: { success: false, error: { code } }.
+ * Orders live in memory; sizes above 1000 are rejected for margin and
+ * post-only buys at 5000 or more are treated as crossing the book.
+ */
+
+import { createServer } from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { signRequest } from '../api/_deltaPrivate.js';
+
+const API_KEY    = process.env.DELTA_STUB_API_KEY    ?? 'stub-key';
+const API_SECRET = process.env.DELTA_STUB_API_SECRET ?? 'stub-secret';
+const PORT       = Number(process.env.DELTA_STUB_PORT ?? 8787);
+const MAX_SKEW_S = 5;   // Delta rejects signatures older than 5 seconds
+
+// ─── Fixtures ─────────────────────────────────────────────────────────────────
+
+const nowIso = () => new Date().toISOString();
+
+const state = {
+  balances: [
+    { asset_symbol: 'USD', balance: '10000.00', available_balance: '9250.00', order_margin: '150.00', position_margin: '600.00' },
+    { asset_symbol: 'BTC', balance: '0.05000000', available_balance: '0.05000000', order_margin: '0', position_margin: '0' },
+  ],
+  positions: [
+    {
+      product_id: 1001, product_symbol: 'C-BTC-100000-270626', size: 10, entry_price: '2450.0',
+      mark_price: '2610.5', unrealized_pnl: '1.605', realized_pnl: '0', liquidation_price: null, margin: '0',
+    },
+  ],
+  orders: [
+    {
+      id: 5001, product_id: 1002, product_symbol: 'P-BTC-90000-270626', side: 'buy', size: 5, unfilled_size: 5,
+      order_type: 'limit_order', limit_price: '1500.0', state: 'open', post_only: true, reduce_only: false,
+      created_at: nowIso(),
+    },
+  ],
+  fills: [
+    {
+      id: 9001, product_id: 1001, product_symbol: 'C-BTC-100000-270626', side: 'buy', size: 10,
+      price: '2450.0', commission: '0.49', role: 'taker', created_at: nowIso(),
+    },
+  ],
+};
+
+// ─── Handlers ─────────────────────────────────────────────────────────────────
+
+let nextOrderId = 5002;
+
+const fail = (code, context) => [400, { code, context }];
+
+function placeOrder(body) {
+  if (!body?.product_symbol || !(body.size > 0) || !['buy', 'sell'].includes(body.side)) {
+    return fail('validation_error', { body });
+  }
+  if (body.size > 1000) return fail('insufficient_margin');
+  const market = body.order_type === 'market_order';
+  if (!market && !(Number(body.limit_price) > 0)) return fail('validation_error', { limit_price: body.limit_price });
+  if (market && body.post_only) return fail('validation_error', { post_only: 'limit orders only' });
+  // Pretend anything priced at or beyond 5000 would cross the book
+  if (body.post_only && body.side === 'buy' && Number(body.limit_price) >= 5000) {
+    return fail('immediate_execution_post_only');
+  }
+
+  const order = {
+    id: nextOrderId++, product_id: body.product_id ?? null, product_symbol: body.product_symbol,
+    side: body.side, size: body.size, unfilled_size: market ? 0 : body.size, order_type: body.order_type,
+    limit_price: market ? null : String(body.limit_price), state: market ? 'closed' : 'open',
+    post_only: Boolean(body.post_only), reduce_only: Boolean(body.reduce_only), created_at: nowIso(),
+  };
+  state.orders.push(order);
+  if (market) {
+    state.fills.unshift({
+      id: nextOrderId++, product_id: order.product_id, product_symbol: order.product_symbol, side: order.side,
+      size: order.size, price: '2500.0', commission: '0.10', role: 'taker', created_at: nowIso(),
+    });
+  }
+  return [200, order];
+}
+
+function findOpen(body) {
+  return state.orders.find((o) => o.id === Number(body?.id) && o.state === 'open');
+}
+
+function editOrder(body) {
+  const order = findOpen(body);
+  if (!order) return fail('open_order_not_found', { id: body?.id });
+  if (body.limit_price != null) order.limit_price = String(body.limit_price);
+  if (body.size != null) {
+    order.unfilled_size = Math.max(0, body.size - (order.size - order.unfilled_size));
+    order.size = body.size;
+  }
+  return [200, order];
+}
+
+function cancelOrder(body) {
+  const order = findOpen(body);
+  if (!order) return fail('open_order_not_found', { id: body?.id });
+  order.state = 'cancelled';
+  return [200, order];
+}
+
+const ROUTES = {
+  'GET /v2/wallet/balances':     () => [200, state.balances],
+  'GET /v2/positions/margined':  () => [200, state.positions],
+  'GET /v2/orders':              () => [200, state.orders.filter((o) => o.state === 'open')],
+  'GET /v2/fills':               () => [200, state.fills],
+  'POST /v2/orders':             placeOrder,
+  'PUT /v2/orders':              editOrder,
+  'DELETE /v2/orders':           cancelOrder,
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const reject = (res, status, code, context) => send(res, status, { success: false, error: { code, context } });
+
+/** Why a request fails authentication, or null when it is correctly signed. */
+function authError(req, url, body) {
+  const { 'api-key': key, timestamp, signature } = req.headers;
+  if (key !== API_KEY) return 'invalid_api_key';
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > MAX_SKEW_S) return 'expired_signature';
+  const expected = signRequest({
+    secret: API_SECRET, method: req.method, timestamp, path: url.pathname, query: url.search, body,
+  });
+  const ok = typeof signature === 'string' && signature.length === expected.length
+    && timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  return ok ? null : 'Signature Mismatch';
+}
+
+const server = createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const route = ROUTES[`${req.method} ${url.pathname}`];
+    if (!route) return reject(res, 404, 'not_found', { path: url.pathname });
+
+    const auth = authError(req, url, body);
+    if (auth) {
+      console.log(`${req.method} ${url.pathname}${url.search} → 401 ${auth}`);
+      return reject(res, 401, auth);
+    }
+
+    let parsed = null;
+    try {
+      parsed = body ? JSON.parse(body) : null;
+    } catch {
+      return reject(res, 400, 'invalid_json');
+    }
+    const [status, result] = route(parsed, url.searchParams);
+    console.log(`${req.method} ${url.pathname}${url.search} → ${status}`);
+    if (status >= 400) return reject(res, status, result.code, result.context);
+    send(res, status, { success: true, result });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Delta private API stub on http://localhost:${PORT} (api key "${API_KEY}")`);
+});
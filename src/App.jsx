@@ -1,12 +1,37 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useCallback, useRef } from 'react';
 import ControlPanel     from './components/ControlPanel';
 import MobileControlBar from './components/MobileControlBar';
 import StrikeChart      from './components/StrikeChart';
 import CandlestickChart from './components/CandlestickChart';
 import OptionChainTable from './components/OptionChainTable';
+import VolSurface       from './components/VolSurface';
+import StrategyBuilder  from './components/StrategyBuilder';
+import Positioning      from './components/Positioning';
+import SnapshotTimeline from './components/SnapshotTimeline';
+import SnapshotDiff     from './components/SnapshotDiff';
+import Watchlist        from './components/Watchlist';
+import ExportPanel      from './components/ExportPanel';
+import AlertsPanel      from './components/AlertsPanel';
+import PortfolioPanel   from './components/PortfolioPanel';
+import RiskPanel        from './components/RiskPanel';
+import AccountPanel     from './components/AccountPanel';
+import OrderTicket      from './components/OrderTicket';
 import useDeltaData     from './hooks/useDeltaData';
+import useDeltaStream   from './hooks/useDeltaStream';
+import useRequestStats  from './hooks/useRequestStats';
+import useSnapshots     from './hooks/useSnapshots';
+import useAutoRefresh   from './hooks/useAutoRefresh';
+import useWatchlist     from './hooks/useWatchlist';
+import useAlerts        from './hooks/useAlerts';
+import usePortfolio     from './hooks/usePortfolio';
+import usePersistedSettings from './hooks/usePersistedSettings';
 import { PROD_BASE_URL, createDeltaClient } from './api/deltaClient';
-import { recordsToCsv, downloadCsv } from './utils/dataUtils';
+import {
+  recordsToCsv, downloadCsv, normalizeTicker, applyTickToChartData, tickTimeSec, groupByExpiry,
+  formatTimestamp, underlyingSymbol, candleSourceSymbol, liveCandleValue, parseOptionSymbol,
+} from './utils/dataUtils';
+import { positioningForRows, withOiChange } from './utils/positioning';
+import { parseViewParams, buildViewSearch } from './utils/viewState';
 import './App.css';
 
 const DEFAULT_SETTINGS = {
@@ -18,47 +43,215 @@ const DEFAULT_SETTINGS = {
   resolution:       60,
   lookbackHours:    24,
   topPerType:       5,
+  streaming:        false,
+  concurrency:      6,
+  recordSnapshots:  true,
+  underlying:       'perp',
+  priceSource:      'mark',
+  refreshSec:       0,
 };
 
-const TABS = ['Candlestick', 'Strike Charts', 'Option Chain'];
+const STREAM_STATUS_LABELS = {
+  idle:         'Off',
+  connecting:   'Connecting…',
+  open:         'Live',
+  reconnecting: 'Reconnecting…',
+  closed:       'Closed',
+};
+
+const TABS = ['Candlestick', 'Strike Charts', 'Vol Surface', 'Positioning', 'Strategy', 'Option Chain', 'Portfolio', 'Risk', 'My Account', 'Watchlist', 'Snapshot Diff', 'Alerts', 'Export'];
 
 export default function App() {
-  /* ── Shared state ── */
-  const [settings, setSettings]       = useState(DEFAULT_SETTINGS);
-  const [activeTab, setActiveTab]     = useState('Candlestick');
-  const [activeAsset, setActiveAsset] = useState(null);
+  /* ── Shared state — a view encoded in the URL (shared link) wins over stored settings ── */
+  const [initialView] = useState(() => parseViewParams(window.location.search, TABS));
+  const [settings, setSettings]       = usePersistedSettings(DEFAULT_SETTINGS, initialView.settings);
+  const [activeTab, setActiveTab]     = useState(initialView.tab ?? 'Candlestick');
+  const [activeAsset, setActiveAsset] = useState(initialView.asset);
+  const [chainExpiry, setChainExpiry] = useState(initialView.expiry ?? 'all');
+  const [strategyLegs, setStrategyLegs] = useState([]);   // [{ asset, symbol, side, qty }]
+
+  /* ── Snapshot history: replayed / compared snapshot times (null = live / none) ── */
+  const [replayAt,     setReplayAt]     = useState(null);
+  const [compareAt,    setCompareAt]    = useState(null);
+  const [replaySnap,   setReplaySnap]   = useState(null);
+  const [compareSnap,  setCompareSnap]  = useState(null);
 
   /* ── Mobile-specific state ── */
-  const [mobileAssetIdx, setMobileAssetIdx] = useState(0);
-  const [mobileOptType,  setMobileOptType]  = useState('call'); // 'call' | 'put'
+  const [mobileAssetIdx, setMobileAssetIdx] = useState(() => {
+    const asset = parseOptionSymbol(initialView.symbol)?.asset ?? initialView.asset;
+    return Math.max(0, settings.assets.indexOf(asset));
+  });
+  const [mobileOptType,  setMobileOptType]  = useState(   // 'call' | 'put'
+    () => parseOptionSymbol(initialView.symbol)?.optionType ?? 'call'
+  );
   const [mobileSymIdx,   setMobileSymIdx]   = useState(0);
+  // Symbol selected by a link or history entry — overrides mobileSymIdx until the user navigates
+  const [mobilePinnedSymbol, setMobilePinnedSymbol] = useState(initialView.symbol);
 
   /* ── Mobile on-demand candle state ── */
-  const [mobileCandleData,    setMobileCandleData]    = useState(null);  // { symbol, option_type, chartData }
+  const [mobileCandleData,    setMobileCandleData]    = useState(null);  // { symbol, option_type, source, chartData, underlying }
   const [mobileCandleLoading, setMobileCandleLoading] = useState(false);
+  const [mobileCandleProgress, setMobileCandleProgress] = useState(null);  // { done, total } chunks
   const [mobileFetchVersion,  setMobileFetchVersion]  = useState(0);
 
-  const { assetData, loading, errors, fetchAll } = useDeltaData();
+  const { assetData, previousFetch, loading, refreshing, errors, candleProgress, fetchAll, applyTickers } = useDeltaData();
+  const [lastUpdated, setLastUpdated] = useState(null);   // ms of the last completed fetch
+  const { watchlist, addSymbol, removeSymbol, toggleSymbol } = useWatchlist();
+  const { log: alertLog, checkAlerts } = useAlerts();
+  const { positions: paperPositions, addFill, settleExpired } = usePortfolio();
+  const [alertsSeenAt, setAlertsSeenAt] = useState(0);   // alerts fired after this are unread
+  const openPaperCount = paperPositions.filter((p) => p.qty !== 0).length;
+  const unreadAlerts = alertLog.filter((e) => e.at > alertsSeenAt).length;
+  const [ticketRecord, setTicketRecord] = useState(null);   // contract the order ticket is open on
+  // Follow the contract's live quotes while the ticket is open
+  const ticketLive = useMemo(() => {
+    if (!ticketRecord) return null;
+    const live = [...assetData.values()].flatMap((d) => d.records).find((r) => r.symbol === ticketRecord.symbol);
+    return live ?? ticketRecord;
+  }, [assetData, ticketRecord]);
+  const requestStats = useRequestStats();
+  const rateLimited  = requestStats.throttledUntil > Date.now();
+
+  /* ── Snapshot recorder / time travel ── */
+  const {
+    timestamps: snapshotTimes,
+    record:     recordSnapshot,
+    load:       loadSnapshot,
+    clear:      clearSnapshots,
+  } = useSnapshots(settings.baseUrl);
 
-  /* ── Fetch handler ── */
-  async function handleFetch() {
-    const results = await fetchAll(settings);
-    if (settings.assets.length > 0) setActiveAsset(settings.assets[0]);
-    setMobileSymIdx(0);
-    setMobileAssetIdx(0);
+  useEffect(() => {
+    if (replayAt == null) return;
+    let cancelled = false;
+    loadSnapshot(replayAt).then((snap) => { if (!cancelled) setReplaySnap(snap); });
+    return () => { cancelled = true; };
+  }, [replayAt, loadSnapshot]);
+
+  useEffect(() => {
+    if (compareAt == null) return;
+    let cancelled = false;
+    loadSnapshot(compareAt).then((snap) => { if (!cancelled) setCompareSnap(snap); });
+    return () => { cancelled = true; };
+  }, [compareAt, loadSnapshot]);
+
+  // A loaded snapshot only counts while it is still selected and in this environment
+  const isCurrentSnap = (snap, at) =>
+    at != null && snap?.takenAt === at && snap.baseUrl === settings.baseUrl ? snap : null;
+  const replay  = isCurrentSnap(replaySnap, replayAt);
+  const compare = isCurrentSnap(compareSnap, compareAt);
+
+  async function handleClearSnapshots() {
+    await clearSnapshots();
+    setReplayAt(null);
+    setCompareAt(null);
+  }
+
+  /* ── Live ticker stream ── */
+  const streamSymbols = useMemo(
+    () => [...assetData.values()].flatMap((d) => d.records.map((r) => r.symbol)),
+    [assetData]
+  );
+
+  const handleTickers = useCallback((tickers) => {
+    applyTickers(tickers);
+    setMobileCandleData((prev) => {
+      if (!prev?.chartData) return prev;
+      const tick = tickers.find((t) => t.symbol === prev.symbol);
+      const rec  = tick ? normalizeTicker(tick) : null;
+      if (!rec) return prev;
+      return {
+        ...prev,
+        chartData: applyTickToChartData(
+          prev.chartData, liveCandleValue(rec, prev.source), tickTimeSec(tick), settings.resolution
+        ),
+      };
+    });
+  }, [applyTickers, settings.resolution]);
+
+  const { status: streamStatus, attempt: streamAttempt } = useDeltaStream({
+    enabled:   settings.streaming && streamSymbols.length > 0,
+    baseUrl:   settings.baseUrl,
+    symbols:   streamSymbols,
+    onTickers: handleTickers,
+  });
+  const streamLabel = STREAM_STATUS_LABELS[streamStatus] ?? streamStatus;
+
+  /* ── Fetch handler — keepView leaves tab / asset / symbol as they are (shared links) ── */
+  async function handleFetch({ keepView = false } = {}) {
+    const results = await fetchAll({ ...settings, watchlist });
+    if (settings.recordSnapshots) recordSnapshot(results);
+    checkAlerts(results);
+    settleExpired(createDeltaClient(settings.baseUrl));
+    setLastUpdated(Date.now());
+    setReplayAt(null);
     setMobileCandleData(null);
     // Bump version so the candle effect re-fires even if symbol name didn't change
     setMobileFetchVersion((v) => v + 1);
+    if (keepView) return;
+    if (settings.assets.length > 0) setActiveAsset(settings.assets[0]);
+    setMobileSymIdx(0);
+    setMobileAssetIdx(0);
+    setMobilePinnedSymbol(null);
     // Always land on Candlestick tab – fall back to Strike Charts if not fetched
     setActiveTab(settings.candlestick ? 'Candlestick' : 'Strike Charts');
   }
 
+  /* ── Auto-refresh: re-fetch in the background, keeping the current view ── */
+  async function handleRefresh() {
+    const results = await fetchAll({ ...settings, watchlist }, { background: true });
+    if (settings.recordSnapshots) recordSnapshot(results);
+    checkAlerts(results);
+    settleExpired(createDeltaClient(settings.baseUrl));
+    setLastUpdated(Date.now());
+  }
+
+  const { nextRefreshAt, paused: refreshPaused } = useAutoRefresh({
+    intervalSec: settings.refreshSec,
+    lastUpdated,
+    busy:        loading || refreshing,
+    onRefresh:   handleRefresh,
+  });
+
   /* ── Desktop: current asset / data ── */
   const assets = [...assetData.keys()];
   const cur    = activeAsset && assetData.has(activeAsset)
     ? activeAsset
     : assets[0] ?? null;
   const data   = cur ? assetData.get(cur) : null;
+  // Records shown by the summary bar, strike charts and chain — a replayed snapshot or live data
+  const viewRecords = useMemo(
+    () => (replay ? (replay.assets[cur] ?? []) : (data?.records ?? [])),
+    [replay, cur, data]
+  );
+
+  // Baseline for OI / price change: the compared snapshot, else the previous fetch of live data
+  const baseline = compare
+    ?? (!replay && previousFetch?.baseUrl === settings.baseUrl ? previousFetch : null);
+  const baselineRecords = baseline?.assets[cur] ?? null;
+  const baselineLabel   = baselineRecords
+    ? `${baseline === compare ? 'snapshot' : 'previous fetch'} ${formatTimestamp(baseline.takenAt)}`
+    : null;
+  const chainRecords = useMemo(
+    () => (baselineRecords ? withOiChange(viewRecords, baselineRecords) : viewRecords),
+    [viewRecords, baselineRecords]
+  );
+
+  /* ── Strategy legs for the current asset ── */
+  const curLegs = strategyLegs.filter((l) => l.asset === cur);
+
+  function setCurLegs(next) {
+    setStrategyLegs((prev) => [
+      ...prev.filter((l) => l.asset !== cur),
+      ...next.map((l) => ({ ...l, asset: cur })),
+    ]);
+  }
+
+  function addLeg(row, side) {
+    const existing = curLegs.find((l) => l.symbol === row.symbol && l.side === side);
+    setCurLegs(existing
+      ? curLegs.map((l) => (l === existing ? { ...l, qty: l.qty + 1 } : l))
+      : [...curLegs, { symbol: row.symbol, side, qty: 1 }]);
+  }
 
   /* ── Mobile: cycle through fetched assets ── */
   const effectiveAssets = assets.length > 0 ? assets : settings.assets;
@@ -67,21 +260,46 @@ export default function App() {
     ? assetData.get(mobileAsset)
     : (assets.length > 0 ? assetData.get(assets[0]) : null);
 
-  /* ── Mobile: symbols sorted closest-to-spot first ── */
+  /* ── Mobile: watchlisted symbols first, then closest-to-spot ── */
   const mobileSymbols = useMemo(() => {
     if (!mobileData?.records?.length) return [];
     const spot = mobileData.records.find((r) => r.spot_price)?.spot_price ?? 0;
-    return [...mobileData.records]
-      .filter((r) => r.option_type === mobileOptType)
-      .sort((a, b) => Math.abs(a.strike - spot) - Math.abs(b.strike - spot));
-  }, [mobileData, mobileOptType]);
+    const asset = mobileData.records[0].asset;
+    const inChain = new Set(mobileData.records.map((r) => r.symbol));
+    // Watched contracts missing from the chain (e.g. expired) still get a chart
+    const pinned = watchlist
+      .filter((s) => !inChain.has(s))
+      .map((s) => ({ symbol: s, ...parseOptionSymbol(s) }))
+      .filter((p) => p.asset === asset && p.optionType === mobileOptType)
+      .map((p) => ({
+        symbol: p.symbol, asset, option_type: p.optionType, strike: p.strike,
+        expiry_date: p.expiryDate, expiry_ms: p.expiryMs,
+      }));
+    const watched = new Set(watchlist);
+    return [
+      ...pinned,
+      ...mobileData.records.filter((r) => r.option_type === mobileOptType),
+    ].sort((a, b) =>
+      (watched.has(b.symbol) - watched.has(a.symbol))
+      || Math.abs(a.strike - spot) - Math.abs(b.strike - spot));
+  }, [mobileData, mobileOptType, watchlist]);
 
   /* ── Reset symbol index when asset / option-type changes ── */
   useEffect(() => { setMobileSymIdx(0); }, [mobileAsset, mobileOptType]);
   useEffect(() => { if (!loading) setMobileSymIdx(0); }, [loading]);
 
-  const mobileSymbol     = mobileSymbols[mobileSymIdx] ?? null;
+  const pinnedIdx        = mobilePinnedSymbol
+    ? mobileSymbols.findIndex((r) => r.symbol === mobilePinnedSymbol)
+    : -1;
+  const mobileIndex      = pinnedIdx >= 0 ? pinnedIdx : mobileSymIdx;
+  const mobileSymbol     = mobileSymbols[mobileIndex] ?? null;
   const mobileSpot       = mobileData?.records?.find((r) => r.spot_price)?.spot_price ?? null;
+  /* ── Mobile: positioning for the nearest expiry ── */
+  const mobilePositioning = useMemo(() => {
+    if (!mobileData?.records?.length) return null;
+    const [nearest] = groupByExpiry(mobileData.records).values();
+    return positioningForRows(nearest);
+  }, [mobileData]);
   const mobileStrikeRecords = useMemo(() => {
     if (!mobileData?.records) return [];
     return mobileData.records.filter((r) => r.option_type === mobileOptType);
@@ -95,39 +313,110 @@ export default function App() {
     }
     let cancelled = false;
     setMobileCandleLoading(true);
+    setMobileCandleProgress(null);
     setMobileCandleData(null);
+    const onProgress = (p) => { if (!cancelled) setMobileCandleProgress(p); };
 
     const client  = createDeltaClient(settings.baseUrl);
     const nowSec  = Math.floor(Date.now() / 1000);
     const startSec = nowSec - settings.lookbackHours * 3600;
 
-    client
-      .getOhlcCandles(mobileSymbol.symbol, settings.resolution, startSec, nowSec)
-      .then((chartData) => {
+    // Underlying series of this asset — best-effort, served mostly from the candle cache
+    const underSym = underlyingSymbol(mobileSymbol.asset, mobileData.records, settings.underlying);
+    const underlyingPromise = !underSym
+      ? Promise.resolve(null)
+      : client.getUnderlyingCandles(underSym, settings.resolution, startSec, nowSec)
+        .then((chartData) => ({ symbol: underSym, source: settings.underlying, chartData }))
+        .catch(() => ({ symbol: underSym, source: settings.underlying, chartData: null }));
+
+    const source      = settings.priceSource;
+    const chartSymbol = candleSourceSymbol(mobileSymbol, source);
+    const candlePromise = chartSymbol
+      ? client.getOhlcCandles(chartSymbol, settings.resolution, startSec, nowSec, source, { onProgress })
+        .catch(() => null)
+      : Promise.resolve(null);
+
+    Promise.all([candlePromise, underlyingPromise])
+      .then(([chartData, underlying]) => {
         if (!cancelled)
-          setMobileCandleData({ symbol: mobileSymbol.symbol, option_type: mobileSymbol.option_type, chartData });
-      })
-      .catch(() => {
-        if (!cancelled)
-          setMobileCandleData({ symbol: mobileSymbol.symbol, option_type: mobileSymbol.option_type, chartData: null });
+          setMobileCandleData({
+            symbol: mobileSymbol.symbol, option_type: mobileSymbol.option_type, source, chartData, underlying,
+          });
       })
       .finally(() => { if (!cancelled) setMobileCandleLoading(false); });
 
     return () => { cancelled = true; };
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [mobileSymbol?.symbol, settings.resolution, settings.lookbackHours, settings.baseUrl, settings.candlestick, mobileFetchVersion]);
+  }, [mobileSymbol?.symbol, settings.resolution, settings.lookbackHours, settings.baseUrl, settings.candlestick, settings.underlying, settings.priceSource, mobileFetchVersion]);
 
   /* ── Mobile handlers ── */
   function toggleMobileAsset() {
     setMobileAssetIdx((i) => (i + 1) % effectiveAssets.length);
+    setMobilePinnedSymbol(null);
   }
   function toggleMobileOptType() {
     setMobileOptType((t) => (t === 'call' ? 'put' : 'call'));
+    setMobilePinnedSymbol(null);
   }
   function navigateMobileSymbol(dir) {
-    setMobileSymIdx((i) => Math.max(0, Math.min(mobileSymbols.length - 1, i + dir)));
+    setMobileSymIdx(Math.max(0, Math.min(mobileSymbols.length - 1, mobileIndex + dir)));
+    setMobilePinnedSymbol(null);
+  }
+
+  /* ── Deep links: a shared link (one carrying settings) fetches its data straight away ── */
+  const fromSharedLink = Object.keys(initialView.settings).length > 0;
+  const handleFetchRef = useRef(handleFetch);
+  useEffect(() => { handleFetchRef.current = handleFetch; });
+  const linkFetched = useRef(false);
+  useEffect(() => {
+    if (!fromSharedLink || linkFetched.current) return;
+    linkFetched.current = true;
+    handleFetchRef.current({ keepView: true });
+  }, [fromSharedLink]);
+
+  /* ── Deep links: mirror the view into the URL — settings only while on a shared link ── */
+  const viewAsset  = cur ?? activeAsset;
+  const viewSymbol = mobileSymbol?.symbol ?? mobilePinnedSymbol;
+  useEffect(() => {
+    const search = buildViewSearch({
+      settings: fromSharedLink ? settings : null,
+      tab: activeTab, asset: viewAsset, expiry: chainExpiry, symbol: viewSymbol,
+    });
+    if (search === window.location.search) return;
+    // Switching tab or asset adds a history entry; any other change edits the current one
+    const prev = parseViewParams(window.location.search, TABS);
+    const navigate = (prev.tab && prev.tab !== activeTab) || (prev.asset && prev.asset !== viewAsset);
+    window.history[navigate ? 'pushState' : 'replaceState'](null, '', search);
+  }, [fromSharedLink, settings, activeTab, viewAsset, chainExpiry, viewSymbol]);
+
+  /* ── Deep links: copy a share link carrying the current settings ── */
+  const [linkCopied, setLinkCopied] = useState(false);
+  async function copyShareLink() {
+    const search = buildViewSearch({
+      settings, tab: activeTab, asset: viewAsset, expiry: chainExpiry, symbol: viewSymbol,
+    });
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}${search}`);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      // clipboard blocked (e.g. insecure origin) — nothing to copy to
+    }
   }
 
+  /* ── Deep links: back / forward restore tab, asset, expiry and symbol ── */
+  useEffect(() => {
+    function onPopState() {
+      const view = parseViewParams(window.location.search, TABS);
+      setActiveTab(view.tab ?? 'Candlestick');
+      setActiveAsset(view.asset);
+      setChainExpiry(view.expiry ?? 'all');
+      setMobilePinnedSymbol(view.symbol);
+    }
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
   return (
     <div className="app-layout">
 
@@ -152,9 +441,12 @@ export default function App() {
           optionType={mobileOptType}
           onOptionTypeToggle={toggleMobileOptType}
           symbols={mobileSymbols}
-          symbolIndex={mobileSymIdx}
+          symbolIndex={mobileIndex}
           onSymbolNav={navigateMobileSymbol}
           spotPrice={mobileSpot}
+          watchlist={watchlist}
+          onToggleWatch={toggleSymbol}
+          onTrade={replay ? undefined : setTicketRecord}
         />
 
         {/* ── Desktop header (hidden on mobile) ── */}
@@ -163,6 +455,17 @@ export default function App() {
             <h1 className="app-title">
               <span className="brand">Delta Exchange</span> Options Dashboard
             </h1>
+            {settings.streaming && (
+              <span
+                className={`stream-status stream-status--${streamStatus}`}
+                title={streamAttempt > 0 ? `Reconnect attempt ${streamAttempt}` : undefined}
+              >
+                ● {streamLabel}
+              </span>
+            )}
+            <button className="share-link" onClick={copyShareLink} title="Copy a link to this view and its settings">
+              {linkCopied ? '✓ Link copied' : '🔗 Copy link'}
+            </button>
           </div>
 
           {assets.length > 0 && (
@@ -190,6 +493,22 @@ export default function App() {
         {loading && (
           <div className="loading-banner">
             Fetching option chain from Delta Exchange…
+            {(requestStats.active > 0 || requestStats.queued > 0) && (
+              <span className="request-stats">
+                {requestStats.active} active · {requestStats.queued} queued
+              </span>
+            )}
+            {requestStats.retries > 0 && (
+              <span className="request-stats">{requestStats.retries} retries</span>
+            )}
+            {candleProgress?.total > 1 && (
+              <span className="request-stats">
+                candles {candleProgress.done}/{candleProgress.total} chunks
+              </span>
+            )}
+            {rateLimited && (
+              <span className="request-stats request-stats--throttled">rate-limited, backing off</span>
+            )}
           </div>
         )}
 
@@ -198,46 +517,90 @@ export default function App() {
         ══════════════════════════════════════════════ */}
         {!loading && data && (
           <div className="desktop-only desktop-content-wrapper">
+            <SnapshotTimeline
+              timestamps={snapshotTimes}
+              replayAt={replayAt}
+              onReplay={setReplayAt}
+              compareAt={compareAt}
+              onCompare={setCompareAt}
+              onClear={handleClearSnapshots}
+            />
+
             {/* Summary bar */}
             <div className="summary-bar">
               <span className="summary-item">
                 <span className="summary-label">Strikes:</span>{' '}
-                <span className="summary-value">{[...new Set(data.records.map((r) => r.strike))].length}</span>
+                <span className="summary-value">{[...new Set(viewRecords.map((r) => r.strike))].length}</span>
               </span>
               <span className="summary-item">
                 <span className="summary-label">Expiries:</span>{' '}
-                <span className="summary-value">{[...new Set(data.records.map((r) => r.expiry_date))].length}</span>
+                <span className="summary-value">{[...new Set(viewRecords.map((r) => r.expiry_date))].length}</span>
               </span>
               <span className="summary-item">
                 <span className="summary-label">Total Contracts:</span>{' '}
-                <span className="summary-value">{data.records.length}</span>
+                <span className="summary-value">{viewRecords.length}</span>
               </span>
-              {data.records[0]?.spot_price && (
+              {(requestStats.retries > 0 || requestStats.failures > 0) && (
+                <span className="summary-item" title="Requests retried / failed during the last fetch">
+                  <span className="summary-label">Retries:</span>{' '}
+                  <span className="summary-value">{requestStats.retries}</span>
+                  {requestStats.throttled > 0 && (
+                    <span className="summary-label">({requestStats.throttled}× rate-limited)</span>
+                  )}
+                  {requestStats.failures > 0 && (
+                    <span className="summary-label">· {requestStats.failures} failed</span>
+                  )}
+                </span>
+              )}
+              {viewRecords[0]?.spot_price && (
                 <span className="summary-item">
                   <span className="summary-label">Spot:</span>{' '}
                   <span className="summary-value summary-spot">
-                    ${Number(data.records[0].spot_price).toLocaleString()}
+                    ${Number(viewRecords[0].spot_price).toLocaleString()}
                   </span>
                 </span>
               )}
+              {replay && (
+                <span className="summary-item">
+                  <span className="summary-label">As of:</span>{' '}
+                  <span className="summary-value summary-replay">{formatTimestamp(replay.takenAt)}</span>
+                </span>
+              )}
             </div>
 
             {/* Tab nav */}
             <nav className="tab-nav">
               {TABS.map((t) => {
                 const disabled =
-                  t === 'Candlestick' && data.candlestickData.length === 0;
+                  (t === 'Candlestick' && data.candlestickData.length === 0) ||
+                  (t === 'Snapshot Diff' && !compare);
                 return (
                   <button
                     key={t}
                     className={`nav-tab ${activeTab === t ? 'nav-tab--active' : ''} ${
                       disabled ? 'nav-tab--disabled' : ''
                     }`}
-                    onClick={() => !disabled && setActiveTab(t)}
+                    onClick={() => {
+                      if (disabled) return;
+                      if (t === 'Alerts' || activeTab === 'Alerts') setAlertsSeenAt(Date.now());
+                      setActiveTab(t);
+                    }}
                   >
                     {t}
                     {t === 'Option Chain' && (
-                      <span className="badge">{data.records.length}</span>
+                      <span className="badge">{viewRecords.length}</span>
+                    )}
+                    {t === 'Portfolio' && openPaperCount > 0 && (
+                      <span className="badge">{openPaperCount}</span>
+                    )}
+                    {t === 'Watchlist' && watchlist.length > 0 && (
+                      <span className="badge">{watchlist.length}</span>
+                    )}
+                    {t === 'Alerts' && activeTab !== 'Alerts' && unreadAlerts > 0 && (
+                      <span className="badge">{unreadAlerts}</span>
+                    )}
+                    {t === 'Strategy' && curLegs.length > 0 && (
+                      <span className="badge">{curLegs.length}</span>
                     )}
                     {t === 'Candlestick' && data.candlestickData.length > 0 && (
                       <span className="badge">{data.candlestickData.length}</span>
@@ -251,7 +614,7 @@ export default function App() {
               {activeTab === 'Strike Charts' && (
                 <StrikeChart
                   asset={cur}
-                  records={data.records}
+                  records={viewRecords}
                   metric={settings.metric}
                 />
               )}
@@ -266,16 +629,95 @@ export default function App() {
                         symbol={item.symbol}
                         optionType={item.option_type}
                         resolution={settings.resolution}
+                        priceSource={item.source}
                         chartData={item.chartData}
+                        underlying={data.underlyingCandles}
                       />
                     ))}
                   </div>
                 )}
 
+              {activeTab === 'Vol Surface' && (
+                <VolSurface
+                  asset={cur}
+                  records={data.records}
+                />
+              )}
+
+              {activeTab === 'Positioning' && (
+                <Positioning
+                  asset={cur}
+                  records={data.records}
+                  baseline={baselineRecords}
+                  baselineLabel={baselineLabel}
+                />
+              )}
+
+              {activeTab === 'Strategy' && (
+                <StrategyBuilder
+                  asset={cur}
+                  records={data.records}
+                  legs={curLegs}
+                  onChange={setCurLegs}
+                />
+              )}
+
               {activeTab === 'Option Chain' && (
                 <OptionChainTable
                   asset={cur}
-                  records={data.records}
+                  records={chainRecords}
+                  baselineLabel={baselineLabel}
+                  expiry={chainExpiry}
+                  onExpiryChange={setChainExpiry}
+                  onAddLeg={replay ? undefined : addLeg}
+                  lastUpdated={replay ? replay.takenAt : lastUpdated}
+                  nextRefreshAt={replay ? null : nextRefreshAt}
+                  refreshPaused={refreshPaused}
+                  refreshing={refreshing}
+                  watchlist={watchlist}
+                  onToggleWatch={toggleSymbol}
+                  onPaperFill={replay ? undefined : addFill}
+                  onTrade={replay ? undefined : setTicketRecord}
+                />
+              )}
+
+              {activeTab === 'Portfolio' && (
+                <PortfolioPanel assetData={assetData} baseUrl={settings.baseUrl} />
+              )}
+
+              {activeTab === 'Risk' && (
+                <RiskPanel assetData={assetData} />
+              )}
+
+              {activeTab === 'My Account' && (
+                <AccountPanel baseUrl={settings.baseUrl} />
+              )}
+
+              {activeTab === 'Watchlist' && (
+                <Watchlist
+                  watchlist={watchlist}
+                  assetData={assetData}
+                  resolution={settings.resolution}
+                  onAdd={addSymbol}
+                  onRemove={removeSymbol}
+                />
+              )}
+
+              {activeTab === 'Alerts' && (
+                <AlertsPanel assetData={assetData} assets={assets} />
+              )}
+
+              {activeTab === 'Export' && (
+                <ExportPanel assetData={assetData} />
+              )}
+
+              {activeTab === 'Snapshot Diff' && compare && (
+                <SnapshotDiff
+                  asset={cur}
+                  before={compare.assets[cur] ?? []}
+                  after={viewRecords}
+                  beforeLabel={formatTimestamp(compare.takenAt)}
+                  afterLabel={replay ? formatTimestamp(replay.takenAt) : 'Live'}
                 />
               )}
             </div>
@@ -334,6 +776,41 @@ export default function App() {
                   <span className="mobile-summary-label">Strikes</span>
                   <span className="mobile-summary-value">{mobileSymbols.length}</span>
                 </div>
+                {mobilePositioning && (
+                  <>
+                    <div className="mobile-summary-item" title={`Nearest expiry ${mobilePositioning.expiryDate}`}>
+                      <span className="mobile-summary-label">Max Pain</span>
+                      <span className="mobile-summary-value">
+                        {mobilePositioning.maxPain != null ? Number(mobilePositioning.maxPain).toLocaleString() : '—'}
+                      </span>
+                    </div>
+                    <div className="mobile-summary-item">
+                      <span className="mobile-summary-label">P/C OI</span>
+                      <span className="mobile-summary-value">
+                        {mobilePositioning.pcrOi != null ? mobilePositioning.pcrOi.toFixed(2) : '—'}
+                      </span>
+                    </div>
+                  </>
+                )}
+                {settings.refreshSec > 0 && lastUpdated != null && (
+                  <div
+                    className="mobile-summary-item"
+                    title={nextRefreshAt != null ? `Next refresh ${formatTimestamp(nextRefreshAt)}` : undefined}
+                  >
+                    <span className="mobile-summary-label">Updated</span>
+                    <span className="mobile-summary-value">
+                      {refreshing ? 'Refreshing…' : refreshPaused ? 'Paused' : formatTimestamp(lastUpdated).split(', ').pop()}
+                    </span>
+                  </div>
+                )}
+                {settings.streaming && (
+                  <div className="mobile-summary-item">
+                    <span className="mobile-summary-label">Stream</span>
+                    <span className={`mobile-summary-value stream-status--${streamStatus}`}>
+                      {streamLabel}
+                    </span>
+                  </div>
+                )}
               </div>
 
               {/* Candlestick — primary view */}
@@ -342,7 +819,11 @@ export default function App() {
                   {mobileCandleLoading ? (
                     <div className="mobile-loading" style={{ flex: 1 }}>
                       <div className="mobile-loading-spinner" />
-                      <span>Loading chart…</span>
+                      <span>
+                        Loading chart…
+                        {mobileCandleProgress?.total > 1 &&
+                          ` ${mobileCandleProgress.done}/${mobileCandleProgress.total}`}
+                      </span>
                     </div>
                   ) : mobileCandleData ? (
                     <CandlestickChart
@@ -350,7 +831,9 @@ export default function App() {
                       symbol={mobileCandleData.symbol}
                       optionType={mobileCandleData.option_type}
                       resolution={settings.resolution}
+                      priceSource={mobileCandleData.source}
                       chartData={mobileCandleData.chartData}
+                      underlying={mobileCandleData.underlying}
                       height="100%"
                     />
                   ) : (
@@ -392,6 +875,16 @@ export default function App() {
           )}
         </div>
 
+        {/* ── Order ticket (desktop chain and mobile symbol row) ── */}
+        {ticketLive && (
+          <OrderTicket
+            key={ticketLive.symbol}
+            record={ticketLive}
+            baseUrl={settings.baseUrl}
+            onClose={() => setTicketRecord(null)}
+          />
+        )}
+
       </main>
     </div>
   );
@@ -0,0 +1,164 @@
+/**
+ * Persistent client-side candle store (IndexedDB).
+ *
+ * One entry per base URL + symbol + resolution holding TradingView-style
+ * arrays { t, o, h, l, c, v }. getOhlcCandles() reads through this store and
+ * only requests the bars missing since the last cached timestamp.
+ *
+ * Every function degrades to a no-op when IndexedDB is unavailable
+ * (private browsing, SSR), so callers never need to guard.
+ */
+
+import { parseOptionSymbol } from '../utils/dataUtils';
+import { CANDLE_STORE, withStore as withDbStore, promisify } from './dashboardDb';
+
+// Keep candles of expired contracts for a day so a just-settled chart still opens
+const EXPIRED_GRACE_MS = 24 * 3600 * 1000;
+// Oldest bars are dropped beyond this many per series (720h of 1-minute bars fit)
+const MAX_BARS_PER_ENTRY = 45000;
+
+const withStore = (mode, fn) => withDbStore(CANDLE_STORE, mode, fn);
+
+/**
+ * Cache key for a candle series.
+ */
+export function candleKey(baseUrl, symbol, resolution) {
+  return `${baseUrl}|${symbol}|${resolution}`;
+}
+
+/**
+ * Read a cached series. Resolves to
+ * { key, symbol, resolution, expiryMs, coveredFrom, updatedAt, data } or null.
+ * coveredFrom is the earliest Unix second (inclusive) that has been fetched
+ * contiguously up to the last cached bar.
+ */
+export async function getCachedCandles(key) {
+  try {
+    return (await withStore('readonly', (store) => promisify(store.get(key)))) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a cached series, trimming it to MAX_BARS_PER_ENTRY newest bars.
+ */
+export async function putCachedCandles(key, symbol, resolution, data, coveredFrom) {
+  const symbolInfo = parseOptionSymbol(symbol.replace(/^[A-Z]+:/, ''));
+  let stored = data;
+  let from   = coveredFrom;
+  if (data.t.length > MAX_BARS_PER_ENTRY) {
+    const firstKept = data.t[data.t.length - MAX_BARS_PER_ENTRY];
+    stored = sliceChartData(data, firstKept, Infinity);
+    from   = firstKept;
+  }
+  const entry = {
+    key,
+    symbol,
+    resolution:  Number(resolution),
+    expiryMs:    symbolInfo?.expiryMs ?? null,
+    coveredFrom: from,
+    updatedAt:   Date.now(),
+    data:        stored,
+  };
+  try {
+    await withStore('readwrite', (store) => promisify(store.put(entry)));
+  } catch {
+    // Quota exceeded or store unavailable — the cache is best-effort
+  }
+}
+
+/**
+ * Merge two TradingView-style series: union of bars by timestamp, sorted,
+ * bars from `incoming` replace bars with the same timestamp in `base`.
+ */
+export function mergeChartData(base, incoming) {
+  const bars = new Map();
+  for (const cd of [base, incoming]) {
+    if (!cd?.t) continue;
+    cd.t.forEach((t, i) => {
+      bars.set(t, [cd.o[i], cd.h[i], cd.l[i], cd.c[i], cd.v?.[i] ?? 0]);
+    });
+  }
+  const t = [...bars.keys()].sort((a, b) => a - b);
+  const out = { s: 'ok', t, o: [], h: [], l: [], c: [], v: [] };
+  for (const time of t) {
+    const [o, h, l, c, v] = bars.get(time);
+    out.o.push(o); out.h.push(h); out.l.push(l); out.c.push(c); out.v.push(v);
+  }
+  return out;
+}
+
+/**
+ * Restrict a series to bars with fromSec <= t <= toSec.
+ */
+export function sliceChartData(cd, fromSec, toSec) {
+  const idx = [];
+  cd.t.forEach((t, i) => { if (t >= fromSec && t <= toSec) idx.push(i); });
+  const pick = (arr) => idx.map((i) => arr?.[i]);
+  return { ...cd, t: pick(cd.t), o: pick(cd.o), h: pick(cd.h), l: pick(cd.l), c: pick(cd.c), v: pick(cd.v) };
+}
+
+/**
+ * Stretches with missing bars: consecutive bars further apart than one
+ * resolution step. Returns [{ from, to, missing }] — from / to are the
+ * surrounding bar times (Unix seconds), missing the number of absent bars.
+ */
+export function findGaps(cd, resolution) {
+  const step = Number(resolution) * 60;
+  const gaps = [];
+  if (!cd?.t || !(step > 0)) return gaps;
+  for (let i = 1; i < cd.t.length; i++) {
+    const diff = cd.t[i] - cd.t[i - 1];
+    if (diff > step) gaps.push({ from: cd.t[i - 1], to: cd.t[i], missing: Math.round(diff / step) - 1 });
+  }
+  return gaps;
+}
+
+/**
+ * Delete entries whose option contract expired more than a day ago.
+ * Resolves to the number of deleted entries.
+ */
+export async function pruneExpiredCandles(nowMs = Date.now()) {
+  try {
+    const entries = (await withStore('readonly', (store) => promisify(store.getAll()))) ?? [];
+    const stale = entries.filter((e) => e.expiryMs != null && e.expiryMs + EXPIRED_GRACE_MS < nowMs);
+    if (stale.length === 0) return 0;
+    await withStore('readwrite', (store) =>
+      Promise.all(stale.map((e) => promisify(store.delete(e.key))))
+    );
+    return stale.length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Cache statistics: { entries, bars, bytes } — bytes is the approximate
+ * serialized size of the stored data.
+ */
+export async function getCandleCacheStats() {
+  try {
+    const entries = (await withStore('readonly', (store) => promisify(store.getAll()))) ?? [];
+    let bars = 0;
+    let bytes = 0;
+    for (const e of entries) {
+      bars  += e.data?.t?.length ?? 0;
+      bytes += JSON.stringify(e).length;
+    }
+    return { entries: entries.length, bars, bytes };
+  } catch {
+    return { entries: 0, bars: 0, bytes: 0 };
+  }
+}
+
+/**
+ * Remove every cached candle series.
+ */
+export async function clearCandleCache() {
+  try {
+    await withStore('readwrite', (store) => promisify(store.clear()));
+  } catch {
+    // ignore
+  }
+}
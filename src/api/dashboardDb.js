@@ -0,0 +1,58 @@
+/**
+ * Shared IndexedDB database for the dashboard's persistent stores.
+ *
+ * Stores:
+ *   candles   — candle series, keyed by 'key' (see candleCache.js)
+ *   snapshots — option chain snapshots, keyed by [baseUrl, takenAt] (see snapshotStore.js)
+ *
+ * withStore() resolves to null when IndexedDB is unavailable so callers can
+ * degrade to no-ops.
+ */
+
+const DB_NAME    = 'delta-dashboard';
+const DB_VERSION = 2;
+
+export const CANDLE_STORE   = 'candles';
+export const SNAPSHOT_STORE = 'snapshots';
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(CANDLE_STORE)) {
+          db.createObjectStore(CANDLE_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: ['baseUrl', 'takenAt'] });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+/** Wrap an IDBRequest in a promise. */
+export function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/**
+ * Run fn(objectStore) inside a transaction on `storeName`.
+ * Resolves to fn's result, or null when IndexedDB is unavailable.
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  const tx = db.transaction(storeName, mode);
+  return fn(tx.objectStore(storeName));
+}
@@ -1,13 +1,52 @@
 /**
- * Delta Exchange public API client (v2).
+ * Delta Exchange API client (v2).
  *
- * Requests are made directly to the Delta Exchange CDN.
+ * Requests go through the same-origin proxy at /api/delta/<env>/ (see
+ * api/_deltaProxy.js), served by a Vercel function in production and by Vite
+ * middleware in development, so both paths behave identically. Account
+ * endpoints go through the signing proxy at /api/delta-private/<env>/ (see
+ * api/_deltaPrivate.js), which holds the API keys and only signs for callers
+ * presenting its access token (setPrivateProxyToken).
  *
  * Reference: https://docs.delta.exchange/
  */
 
-export const PROD_BASE_URL = 'https://cdn.india.deltaex.org';
-export const TEST_BASE_URL = 'https://cdn-ind.testnet.deltaex.org';
+import {
+  candleKey,
+  getCachedCandles,
+  putCachedCandles,
+  mergeChartData,
+  sliceChartData,
+  pruneExpiredCandles,
+  findGaps,
+} from './candleCache';
+import { CANDLE_SOURCES } from '../utils/dataUtils';
+
+export const PROD_BASE_URL = '/api/delta/prod';
+export const TEST_BASE_URL = '/api/delta/testnet';
+
+/** Selectable API environments (value is the proxy base URL) */
+export const API_ENVIRONMENTS = [
+  { value: PROD_BASE_URL, label: 'Production (India)' },
+  { value: TEST_BASE_URL, label: 'Testnet (Demo)' },
+];
+
+// Product metadata changes rarely (new listings / settlements) — cache it per base URL + asset
+const PRODUCT_CACHE_TTL_MS = 15 * 60 * 1000;
+const productCache = new Map();   // `${base}|${asset}` → { fetchedAt, promise }
+
+/**
+ * Drop all cached product metadata (e.g. after switching environments).
+ */
+export function clearProductCache() {
+  productCache.clear();
+}
+
+// Most bars /v2/chart/history returns per request — longer windows are chunked
+const CHART_MAX_BARS = 2000;
+
+// Expired-contract candles are pruned once per page load, on first use
+let candlePruneDone = false;
 
 async function parseErrorPayload(response) {
   const text = await response.text();
@@ -39,29 +78,200 @@ function formatHttpError(status, path, payload) {
   return `HTTP ${status} for ${path}`;
 }
 
+// ─── Request scheduler ────────────────────────────────────────────────────────
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Delay (ms) requested by the server for a rate-limited / unavailable response.
+ * Delta sends X-RATE-LIMIT-RESET (ms until the quota resets); standard
+ * Retry-After (seconds) is honoured too. Returns null when neither is present.
+ */
+function serverRetryDelay(response) {
+  const reset = parseFloat(response.headers.get('X-RATE-LIMIT-RESET'));
+  if (Number.isFinite(reset) && reset >= 0) return reset;
+  const retryAfter = parseFloat(response.headers.get('Retry-After'));
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) return retryAfter * 1000;
+  return null;
+}
+
 /**
- * Generic GET helper.
+ * Create a request scheduler that limits concurrency, retries 429 / 5xx and
+ * network failures with exponential backoff + jitter, pauses every queued
+ * request while rate-limited, and shares one promise between identical
+ * in-flight URLs.
+ *
+ * Stats { active, queued, retries, throttled, failures, throttledUntil } are
+ * pushed to subscribe() listeners on every change.
  */
-async function _get(baseUrl, path, params = {}) {
-  const url = new URL(`${baseUrl}${path}`);
-  Object.entries(params).forEach(([k, v]) => {
-    if (v !== undefined && v !== null && v !== '') url.searchParams.set(k, String(v));
-  });
+export function createRequestScheduler({
+  concurrency = 6,
+  maxRetries  = 4,
+  baseDelayMs = 500,
+  maxDelayMs  = 15000,
+} = {}) {
+  const config    = { concurrency, maxRetries, baseDelayMs, maxDelayMs };
+  const queue     = [];
+  const inFlight  = new Map();   // url → Promise<payload>
+  const listeners = new Set();
+  const counters  = { retries: 0, throttled: 0, failures: 0 };
 
-  const response = await fetch(url.toString(), {
-    headers: {
-      Accept: 'application/json',
+  let active      = 0;
+  let pausedUntil = 0;
+  let pauseTimer  = null;
+
+  function snapshot() {
+    return { active, queued: queue.length, ...counters, throttledUntil: pausedUntil };
+  }
+
+  function emit() {
+    const snap = snapshot();
+    listeners.forEach((l) => l(snap));
+  }
+
+  function pump() {
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) {
+      if (!pauseTimer) {
+        pauseTimer = setTimeout(() => { pauseTimer = null; pump(); }, wait);
+      }
+      emit();
+      return;
+    }
+    while (active < config.concurrency && queue.length > 0) {
+      const job = queue.shift();
+      active += 1;
+      job.task()
+        .then(job.resolve, job.reject)
+        .finally(() => { active -= 1; pump(); });
+    }
+    emit();
+  }
+
+  function enqueue(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      pump();
+    });
+  }
+
+  function backoff(attempt) {
+    const exp = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+    return exp / 2 + Math.random() * (exp / 2);
+  }
+
+  async function fetchWithRetry(url, path) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await enqueue(() => fetch(url, { headers: { Accept: 'application/json' } }));
+      } catch (err) {
+        // Network failure / CORS / offline
+        if (attempt >= config.maxRetries) {
+          counters.failures += 1;
+          emit();
+          throw err;
+        }
+        counters.retries += 1;
+        emit();
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      if (response.ok) return response.json();
+
+      if (RETRYABLE_STATUS.has(response.status) && attempt < config.maxRetries) {
+        const delay = Math.min(config.maxDelayMs, serverRetryDelay(response) ?? backoff(attempt));
+        if (response.status === 429) {
+          counters.throttled += 1;
+          // Hold back every queued request, not just this one
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        counters.retries += 1;
+        emit();
+        await sleep(delay);
+        continue;
+      }
+
+      counters.failures += 1;
+      emit();
+      const errorPayload = await parseErrorPayload(response);
+      throw new Error(formatHttpError(response.status, path, errorPayload));
+    }
+  }
+
+  return {
+    /**
+     * GET a URL and resolve to its parsed JSON body.
+     * Identical URLs already in flight share a single request.
+     */
+    fetchJson(url, path) {
+      if (inFlight.has(url)) return inFlight.get(url);
+      const promise = fetchWithRetry(url, path);
+      inFlight.set(url, promise);
+      const cleanup = () => inFlight.delete(url);
+      promise.then(cleanup, cleanup);
+      return promise;
+    },
+
+    /** Update concurrency / retry settings; takes effect for queued requests. */
+    configure(options) {
+      Object.entries(options).forEach(([k, v]) => {
+        if (k in config && Number.isFinite(v) && v > 0) config[k] = v;
+      });
+      pump();
+    },
+
+    /** Reset the retry / throttle / failure counters. */
+    resetStats() {
+      counters.retries = 0;
+      counters.throttled = 0;
+      counters.failures = 0;
+      emit();
+    },
+
+    getStats: snapshot,
+
+    /** Listen for stats changes. Returns an unsubscribe function. */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
     },
+  };
+}
+
+/** Shared scheduler used by every client instance */
+export const requestScheduler = createRequestScheduler();
+
+// ─── Request helpers ──────────────────────────────────────────────────────────
+
+function buildUrl(baseUrl, path, params) {
+  // Proxy bases are relative to the page origin
+  const url = new URL(`${baseUrl}${path}`, globalThis.location?.origin);
+  Object.entries(params).forEach(([k, v]) => {
+    if (v !== undefined && v !== null && v !== '') url.searchParams.set(k, String(v));
   });
-  if (!response.ok) {
-    const errorPayload = await parseErrorPayload(response);
-    throw new Error(formatHttpError(response.status, path, errorPayload));
-  }
+  return url.toString();
+}
 
-  const payload = await response.json();
+/**
+ * GET through the shared scheduler and unwrap Delta's { success, result } envelope.
+ */
+async function _fetchPayload(baseUrl, path, params) {
+  const payload = await requestScheduler.fetchJson(buildUrl(baseUrl, path, params), path);
   if (!payload.success) {
     throw new Error(`Delta API error for ${path}: ${JSON.stringify(payload.error ?? payload)}`);
   }
+  return payload;
+}
+
+/**
+ * Generic GET helper.
+ */
+async function _get(baseUrl, path, params = {}) {
+  const payload = await _fetchPayload(baseUrl, path, params);
   return payload.result ?? [];
 }
 
@@ -71,30 +281,14 @@ async function _get(baseUrl, path, params = {}) {
  * Returns the inner result object with TradingView data.
  */
 async function _getChartHistory(baseUrl, path, params = {}) {
-  const url = new URL(`${baseUrl}${path}`);
-  Object.entries(params).forEach(([k, v]) => {
-    if (v !== undefined && v !== null && v !== '') url.searchParams.set(k, String(v));
-  });
+  const payload = await _fetchPayload(baseUrl, path, params);
 
-  const response = await fetch(url.toString(), {
-    headers: {
-      Accept: 'application/json',
-    },
-  });
-  if (!response.ok) {
-    const errorPayload = await parseErrorPayload(response);
-    throw new Error(formatHttpError(response.status, path, errorPayload));
-  }
-
-  const payload = await response.json();
-  if (!payload.success) {
-    throw new Error(`Delta API error for ${path}: ${JSON.stringify(payload.error ?? payload)}`);
-  }
-  
   const chartData = payload.result;
   // TradingView format: s = "ok" for success, s = "no_data" or "error" for errors
   if (chartData.s && chartData.s !== 'ok') {
-    throw new Error(`Chart API error for ${path}: ${chartData.s}`);
+    const err = new Error(`Chart API error for ${path}: ${chartData.s}`);
+    err.chartStatus = chartData.s;
+    throw err;
   }
   return chartData;
 }
@@ -110,25 +304,7 @@ async function _getAll(baseUrl, path, params = {}) {
 
   do {
     const pageParams = { ...params, page_size: PAGE_SIZE, ...(after ? { after } : {}) };
-    const url = new URL(`${baseUrl}${path}`);
-    Object.entries(pageParams).forEach(([k, v]) => {
-      if (v !== undefined && v !== null && v !== '') url.searchParams.set(k, String(v));
-    });
-
-    const response = await fetch(url.toString(), {
-      headers: {
-        Accept: 'application/json',
-      },
-    });
-    if (!response.ok) {
-      const errorPayload = await parseErrorPayload(response);
-      throw new Error(formatHttpError(response.status, path, errorPayload));
-    }
-
-    const payload = await response.json();
-    if (!payload.success) {
-      throw new Error(`Delta API error for ${path}: ${JSON.stringify(payload.error ?? payload)}`);
-    }
+    const payload = await _fetchPayload(baseUrl, path, pageParams);
 
     const page = payload.result ?? [];
     results.push(...page);
@@ -141,6 +317,83 @@ async function _getAll(baseUrl, path, params = {}) {
   return results;
 }
 
+/**
+ * Chart history over an arbitrarily long window.
+ * The window is split into consecutive chunks of at most CHART_MAX_BARS bars,
+ * fetched in order and stitched (bars are de-duplicated by timestamp).
+ * Chunks answering "no_data" (e.g. before listing) count as empty; the call
+ * only fails with no_data when every chunk is empty.
+ * onProgress({ done, total }) is called after each chunk.
+ */
+async function _getChartHistoryChunked(base, chartSymbol, resolution, fromSec, toSec, onProgress) {
+  const step = Number(resolution) * 60;
+  const span = CHART_MAX_BARS * step;
+  const chunks = [];
+  for (let start = fromSec; start <= toSec; start += span) {
+    chunks.push([start, Math.min(toSec, start + span - step)]);
+  }
+
+  let stitched = null;
+  let lastErr  = null;
+  for (let i = 0; i < chunks.length; i++) {
+    const [from, to] = chunks[i];
+    try {
+      const part = await _getChartHistory(base, '/v2/chart/history', {
+        symbol: chartSymbol,
+        resolution,
+        from: String(from),
+        to:   String(to),
+        cache_ttl: '10m',
+      });
+      stitched = mergeChartData(stitched, part);
+    } catch (err) {
+      if (err.chartStatus !== 'no_data') throw err;
+      lastErr = err;
+    }
+    onProgress?.({ done: i + 1, total: chunks.length });
+  }
+
+  if (!stitched) throw lastErr;
+  return stitched;
+}
+
+/**
+ * Chart history for `chartSymbol`, read through the persistent candle cache:
+ * when the cache already covers the window start, only bars from the last
+ * cached bar onwards are requested (that bar is re-fetched since it may have
+ * been incomplete), but never from before the window start — a cache last
+ * written long ago would otherwise pull the whole stretch since. Any hole
+ * that leaves is listed in the result's `gaps` (see findGaps).
+ */
+async function _getCachedChartHistory(base, chartSymbol, resolution, fromSec, toSec, onProgress) {
+  const fetchRange = (from, to) =>
+    _getChartHistoryChunked(base, chartSymbol, resolution, from, to, onProgress);
+
+  if (!candlePruneDone) {
+    candlePruneDone = true;
+    pruneExpiredCandles();
+  }
+
+  const key    = candleKey(base, chartSymbol, resolution);
+  const cached = await getCachedCandles(key);
+  const cachedData = cached?.data?.t?.length ? cached.data : null;
+  const topUp  = cachedData && cached.coveredFrom <= fromSec;
+
+  let fresh;
+  try {
+    fresh = await fetchRange(topUp ? Math.max(cachedData.t[cachedData.t.length - 1], fromSec) : fromSec, toSec);
+  } catch (err) {
+    if (!topUp) throw err;
+    fresh = null;   // e.g. "no_data" for a quiet contract — serve what we have
+  }
+
+  const merged = mergeChartData(cachedData, fresh);
+  const coveredFrom = topUp ? cached.coveredFrom : fromSec;
+  await putCachedCandles(key, chartSymbol, resolution, merged, coveredFrom);
+  const sliced = sliceChartData(merged, fromSec, toSec);
+  return { ...sliced, gaps: findGaps(sliced, resolution) };
+}
+
 /**
  * Create a configured Delta Exchange REST client.
  */
@@ -150,22 +403,30 @@ export function createDeltaClient(baseUrl = PROD_BASE_URL) {
   return {
     /**
      * Fetch all live option products for a given underlying asset.
-     * Used to discover available expiry dates.
+     * Provides contract size, tick size and settlement time per symbol.
+     * Results are cached for PRODUCT_CACHE_TTL_MS.
      * GET /v2/products?contract_types=call_options,put_options&states=live
      */
     getOptionProducts(underlyingAssetSymbol) {
-      return _getAll(base, '/v2/products', {
+      const key = `${base}|${underlyingAssetSymbol}`;
+      const cached = productCache.get(key);
+      if (cached && Date.now() - cached.fetchedAt < PRODUCT_CACHE_TTL_MS) return cached.promise;
+
+      const promise = _getAll(base, '/v2/products', {
         contract_types: 'call_options,put_options',
         states: 'live',
       }).then((products) =>
         // Filter by underlying asset (the product.underlying_asset.symbol field)
         products.filter(
           (p) =>
-            p.underlying_asset?.symbol === underlyingAssetSymbol ||
-            p.contract_type === 'call_options' ||
-            p.contract_type === 'put_options'
+            p.underlying_asset?.symbol === underlyingAssetSymbol &&
+            (p.contract_type === 'call_options' || p.contract_type === 'put_options')
         )
       );
+      productCache.set(key, { fetchedAt: Date.now(), promise });
+      // Never cache failures
+      promise.catch(() => productCache.delete(key));
+      return promise;
     },
 
     /**
@@ -188,17 +449,164 @@ export function createDeltaClient(baseUrl = PROD_BASE_URL) {
      *
      * Resolution is in minutes (e.g., 1, 5, 15, 30, 60, 120, 240, 360, 1440, 10080)
      * Returns TradingView format: { s, t, o, h, l, c, v }
+     *
+     * source is a CANDLE_SOURCES value; the endpoint picks the series by symbol
+     * prefix ("MARK:" mark price, "IV:" mark IV, none = last traded). For
+     * 'index' pass the spot index symbol. Each series is cached separately.
+     *
+     * Windows longer than the endpoint's bar limit are fetched in chunks;
+     * onProgress({ done, total }) reports each completed chunk. The result
+     * lists missing stretches in `gaps`.
      */
-    getOhlcCandles(symbol, resolution, fromSec, toSec) {
-      // Symbol must be prefixed with "MARK:" for the chart/history endpoint
-      const markSymbol = symbol.startsWith('MARK:') ? symbol : `MARK:${symbol}`;
-      return _getChartHistory(base, '/v2/chart/history', {
-        symbol: markSymbol,
-        resolution,
-        from: String(fromSec),
-        to:   String(toSec),
-        cache_ttl: '10m',
+    async getOhlcCandles(symbol, resolution, fromSec, toSec, source = 'mark', { onProgress } = {}) {
+      const { prefix } = CANDLE_SOURCES.find((s) => s.value === source) ?? CANDLE_SOURCES[0];
+      const chartSymbol = symbol.startsWith(prefix) ? symbol : `${prefix}${symbol}`;
+      return _getCachedChartHistory(base, chartSymbol, resolution, fromSec, toSec, onProgress);
+    },
+
+    /**
+     * Fetch OHLC candles of an underlying instrument — a perpetual
+     * (e.g. "BTCUSD", traded price) or a spot index (e.g. ".DEXBTUSD").
+     * Same window semantics and caching as getOhlcCandles().
+     */
+    async getUnderlyingCandles(symbol, resolution, fromSec, toSec, { onProgress } = {}) {
+      return _getCachedChartHistory(base, symbol, resolution, fromSec, toSec, onProgress);
+    },
+  };
+}
+
+// ─── Private API (signing proxy) ──────────────────────────────────────────────
+
+/**
+ * Signing-proxy base for a public proxy base URL, e.g.
+ * /api/delta/testnet → /api/delta-private/testnet (see api/_deltaPrivate.js).
+ */
+export function privateBaseUrl(baseUrl) {
+  return baseUrl.replace(/\/api\/delta\//, '/api/delta-private/').replace(/\/$/, '');
+}
+
+// Access token for the signing proxy (its DELTA_PROXY_TOKEN) — kept in this
+// browser only, sent with every private request
+const PROXY_TOKEN_KEY    = 'delta-dashboard:proxy-token';
+const PROXY_TOKEN_HEADER = 'x-delta-proxy-token';
+
+/** The stored signing-proxy access token, or '' when none. */
+export function getPrivateProxyToken() {
+  try {
+    return localStorage.getItem(PROXY_TOKEN_KEY) ?? '';
+  } catch {
+    return '';
+  }
+}
+
+/** Store (or with '' forget) the signing-proxy access token. */
+export function setPrivateProxyToken(token) {
+  try {
+    if (token) localStorage.setItem(PROXY_TOKEN_KEY, token);
+    else localStorage.removeItem(PROXY_TOKEN_KEY);
+  } catch {
+    // storage disabled — the token simply isn't remembered
+  }
+}
+
+/**
+ * Send one authenticated request through the signing proxy and unwrap the
+ * { success, result } envelope. Private calls bypass the shared scheduler —
+ * they are few, must never be deduplicated, and may not be retried blindly.
+ * Failures throw an Error carrying status, code (Delta error code or the
+ * proxy's error) and context.
+ */
+async function _privateRequest(base, method, path, { params = {}, body } = {}) {
+  const token = getPrivateProxyToken();
+  const response = await fetch(buildUrl(base, path, params), {
+    method,
+    headers: {
+      Accept: 'application/json',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { [PROXY_TOKEN_HEADER]: token } : {}),
+    },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  const payload = await parseErrorPayload(response);
+  if (response.ok && payload?.success !== false) return payload?.result ?? null;
+
+  const err = new Error(formatHttpError(response.status, path, payload));
+  err.status  = response.status;
+  err.code    = payload?.error?.code ?? (typeof payload?.error === 'string' ? payload.error : null);
+  err.context = payload?.error?.context ?? payload?.message ?? null;
+  throw err;
+}
+
+/**
+ * Create a client for the account endpoints of one environment.
+ * baseUrl is the environment's public proxy base (API_ENVIRONMENTS value);
+ * requests are signed server-side with that environment's API key.
+ */
+export function createDeltaPrivateClient(baseUrl = TEST_BASE_URL) {
+  const base = privateBaseUrl(baseUrl);
+
+  return {
+    /**
+     * Wallet balances per settling asset.
+     * GET /v2/wallet/balances
+     */
+    getWalletBalances() {
+      return _privateRequest(base, 'GET', '/v2/wallet/balances');
+    },
+
+    /**
+     * Open positions across all contracts.
+     * GET /v2/positions/margined
+     */
+    getPositions() {
+      return _privateRequest(base, 'GET', '/v2/positions/margined');
+    },
+
+    /**
+     * Open and pending orders.
+     * GET /v2/orders?states=open,pending
+     */
+    getOpenOrders() {
+      return _privateRequest(base, 'GET', '/v2/orders', { params: { states: 'open,pending' } });
+    },
+
+    /**
+     * Most recent fills, newest first.
+     * GET /v2/fills?page_size=50
+     */
+    getFills(pageSize = 50) {
+      return _privateRequest(base, 'GET', '/v2/fills', { params: { page_size: pageSize } });
+    },
+
+    /**
+     * Place an order — body from buildOrderPayload() (utils/orders.js).
+     * The signing proxy only forwards order routes on testnet by default.
+     * POST /v2/orders
+     */
+    placeOrder(body) {
+      return _privateRequest(base, 'POST', '/v2/orders', { body });
+    },
+
+    /**
+     * Change the limit price and / or size of an open order.
+     * PUT /v2/orders
+     */
+    editOrder({ id, product_id, limit_price, size }) {
+      return _privateRequest(base, 'PUT', '/v2/orders', {
+        body: {
+          id, product_id,
+          ...(limit_price != null ? { limit_price: String(limit_price) } : {}),
+          ...(size != null ? { size } : {}),
+        },
       });
     },
+
+    /**
+     * Cancel an open order.
+     * DELETE /v2/orders
+     */
+    cancelOrder({ id, product_id }) {
+      return _privateRequest(base, 'DELETE', '/v2/orders', { body: { id, product_id } });
+    },
   };
 }
@@ -0,0 +1,168 @@
+/**
+ * Delta Exchange public WebSocket client.
+ *
+ * Wraps a single socket connection with automatic reconnects (exponential
+ * backoff + jitter), heartbeat supervision and re-subscription of every
+ * channel after a reconnect.
+ *
+ * Reference: https://docs.delta.exchange/#websocket-feed
+ */
+
+import { TEST_BASE_URL } from './deltaClient';
+
+export const PROD_SOCKET_URL = 'wss://socket.india.delta.exchange';
+export const TEST_SOCKET_URL = 'wss://socket-ind.testnet.deltaex.org';
+
+const MIN_BACKOFF_MS      = 1000;
+const MAX_BACKOFF_MS      = 30000;
+// Delta sends a heartbeat every 30s once enabled; allow some slack before
+// treating the connection as dead.
+const HEARTBEAT_TIMEOUT_MS = 40000;
+
+/**
+ * Map a REST (proxy) base URL to the matching WebSocket endpoint.
+ * VITE_DELTA_SOCKET_URL overrides the mapping, e.g. to point at the local mock
+ * feed (scripts/delta-socket-stub.js).
+ */
+export function socketUrlForBase(baseUrl) {
+  const override = import.meta.env?.VITE_DELTA_SOCKET_URL;
+  if (override) return override;
+  if (baseUrl === TEST_BASE_URL || baseUrl?.includes('testnet')) return TEST_SOCKET_URL;
+  return PROD_SOCKET_URL;
+}
+
+/**
+ * Backoff delay (ms) for the n-th consecutive reconnect attempt (0-based).
+ * Full jitter: a random delay in [base/2, base].
+ */
+function backoffDelay(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, MIN_BACKOFF_MS * 2 ** attempt);
+  return base / 2 + Math.random() * (base / 2);
+}
+
+/**
+ * Create a self-healing Delta WebSocket connection.
+ *
+ * onMessage(msg)            — every parsed non-control message
+ * onStatus({ status, attempt, error }) — connection state changes
+ *   status: 'connecting' | 'open' | 'reconnecting' | 'closed'
+ *
+ * Returns { subscribe(channel, symbols), unsubscribe(channel, symbols), close() }.
+ */
+export function createDeltaSocket(url, { onMessage, onStatus } = {}) {
+  /** channel name → Set<symbol> — the desired subscriptions, replayed on reconnect */
+  const subscriptions = new Map();
+
+  let ws             = null;
+  let attempt        = 0;
+  let closedByUser   = false;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+
+  function emitStatus(status, error = null) {
+    onStatus?.({ status, attempt, error });
+  }
+
+  function send(msg) {
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+  }
+
+  function sendSubscription(type, name, symbols) {
+    if (!symbols.length) return;
+    send({ type, payload: { channels: [{ name, symbols }] } });
+  }
+
+  function armHeartbeat() {
+    clearTimeout(heartbeatTimer);
+    heartbeatTimer = setTimeout(() => {
+      // No traffic for too long — force a reconnect
+      try { ws?.close(); } catch { /* ignore */ }
+    }, HEARTBEAT_TIMEOUT_MS);
+  }
+
+  function scheduleReconnect() {
+    if (closedByUser) return;
+    const delay = backoffDelay(attempt);
+    attempt += 1;
+    emitStatus('reconnecting');
+    reconnectTimer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    emitStatus('connecting');
+    try {
+      ws = new WebSocket(url);
+    } catch (err) {
+      emitStatus('reconnecting', err.message);
+      scheduleReconnect();
+      return;
+    }
+
+    ws.onopen = () => {
+      attempt = 0;
+      emitStatus('open');
+      send({ type: 'enable_heartbeat' });
+      for (const [name, symbols] of subscriptions) {
+        sendSubscription('subscribe', name, [...symbols]);
+      }
+      armHeartbeat();
+    };
+
+    ws.onmessage = (event) => {
+      armHeartbeat();
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (msg.type === 'heartbeat' || msg.type === 'subscriptions') return;
+      onMessage?.(msg);
+    };
+
+    ws.onerror = () => {
+      // onclose always follows; reconnect is handled there
+    };
+
+    ws.onclose = () => {
+      clearTimeout(heartbeatTimer);
+      ws = null;
+      if (closedByUser) {
+        emitStatus('closed');
+        return;
+      }
+      scheduleReconnect();
+    };
+  }
+
+  connect();
+
+  return {
+    /** Add symbols to a channel subscription. */
+    subscribe(name, symbols) {
+      if (!subscriptions.has(name)) subscriptions.set(name, new Set());
+      const current = subscriptions.get(name);
+      const added = symbols.filter((s) => !current.has(s));
+      added.forEach((s) => current.add(s));
+      sendSubscription('subscribe', name, added);
+    },
+
+    /** Remove symbols from a channel subscription. */
+    unsubscribe(name, symbols) {
+      const current = subscriptions.get(name);
+      if (!current) return;
+      const removed = symbols.filter((s) => current.has(s));
+      removed.forEach((s) => current.delete(s));
+      sendSubscription('unsubscribe', name, removed);
+    },
+
+    /** Close the connection for good (no further reconnects). */
+    close() {
+      closedByUser = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(heartbeatTimer);
+      if (ws) ws.close();
+      else emitStatus('closed');
+    },
+  };
+}
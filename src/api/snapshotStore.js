@@ -0,0 +1,87 @@
+/**
+ * Option chain snapshot recorder (IndexedDB).
+ *
+ * Each snapshot holds the normalized records of every fetched asset at one
+ * moment: { baseUrl, takenAt, assets: { [asset]: records } }. Snapshots are
+ * keyed by [baseUrl, takenAt] so testnet and production timelines stay apart.
+ *
+ * Candles are not stored — they live in the candle cache.
+ * Every function degrades to a no-op when IndexedDB is unavailable.
+ */
+
+import { SNAPSHOT_STORE, withStore as withDbStore, promisify } from './dashboardDb';
+
+// Retention per environment: newest MAX_SNAPSHOTS, none older than MAX_AGE_MS
+const MAX_SNAPSHOTS = 200;
+const MAX_AGE_MS    = 7 * 24 * 3600 * 1000;
+
+const withStore = (mode, fn) => withDbStore(SNAPSHOT_STORE, mode, fn);
+
+function rangeFor(baseUrl) {
+  return IDBKeyRange.bound([baseUrl, 0], [baseUrl, Infinity]);
+}
+
+/**
+ * Timestamps (ms) of every snapshot recorded for baseUrl, oldest first.
+ */
+export async function listSnapshotTimes(baseUrl) {
+  try {
+    const keys = (await withStore('readonly', (store) => promisify(store.getAllKeys(rangeFor(baseUrl))))) ?? [];
+    return keys.map(([, takenAt]) => takenAt);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read one snapshot. Resolves to { baseUrl, takenAt, assets } or null.
+ */
+export async function loadSnapshot(baseUrl, takenAt) {
+  try {
+    return (await withStore('readonly', (store) => promisify(store.get([baseUrl, takenAt])))) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record the records of a useDeltaData assetData map, then apply retention.
+ * Resolves to the snapshot timestamp, or null when nothing was stored.
+ */
+export async function saveSnapshot(baseUrl, assetData, takenAt = Date.now()) {
+  const assets = {};
+  for (const [asset, entry] of assetData) {
+    if (entry.records?.length) assets[asset] = entry.records;
+  }
+  if (Object.keys(assets).length === 0) return null;
+
+  try {
+    await withStore('readwrite', (store) => promisify(store.put({ baseUrl, takenAt, assets })));
+    await pruneSnapshots(baseUrl, takenAt);
+    return takenAt;
+  } catch {
+    // Quota exceeded or store unavailable — recording is best-effort
+    return null;
+  }
+}
+
+async function pruneSnapshots(baseUrl, nowMs) {
+  const times = await listSnapshotTimes(baseUrl);
+  const excess = times.length - MAX_SNAPSHOTS;
+  const stale = times.filter((t, i) => i < excess || t < nowMs - MAX_AGE_MS);
+  if (stale.length === 0) return;
+  await withStore('readwrite', (store) =>
+    Promise.all(stale.map((t) => promisify(store.delete([baseUrl, t]))))
+  );
+}
+
+/**
+ * Delete every snapshot recorded for baseUrl.
+ */
+export async function clearSnapshots(baseUrl) {
+  try {
+    await withStore('readwrite', (store) => promisify(store.delete(rangeFor(baseUrl))));
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import {
+  API_ENVIRONMENTS, createDeltaPrivateClient, getPrivateProxyToken, setPrivateProxyToken,
+} from '../api/deltaClient';
+import { describeOrderError } from '../utils/orders';
+import { formatTimestamp } from '../utils/dataUtils';
+import OpenOrders from './OpenOrders';
+import styles from './AccountPanel.module.css';
+
+function fmtNum(v, digits = 4) {
+  if (v == null || v === '') return '-';
+  const n = Number(v);
+  return Number.isFinite(n) ? n.toLocaleString(undefined, { maximumFractionDigits: digits }) : String(v);
+}
+
+const pnlClass = (v) => (Number(v) > 0 ? styles.pos : Number(v) < 0 ? styles.neg : '');
+
+const SECTIONS = [
+  { key: 'balances',  load: (c) => c.getWalletBalances() },
+  { key: 'positions', load: (c) => c.getPositions()      },
+  { key: 'fills',     load: (c) => c.getFills()          },
+];
+
+/**
+ * "My Account": wallet balances, positions, open orders (with modify /
+ * cancel) and recent fills of the selected environment, through the signing proxy.
+ * baseUrl: API environment (public proxy base URL)
+ */
+export default function AccountPanel({ baseUrl }) {
+  const [version, setVersion] = useState(0);
+  // { key, data: { [section]: rows }, errors: { [section]: Error }, loadedAt }
+  const [account, setAccount] = useState(null);
+  const [tokenDraft, setTokenDraft] = useState(getPrivateProxyToken);
+  const requestKey = `${baseUrl}|${version}`;
+  const loading = account?.key !== requestKey;
+
+  useEffect(() => {
+    let cancelled = false;
+    const client = createDeltaPrivateClient(baseUrl);
+    Promise.allSettled(SECTIONS.map((s) => s.load(client))).then((results) => {
+      if (cancelled) return;
+      const data = {};
+      const errors = {};
+      results.forEach((r, i) => {
+        if (r.status === 'fulfilled') data[SECTIONS[i].key] = r.value ?? [];
+        else errors[SECTIONS[i].key] = r.reason;
+      });
+      setAccount({ key: `${baseUrl}|${version}`, data, errors, loadedAt: Date.now() });
+    });
+    return () => { cancelled = true; };
+  }, [baseUrl, version]);
+
+  const envLabel = API_ENVIRONMENTS.find((e) => e.value === baseUrl)?.label ?? baseUrl;
+  const errors   = account?.errors ?? {};
+  // Proxy refused before signing: keys / token not configured, or token missing
+  const notConfigured = Object.values(errors).find((e) => e.status === 503 || e.status === 401);
+  const rows = (key) => account?.data[key] ?? [];
+
+  function saveToken(e) {
+    e.preventDefault();
+    setPrivateProxyToken(tokenDraft.trim());
+    setVersion((v) => v + 1);
+  }
+
+  function sectionError(key) {
+    const err = errors[key];
+    return err && !notConfigured ? <div className={styles.error}>{err.message}</div> : null;
+  }
+
+  return (
+    <div className={styles.wrapper}>
+      <div className={styles.toolbar}>
+        <span className={styles.env}>{envLabel}</span>
+        <button className={styles.btn} onClick={() => setVersion((v) => v + 1)} disabled={loading}>
+          {loading ? 'Loading…' : '↻ Refresh'}
+        </button>
+        {account && !loading && (
+          <span className={styles.muted}>Updated {formatTimestamp(account.loadedAt)}</span>
+        )}
+        <form className={styles.tokenForm} onSubmit={saveToken}>
+          <input
+            className={styles.tokenInput}
+            type="password"
+            placeholder="Proxy access token"
+            autoComplete="off"
+            value={tokenDraft}
+            onChange={(e) => setTokenDraft(e.target.value)}
+          />
+          <button type="submit" className={styles.btn}>Save</button>
+        </form>
+      </div>
+
+      {notConfigured ? (
+        <div className={styles.empty}>
+          {describeOrderError(notConfigured)} — {notConfigured.context ?? notConfigured.message}.
+          <br />
+          Keys stay server-side; see scripts/delta-stub.js to try the flow against a local stub.
+        </div>
+      ) : (
+        <>
+          <section className={styles.section}>
+            <h3 className={styles.heading}>Wallet</h3>
+            {sectionError('balances')}
+            <div className={styles.cards}>
+              {rows('balances').map((b) => (
+                <div key={b.asset_symbol} className={styles.card}>
+                  <span className={styles.cardLabel}>{b.asset_symbol}</span>
+                  <span className={styles.cardValue}>{fmtNum(b.balance)}</span>
+                  <span className={styles.muted}>
+                    available {fmtNum(b.available_balance)} · order margin {fmtNum(b.order_margin)} · position margin {fmtNum(b.position_margin)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section className={styles.section}>
+            <h3 className={styles.heading}>Positions</h3>
+            {sectionError('positions')}
+            <div className={styles.tableScroll}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th className={styles.th}>Symbol</th>
+                    <th className={styles.th}>Size</th>
+                    <th className={styles.th}>Entry</th>
+                    <th className={styles.th}>Mark</th>
+                    <th className={styles.th}>Unrealized P&amp;L</th>
+                    <th className={styles.th}>Realized P&amp;L</th>
+                    <th className={styles.th}>Liq. price</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows('positions').map((p) => (
+                    <tr key={p.product_id ?? p.product_symbol}>
+                      <td className={`${styles.td} ${styles.sym}`}>{p.product_symbol}</td>
+                      <td className={`${styles.td} ${pnlClass(p.size)}`}>{p.size}</td>
+                      <td className={styles.td}>{fmtNum(p.entry_price)}</td>
+                      <td className={styles.td}>{fmtNum(p.mark_price)}</td>
+                      <td className={`${styles.td} ${pnlClass(p.unrealized_pnl)}`}>{fmtNum(p.unrealized_pnl)}</td>
+                      <td className={`${styles.td} ${pnlClass(p.realized_pnl)}`}>{fmtNum(p.realized_pnl)}</td>
+                      <td className={styles.td}>{fmtNum(p.liquidation_price)}</td>
+                    </tr>
+                  ))}
+                  {!loading && rows('positions').length === 0 && (
+                    <tr><td className={styles.td} colSpan={7}>No open positions</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section className={styles.section}>
+            <OpenOrders baseUrl={baseUrl} reloadKey={version} />
+          </section>
+
+          <section className={styles.section}>
+            <h3 className={styles.heading}>Recent fills</h3>
+            {sectionError('fills')}
+            <div className={styles.tableScroll}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th className={styles.th}>Symbol</th>
+                    <th className={styles.th}>Side</th>
+                    <th className={styles.th}>Size</th>
+                    <th className={styles.th}>Price</th>
+                    <th className={styles.th}>Fee</th>
+                    <th className={styles.th}>Role</th>
+                    <th className={styles.th}>Time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows('fills').map((f) => (
+                    <tr key={f.id}>
+                      <td className={`${styles.td} ${styles.sym}`}>{f.product_symbol}</td>
+                      <td className={`${styles.td} ${f.side === 'buy' ? styles.pos : styles.neg}`}>{f.side}</td>
+                      <td className={styles.td}>{f.size}</td>
+                      <td className={styles.td}>{fmtNum(f.price)}</td>
+                      <td className={styles.td}>{fmtNum(f.commission)}</td>
+                      <td className={styles.td}>{f.role ?? '-'}</td>
+                      <td className={styles.td}>{f.created_at ? formatTimestamp(Date.parse(f.created_at)) : '-'}</td>
+                    </tr>
+                  ))}
+                  {!loading && rows('fills').length === 0 && (
+                    <tr><td className={styles.td} colSpan={7}>No fills</td></tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
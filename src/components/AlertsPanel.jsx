@@ -0,0 +1,209 @@
+import { useState } from 'react';
+import useAlerts from '../hooks/useAlerts';
+import { ALERT_FIELDS, ALERT_OPERATORS, describeRule, ruleValue } from '../utils/alerts';
+import { formatTimestamp } from '../utils/dataUtils';
+import styles from './AlertsPanel.module.css';
+
+const COOLDOWNS = [
+  { value: 0,    label: 'None'   },
+  { value: 60,   label: '1 min'  },
+  { value: 300,  label: '5 min'  },
+  { value: 900,  label: '15 min' },
+  { value: 3600, label: '1 hour' },
+];
+
+const CONTRACT_FIELDS  = ALERT_FIELDS.filter((f) => f.level === 'contract');
+const AGGREGATE_FIELDS = ALERT_FIELDS.filter((f) => f.level === 'aggregate');
+
+function fmtValue(v) {
+  return v == null ? '-' : v.toLocaleString(undefined, { maximumFractionDigits: 4 });
+}
+
+/**
+ * Alert rules editor and fired-alert log. Rules are evaluated by App after
+ * every fetch / auto-refresh.
+ * assetData: useDeltaData() assetData; assets: configured assets
+ */
+export default function AlertsPanel({ assetData, assets }) {
+  const { rules, log, addRule, updateRule, removeRule, clearLog, permission, requestPermission } = useAlerts();
+
+  const [field,     setField]     = useState('atm_iv');
+  const [operator,  setOperator]  = useState('above');
+  const [threshold, setThreshold] = useState('');
+  const [cooldown,  setCooldown]  = useState(300);
+  const [assetPick, setAsset]     = useState(null);
+  const [expiry,    setExpiry]    = useState('');
+  const [symbol,    setSymbol]    = useState('');
+  const [error,     setError]     = useState(null);
+
+  const asset      = assets.includes(assetPick) ? assetPick : assets[0];
+  const isContract = CONTRACT_FIELDS.some((f) => f.value === field);
+  const records    = assetData.get(asset)?.records ?? [];
+  const expiries   = [...new Set(records.map((r) => r.expiry_date))].sort();
+  const symbols    = records.map((r) => r.symbol);
+
+  function handleAdd(e) {
+    e.preventDefault();
+    const value = Number(threshold);
+    if (threshold.trim() === '' || !Number.isFinite(value)) {
+      setError('Enter a numeric threshold');
+      return;
+    }
+    const sym = symbol.trim().toUpperCase();
+    if (isContract && !sym) {
+      setError('Contract fields need a symbol');
+      return;
+    }
+    addRule({
+      field,
+      operator,
+      threshold:   value,
+      cooldownSec: cooldown,
+      scope: {
+        asset,
+        expiry: !isContract && expiry ? expiry : null,
+        symbol: isContract ? sym : null,
+      },
+    });
+    setThreshold('');
+    setError(null);
+  }
+
+  return (
+    <div className={styles.wrapper}>
+      <form className={styles.form} onSubmit={handleAdd}>
+        <label className={styles.control}>
+          Asset
+          <select className={styles.select} value={asset} onChange={(e) => { setAsset(e.target.value); setExpiry(''); }}>
+            {assets.map((a) => <option key={a} value={a}>{a}</option>)}
+          </select>
+        </label>
+        <label className={styles.control}>
+          Field
+          <select className={styles.select} value={field} onChange={(e) => setField(e.target.value)}>
+            <optgroup label="Asset / expiry">
+              {AGGREGATE_FIELDS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </optgroup>
+            <optgroup label="Contract">
+              {CONTRACT_FIELDS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </optgroup>
+          </select>
+        </label>
+        {isContract ? (
+          <label className={styles.control}>
+            Symbol
+            <input
+              className={`${styles.input} ${styles.symbolInput}`}
+              list="alert-symbols"
+              value={symbol}
+              placeholder="C-BTC-90000-310125"
+              onChange={(e) => setSymbol(e.target.value)}
+            />
+            <datalist id="alert-symbols">
+              {symbols.map((s) => <option key={s} value={s} />)}
+            </datalist>
+          </label>
+        ) : (
+          <label className={styles.control}>
+            Expiry
+            <select className={styles.select} value={expiry} onChange={(e) => setExpiry(e.target.value)}>
+              <option value="">{field === 'atm_iv' ? 'Nearest' : 'All'}</option>
+              {expiries.map((d) => <option key={d} value={d}>{d}</option>)}
+            </select>
+          </label>
+        )}
+        <label className={styles.control}>
+          Condition
+          <select className={styles.select} value={operator} onChange={(e) => setOperator(e.target.value)}>
+            {ALERT_OPERATORS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </label>
+        <label className={styles.control}>
+          Threshold
+          <input
+            className={`${styles.input} ${styles.numInput}`}
+            type="number"
+            step="any"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+          />
+        </label>
+        <label className={styles.control}>
+          Cooldown
+          <select className={styles.select} value={cooldown} onChange={(e) => setCooldown(Number(e.target.value))}>
+            {COOLDOWNS.map((c) => <option key={c.value} value={c.value}>{c.label}</option>)}
+          </select>
+        </label>
+        <button type="submit" className={styles.btn}>Add rule</button>
+        {error && <span className={styles.error}>{error}</span>}
+      </form>
+
+      <div className={styles.notice}>
+        IV fields are in percent. Crossing conditions compare consecutive fetches — enable auto refresh to watch continuously.
+        {permission === 'default' && (
+          <button className={styles.linkBtn} onClick={requestPermission}>Enable browser notifications</button>
+        )}
+        {permission === 'denied' && <span className={styles.muted}> Browser notifications are blocked — alerts appear in the log only.</span>}
+        {permission === 'unsupported' && <span className={styles.muted}> This browser has no notifications — alerts appear in the log only.</span>}
+      </div>
+
+      {rules.length === 0 ? (
+        <div className={styles.empty}>No alert rules yet.</div>
+      ) : (
+        <div className={styles.tableScroll}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th className={styles.th}>On</th>
+                <th className={styles.th}>Rule</th>
+                <th className={styles.th}>Now</th>
+                <th className={styles.th}>Cooldown</th>
+                <th className={styles.th} />
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule) => (
+                <tr key={rule.id} className={rule.enabled ? undefined : styles.disabledRow}>
+                  <td className={styles.td}>
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                    />
+                  </td>
+                  <td className={styles.td}>{describeRule(rule)}</td>
+                  <td className={styles.td}>{fmtValue(ruleValue(rule, assetData))}</td>
+                  <td className={styles.td}>
+                    {COOLDOWNS.find((c) => c.value === rule.cooldownSec)?.label ?? `${rule.cooldownSec}s`}
+                  </td>
+                  <td className={styles.td}>
+                    <button className={styles.removeBtn} onClick={() => removeRule(rule.id)} aria-label="Delete rule">✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <section className={styles.log}>
+        <div className={styles.logHeader}>
+          <h3 className={styles.heading}>Alert log</h3>
+          {log.length > 0 && <button className={styles.linkBtn} onClick={clearLog}>Clear</button>}
+        </div>
+        {log.length === 0 ? (
+          <div className={styles.muted}>Nothing fired yet.</div>
+        ) : (
+          <ul className={styles.logList}>
+            {log.map((e, i) => (
+              <li key={`${e.at}-${e.ruleId}-${i}`} className={styles.logItem}>
+                <span className={styles.logTime}>{formatTimestamp(e.at)}</span>
+                {e.message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -1,18 +1,51 @@
-import { useMemo, useRef, useCallback } from 'react';
+import { useState, useMemo, useRef, useCallback } from 'react';
 import Highcharts from 'highcharts/highstock';
+// Registers on the highstock instance above — enables dragging pane borders
+import 'highcharts/modules/drag-panes';
 import _HighchartsReact from 'highcharts-react-official';
 const HighchartsReact = _HighchartsReact.default ?? _HighchartsReact;
-import { buildCandlestickSeries } from '../utils/dataUtils';
+import { buildCandlestickSeries, CANDLE_SOURCES, candlestickToCsv, downloadCsv } from '../utils/dataUtils';
+import { buildIndicatorSeries } from '../utils/indicators';
+import useIndicatorSettings from '../hooks/useIndicatorSettings';
+import IndicatorPanel from './IndicatorPanel';
 
-function buildOptions(asset, symbol, optionType, resolution, chartData, isMobile) {
+const PANE_GAP = 2;       // % between stacked panes
+const VOLUME_PANE = 14;   // % height of the volume pane when indicator panes are shown
+
+const RESIZE = { enabled: true, lineColor: '#2a2e39', lineWidth: 1 };
+
+/**
+ * Vertical layout (percent top / height) for price, volume and `n` indicator panes.
+ */
+function paneLayout(n) {
+  if (n === 0) {
+    return { price: { top: 0, height: 72 }, volume: { top: 74, height: 26 }, panes: [] };
+  }
+  const paneH  = n === 1 ? 20 : 16;
+  const priceH = 100 - PANE_GAP - VOLUME_PANE - n * (paneH + PANE_GAP);
+  const volTop = priceH + PANE_GAP;
+  const panes  = Array.from({ length: n }, (_, i) => ({
+    top: volTop + VOLUME_PANE + PANE_GAP + i * (paneH + PANE_GAP),
+    height: paneH,
+  }));
+  return { price: { top: 0, height: priceH }, volume: { top: volTop, height: VOLUME_PANE }, panes };
+}
+
+const pct = (v) => `${v}%`;
+
+const UNDERLYING_COLOR = '#b39ddb';
+
+function buildOptions(asset, symbol, optionType, resolution, chartData, isMobile, indicatorConfig, underlying, sourceLabel) {
   const parsed = buildCandlestickSeries(chartData);
-  const label = optionType === 'call' ? 'CE' : 'PE';
+  const underlyingParsed = buildCandlestickSeries(underlying?.chartData);
+  const { overlays, panes } = buildIndicatorSeries(parsed, indicatorConfig);
+  const layout = paneLayout(panes.length);
 
   const series = [];
   if (parsed) {
     series.push({
       type: 'candlestick',
-      name: symbol,
+      name: `${symbol} (${sourceLabel})`,
       data: parsed.ohlcData,
       upColor: '#26a69a',
       color: '#ef5350',
@@ -30,16 +63,41 @@ function buildOptions(asset, symbol, optionType, resolution, chartData, isMobile
       yAxis: 1,
       dataGrouping: { enabled: false },
     });
+    overlays.forEach((o) => series.push({ ...o, yAxis: 0 }));
+    panes.forEach((pane, i) => pane.series.forEach((o) => series.push({ ...o, yAxis: 2 + i })));
+    if (underlyingParsed) {
+      // Underlying close on its own left-hand axis over the price pane
+      series.push({
+        type: 'line',
+        name: underlying.symbol,
+        data: underlyingParsed.ohlcData.map(([t, , , , c]) => [t, c]),
+        color: UNDERLYING_COLOR,
+        lineWidth: 1,
+        opacity: 0.8,
+        marker: { enabled: false },
+        dataGrouping: { enabled: false },
+        yAxis: 2 + panes.length,
+      });
+    }
   }
 
+  const axisLabels = {
+    style: { color: '#9598a1', fontSize: '10px' },
+    align: 'left',
+    x: 4,
+    y: 3,
+  };
+
   return {
     chart: {
       backgroundColor: '#131722',
       style: { fontFamily: 'inherit' },
       // height is controlled by CSS / container — let Highcharts fill 100%
-      height: isMobile ? null : 420,
+      // desktop cards grow by one band per indicator pane
+      height: isMobile ? null : 420 + panes.length * 100,
       width: null,
-      margin: [32, 72, 0, 0],   // top, right, bottom, left  — right gives room for Y labels
+      // top, right, bottom, left — right gives room for Y labels, left for the underlying axis
+      margin: [32, 72, 0, underlyingParsed ? 60 : 0],
       spacing: [4, 4, 4, 4],
     },
     rangeSelector: { enabled: false },
@@ -58,10 +116,12 @@ function buildOptions(asset, symbol, optionType, resolution, chartData, isMobile
       gridLineColor: '#2a2e39',
       lineColor: '#2a2e39',
       tickColor: '#2a2e39',
+      // one crosshair across every pane and the underlying overlay
+      crosshair: { color: '#5a5e6b', dashStyle: 'Dash' },
     },
     yAxis: [
       {
-        // Price pane — top 72%
+        // Price pane — top of the chart
         title: { text: null },
         labels: {
           style: { color: '#9598a1', fontSize: isMobile ? '10px' : '11px' },
@@ -70,14 +130,15 @@ function buildOptions(asset, symbol, optionType, resolution, chartData, isMobile
           y: 3,
         },
         gridLineColor: '#2a2e39',
-        height: '72%',
-        resize: { enabled: true, lineColor: '#2a2e39', lineWidth: 1 },
+        top: pct(layout.price.top),
+        height: pct(layout.price.height),
+        resize: RESIZE,
         opposite: true,
         tickLength: 0,
         lineWidth: 0,
       },
       {
-        // Volume pane — bottom 24%, flush against price pane
+        // Volume pane — flush against price pane
         title: { text: null },
         labels: {
           style: { color: '#9598a1', fontSize: '10px' },
@@ -92,14 +153,56 @@ function buildOptions(asset, symbol, optionType, resolution, chartData, isMobile
           },
         },
         gridLineColor: '#2a2e39',
-        top: '74%',
-        height: '26%',
+        top: pct(layout.volume.top),
+        height: pct(layout.volume.height),
         offset: 0,
         opposite: true,
         tickLength: 0,
         lineWidth: 0,
         maxPadding: 0.05,
+        resize: panes.length > 0 ? RESIZE : undefined,
       },
+      // Indicator panes (RSI, MACD) below the volume
+      ...panes.map((pane, i) => ({
+        title: {
+          text: pane.label,
+          align: 'high',
+          rotation: 0,
+          textAlign: 'left',
+          x: 4,
+          y: 10,
+          style: { color: '#5a5e6b', fontSize: '10px' },
+        },
+        labels: axisLabels,
+        gridLineColor: '#2a2e39',
+        top: pct(layout.panes[i].top),
+        height: pct(layout.panes[i].height),
+        min: pane.min,
+        max: pane.max,
+        plotLines: pane.plotLines,
+        offset: 0,
+        opposite: true,
+        tickLength: 0,
+        lineWidth: 0,
+        resize: i < panes.length - 1 ? RESIZE : undefined,
+      })),
+      // Underlying price — overlays the price pane, labels on the left
+      ...(underlyingParsed ? [{
+        title: { text: null },
+        labels: {
+          style: { color: UNDERLYING_COLOR, fontSize: '10px' },
+          align: 'right',
+          x: -4,
+          y: 3,
+        },
+        gridLineWidth: 0,
+        top: pct(layout.price.top),
+        height: pct(layout.price.height),
+        opposite: false,
+        offset: 0,
+        tickLength: 0,
+        lineWidth: 0,
+      }] : []),
     ],
     tooltip: {
       split: false,
@@ -124,9 +227,20 @@ function buildOptions(asset, symbol, optionType, resolution, chartData, isMobile
   };
 }
 
-export default function CandlestickChart({ asset, symbol, optionType, resolution, chartData, height }) {
+/**
+ * Option candles with volume, selectable indicators and an optional
+ * underlying overlay ({ symbol, chartData }) on a secondary axis — it shares
+ * the x-axis, so crosshair, zoom and navigator apply to both.
+ */
+export default function CandlestickChart({
+  asset, symbol, optionType, resolution, chartData, height, underlying, priceSource = 'mark',
+}) {
   const isMobile = height === '100%';
+  const source   = CANDLE_SOURCES.find((s) => s.value === priceSource) ?? CANDLE_SOURCES[0];
   const chartRef = useRef(null);
+  const [indicatorConfig, setIndicatorConfig] = useIndicatorSettings();
+  const [showIndicators, setShowIndicators]   = useState(false);
+  const activeIndicators = Object.values(indicatorConfig).filter((c) => c.enabled).length;
 
   // reflow once the chart mounts so it picks up the flex-container's computed size
   const onChartCreated = useCallback((chart) => {
@@ -138,8 +252,10 @@ export default function CandlestickChart({ asset, symbol, optionType, resolution
   }, [isMobile]);
 
   const options = useMemo(
-    () => buildOptions(asset, symbol, optionType, resolution, chartData, isMobile),
-    [asset, symbol, optionType, resolution, chartData, isMobile]
+    () => buildOptions(
+      asset, symbol, optionType, resolution, chartData, isMobile, indicatorConfig, underlying, source.label
+    ),
+    [asset, symbol, optionType, resolution, chartData, isMobile, indicatorConfig, underlying, source.label]
   );
 
   const label = optionType === 'call' ? 'CE' : 'PE';
@@ -159,6 +275,66 @@ export default function CandlestickChart({ asset, symbol, optionType, resolution
     whiteSpace: 'nowrap',
   };
 
+  const gaps = chartData?.gaps ?? [];
+  const gapTag = gaps.length > 0 && (
+    <span
+      style={{ color: '#f0b90b', flexShrink: 0 }}
+      title={gaps.slice(0, 5).map((g) =>
+        `${new Date(g.from * 1000).toLocaleString()} → ${new Date(g.to * 1000).toLocaleString()} (${g.missing} bars)`
+      ).join('\n') + (gaps.length > 5 ? `\n… ${gaps.length - 5} more` : '')}
+    >
+      ⚠ {gaps.length} gap{gaps.length === 1 ? '' : 's'}
+    </span>
+  );
+
+  const underlyingTag = underlying?.symbol && (
+    <span style={{ color: UNDERLYING_COLOR, flexShrink: 0 }}>
+      vs {underlying.symbol}{!underlying.chartData && ' (no data)'}
+    </span>
+  );
+
+  const indicatorBtn = (
+    <button
+      onClick={() => setShowIndicators((v) => !v)}
+      title="Indicators"
+      style={{
+        marginLeft: 'auto',
+        flexShrink: 0,
+        background: showIndicators ? '#1e3a5f' : 'transparent',
+        border: `1px solid ${activeIndicators > 0 ? '#2962ff' : '#2a2e39'}`,
+        borderRadius: 4,
+        color: activeIndicators > 0 ? '#4c9be8' : '#9598a1',
+        fontSize: 11,
+        padding: '1px 8px',
+        cursor: 'pointer',
+      }}
+    >
+      ƒx{activeIndicators > 0 ? ` ${activeIndicators}` : ''}
+    </button>
+  );
+
+  const csvBtn = chartData?.t?.length > 0 && (
+    <button
+      onClick={() => downloadCsv(
+        candlestickToCsv([{ symbol, option_type: optionType, chartData }]),
+        `${symbol}_${resolution}m_candles.csv`
+      )}
+      title="Download candles as CSV"
+      style={{
+        flexShrink: 0,
+        background: 'transparent',
+        border: '1px solid #2a2e39',
+        borderRadius: 4,
+        color: '#9598a1',
+        fontSize: 11,
+        padding: '1px 8px',
+        cursor: 'pointer',
+      }}
+    >
+      ⬇ CSV
+    </button>
+  );
+
   if (isMobile) {
     /* Mobile: fill the flex parent fully — chart resizes to whatever height is available */
     return (
@@ -169,10 +345,16 @@ export default function CandlestickChart({ asset, symbol, optionType, resolution
           <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{symbol}</span>
           <span style={{ color: '#5a5e6b' }}>|</span>
           <span>{resolution}m</span>
+          <span style={{ color: '#5a5e6b' }}>|</span>
+          <span style={{ color: '#4c9be8' }} title={source.label}>{source.short}</span>
           {(!chartData || chartData.length === 0) && (
             <span style={{ color: '#ef5350' }}>(no data)</span>
           )}
+          {gapTag}
+          {underlyingTag}
+          {indicatorBtn}
         </div>
+        {showIndicators && <IndicatorPanel config={indicatorConfig} onChange={setIndicatorConfig} />}
         {/* This div must have a known height for Highcharts to fill 100% */}
         <div ref={chartRef} style={{ flex: 1, minHeight: 0, position: 'relative', overflow: 'hidden' }}>
           <HighchartsReact
@@ -181,6 +363,7 @@ export default function CandlestickChart({ asset, symbol, optionType, resolution
             constructorType="stockChart"
             containerProps={{ style: { position: 'absolute', inset: 0 } }}
             callback={onChartCreated}
+            updateArgs={[true, true, true]}
           />
         </div>
       </div>
@@ -196,15 +379,23 @@ export default function CandlestickChart({ asset, symbol, optionType, resolution
         <span style={{ fontWeight: 600, color: '#d1d4dc' }}>{symbol}</span>
         <span style={{ color: '#5a5e6b' }}>|</span>
         <span>Res: {resolution}m</span>
+        <span style={{ color: '#5a5e6b' }}>|</span>
+        <span style={{ color: '#4c9be8' }}>{source.label}</span>
         {(!chartData || chartData.length === 0) && (
           <span style={{ color: '#ef5350', marginLeft: 4 }}>(no candle data)</span>
         )}
+        {gapTag}
+        {underlyingTag}
+        {indicatorBtn}
+        {csvBtn}
       </div>
+      {showIndicators && <IndicatorPanel config={indicatorConfig} onChange={setIndicatorConfig} />}
       <HighchartsReact
         highcharts={Highcharts}
         options={options}
         constructorType="stockChart"
         containerProps={{ style: { width: '100%', display: 'block' } }}
+        updateArgs={[true, true, true]}
       />
     </div>
   );
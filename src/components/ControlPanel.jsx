@@ -1,9 +1,13 @@
-import { METRICS, RESOLUTIONS } from '../utils/dataUtils';
+import { METRICS, RESOLUTIONS, MAX_LOOKBACK_HOURS, CANDLE_SOURCES, REFRESH_INTERVALS, UNDERLYING_SOURCES, formatBytes } from '../utils/dataUtils';
+import useCandleCache from '../hooks/useCandleCache';
+import { API_ENVIRONMENTS } from '../api/deltaClient';
 import styles from './ControlPanel.module.css';
 
 const ASSETS = ['BTC', 'ETH', 'SOL', 'XRP', 'BNB', 'AVAX'];
 
 export default function ControlPanel({ settings, onChange, onFetch, loading }) {
+  const { stats: cacheStats, clear: clearCache } = useCandleCache(loading);
+
   function set(key, value) {
     onChange({ ...settings, [key]: value });
   }
@@ -27,8 +31,9 @@ export default function ControlPanel({ settings, onChange, onFetch, loading }) {
           value={settings.baseUrl}
           onChange={(e) => set('baseUrl', e.target.value)}
         >
-          <option value="https://api.india.delta.exchange">Production (India)</option>
-          <option value="https://cdn-ind.testnet.deltaex.org">Testnet (Demo)</option>
+          {API_ENVIRONMENTS.map((env) => (
+            <option key={env.value} value={env.value}>{env.label}</option>
+          ))}
         </select>
       </label>
 
@@ -76,6 +81,40 @@ export default function ControlPanel({ settings, onChange, onFetch, loading }) {
         />
       </label>
 
+      {/* Live streaming toggle */}
+      <label className={`${styles.label} ${styles.inline}`}>
+        <input
+          type="checkbox"
+          checked={settings.streaming}
+          onChange={(e) => set('streaming', e.target.checked)}
+        />
+        Live Streaming (WebSocket)
+      </label>
+
+      {/* Auto refresh */}
+      <label className={styles.label}>
+        Auto Refresh
+        <select
+          className={styles.select}
+          value={settings.refreshSec}
+          onChange={(e) => set('refreshSec', Number(e.target.value))}
+        >
+          {REFRESH_INTERVALS.map((r) => (
+            <option key={r.value} value={r.value}>{r.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* Snapshot recorder toggle */}
+      <label className={`${styles.label} ${styles.inline}`}>
+        <input
+          type="checkbox"
+          checked={settings.recordSnapshots}
+          onChange={(e) => set('recordSnapshots', e.target.checked)}
+        />
+        Record Snapshots (History)
+      </label>
+
       {/* Candlestick toggle */}
       <label className={`${styles.label} ${styles.inline}`}>
         <input
@@ -109,13 +148,41 @@ export default function ControlPanel({ settings, onChange, onFetch, loading }) {
               type="number"
               className={styles.input}
               min={1}
-              max={720}
+              max={MAX_LOOKBACK_HOURS}
               step={1}
               value={settings.lookbackHours}
               onChange={(e) => set('lookbackHours', parseInt(e.target.value, 10) || 24)}
             />
           </label>
 
+          {/* Candle price source */}
+          <label className={styles.label}>
+            Price Source
+            <select
+              className={styles.select}
+              value={settings.priceSource}
+              onChange={(e) => set('priceSource', e.target.value)}
+            >
+              {CANDLE_SOURCES.map((src) => (
+                <option key={src.value} value={src.value}>{src.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {/* Underlying overlay */}
+          <label className={styles.label}>
+            Underlying Overlay
+            <select
+              className={styles.select}
+              value={settings.underlying}
+              onChange={(e) => set('underlying', e.target.value)}
+            >
+              {UNDERLYING_SOURCES.map((u) => (
+                <option key={u.value} value={u.value}>{u.label}</option>
+              ))}
+            </select>
+          </label>
+
           {/* Top N per type */}
           <label className={styles.label}>
             Top Instruments per Type
@@ -132,6 +199,34 @@ export default function ControlPanel({ settings, onChange, onFetch, loading }) {
         </>
       )}
 
+      {/* Request concurrency */}
+      <label className={styles.label}>
+        Max Parallel Requests
+        <input
+          type="number"
+          className={styles.input}
+          min={1}
+          max={20}
+          step={1}
+          value={settings.concurrency}
+          onChange={(e) => set('concurrency', parseInt(e.target.value, 10) || 6)}
+        />
+      </label>
+
+      {/* Candle cache */}
+      <div className={styles.cacheRow}>
+        <span>
+          Candle cache: {cacheStats ? `${formatBytes(cacheStats.bytes)} · ${cacheStats.entries} series` : '…'}
+        </span>
+        <button
+          className={styles.linkBtn}
+          onClick={clearCache}
+          disabled={!cacheStats?.entries}
+        >
+          Clear
+        </button>
+      </div>
+
       {/* Fetch button */}
       <button
         className={styles.fetchBtn}
@@ -0,0 +1,139 @@
+import { useState, useMemo } from 'react';
+import { downloadFile } from '../utils/dataUtils';
+import {
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+  TIMESTAMP_FORMATS,
+  EXPORT_TIMEZONES,
+  buildExportDatasets,
+  serializeExport,
+  formatExportTime,
+} from '../utils/exportData';
+import styles from './ExportPanel.module.css';
+
+// Fixed instant for the timestamp preview
+const EXAMPLE_MS = Date.UTC(2025, 2, 14, 9, 30, 0);
+
+/**
+ * Export center for every fetched asset: pick datasets, columns, format and
+ * timestamp rendering, then download.
+ * assetData: useDeltaData() assetData (records may carry change fields)
+ */
+export default function ExportPanel({ assetData }) {
+  const [selected,   setSelected]   = useState(['chain']);
+  const [format,     setFormat]     = useState('csv');
+  const [timeFormat, setTimeFormat] = useState('iso');
+  const [timeZone,   setTimeZone]   = useState('UTC');
+  // Chosen columns per dataset id; a missing entry means every column
+  const [columns,    setColumns]    = useState({});
+  const [editing,    setEditing]    = useState(null);
+
+  const datasets = useMemo(() => buildExportDatasets(assetData), [assetData]);
+  const assets   = [...assetData.keys()];
+
+  function toggleDataset(id) {
+    setSelected((s) => (s.includes(id) ? s.filter((x) => x !== id) : [...s, id]));
+  }
+
+  function toggleColumn(id, key) {
+    const all = datasets.get(id).columns.map((c) => c.key);
+    setColumns((prev) => {
+      const cur = prev[id] ?? all;
+      const next = cur.includes(key) ? cur.filter((k) => k !== key) : all.filter((k) => k === key || cur.includes(k));
+      return { ...prev, [id]: next };
+    });
+  }
+
+  function handleExport() {
+    const chosen = EXPORT_DATASETS.filter((d) => selected.includes(d.value)).map((d) => datasets.get(d.value));
+    const stamp  = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+    const files  = serializeExport(chosen, {
+      format, timeFormat, timeZone, columns, prefix: `delta_${assets.join('-')}_${stamp}`,
+    });
+    files.forEach((f) => downloadFile(f.content, f.filename, f.mime));
+  }
+
+  const nothingSelected = selected.length === 0;
+  const perDatasetFiles = format === 'csv' || format === 'ndjson';
+
+  return (
+    <div className={styles.wrapper}>
+      <section className={styles.section}>
+        <h3 className={styles.heading}>Datasets <span className={styles.sub}>{assets.join(', ')}</span></h3>
+        {EXPORT_DATASETS.map(({ value, label }) => {
+          const ds = datasets.get(value);
+          const chosenCols = columns[value] ?? ds.columns.map((c) => c.key);
+          return (
+            <div key={value} className={styles.dataset}>
+              <label className={styles.check}>
+                <input type="checkbox" checked={selected.includes(value)} onChange={() => toggleDataset(value)} />
+                {label}
+                <span className={styles.count}>{ds.rows.length.toLocaleString()} rows</span>
+              </label>
+              <button
+                className={styles.linkBtn}
+                onClick={() => setEditing(editing === value ? null : value)}
+              >
+                {chosenCols.length}/{ds.columns.length} columns {editing === value ? '▴' : '▾'}
+              </button>
+              {editing === value && (
+                <div className={styles.columns}>
+                  {ds.columns.map((c) => (
+                    <label key={c.key} className={styles.colItem}>
+                      <input
+                        type="checkbox"
+                        checked={chosenCols.includes(c.key)}
+                        onChange={() => toggleColumn(value, c.key)}
+                      />
+                      {c.key}{c.time && <span className={styles.timeTag}>time</span>}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </section>
+
+      <section className={styles.section}>
+        <h3 className={styles.heading}>Format</h3>
+        <div className={styles.options}>
+          <label className={styles.control}>
+            File format
+            <select className={styles.select} value={format} onChange={(e) => setFormat(e.target.value)}>
+              {EXPORT_FORMATS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+          </label>
+          <label className={styles.control}>
+            Timestamps
+            <select className={styles.select} value={timeFormat} onChange={(e) => setTimeFormat(e.target.value)}>
+              {TIMESTAMP_FORMATS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+          </label>
+          <label className={styles.control}>
+            Timezone
+            <select
+              className={styles.select}
+              value={timeZone}
+              disabled={timeFormat === 'unix' || timeFormat === 'unix_ms'}
+              onChange={(e) => setTimeZone(e.target.value)}
+            >
+              {EXPORT_TIMEZONES.map((z) => <option key={z.value} value={z.value}>{z.label}</option>)}
+            </select>
+          </label>
+        </div>
+        <div className={styles.preview}>
+          Example timestamp: <code>{String(formatExportTime(EXAMPLE_MS, timeFormat, timeZone))}</code>
+          {' · '}
+          {format === 'xlsx' && 'one workbook, a sheet per dataset'}
+          {format === 'json' && 'one file keyed by dataset'}
+          {perDatasetFiles && 'one file per dataset'}
+        </div>
+      </section>
+
+      <button className={styles.exportBtn} onClick={handleExport} disabled={nothingSelected}>
+        ⬇ Export {selected.length} dataset{selected.length === 1 ? '' : 's'}
+      </button>
+    </div>
+  );
+}
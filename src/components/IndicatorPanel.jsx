@@ -0,0 +1,76 @@
+import { INDICATORS, paramBounds } from '../utils/indicators';
+import styles from './IndicatorPanel.module.css';
+
+/**
+ * Numeric parameter input — committed (clamped to its range) on blur / Enter
+ * so intermediate keystrokes never produce an invalid indicator.
+ * min / max are the param's bounds given its siblings (paramBounds).
+ */
+function ParamInput({ param, min, max, value, onCommit }) {
+  function commit(e) {
+    const n = parseFloat(e.target.value);
+    if (!Number.isFinite(n)) {
+      e.target.value = value;
+      return;
+    }
+    const clamped = Math.min(max, Math.max(min, n));
+    if (clamped !== value) onCommit(clamped);
+    else e.target.value = value;
+  }
+
+  return (
+    <label className={styles.param}>
+      {param.label}
+      <input
+        key={value}
+        type="number"
+        className={styles.input}
+        min={min}
+        max={max}
+        step={param.step}
+        defaultValue={value}
+        onBlur={commit}
+        onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+      />
+    </label>
+  );
+}
+
+/**
+ * Indicator selection and parameters for CandlestickChart.
+ * config / onChange come from useIndicatorSettings().
+ */
+export default function IndicatorPanel({ config, onChange }) {
+  function update(id, patch) {
+    onChange((prev) => ({ ...prev, [id]: { ...prev[id], ...patch } }));
+  }
+
+  return (
+    <div className={styles.panel}>
+      {INDICATORS.map((ind) => {
+        const cfg = config[ind.id];
+        return (
+          <div key={ind.id} className={`${styles.item} ${cfg.enabled ? styles.active : ''}`}>
+            <label className={styles.toggle}>
+              <input
+                type="checkbox"
+                checked={cfg.enabled}
+                onChange={(e) => update(ind.id, { enabled: e.target.checked })}
+              />
+              {ind.label}
+            </label>
+            {cfg.enabled && ind.params.map((p) => (
+              <ParamInput
+                key={p.key}
+                param={p}
+                {...paramBounds(ind, p, cfg)}
+                value={cfg[p.key]}
+                onCommit={(v) => update(ind.id, { [p.key]: v })}
+              />
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
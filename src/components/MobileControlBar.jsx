@@ -1,5 +1,9 @@
 import { useState } from 'react';
-import { RESOLUTIONS } from '../utils/dataUtils';
+import {
+  RESOLUTIONS, CANDLE_SOURCES, REFRESH_INTERVALS, UNDERLYING_SOURCES, formatBytes, isSymbolExpired,
+} from '../utils/dataUtils';
+import useCandleCache from '../hooks/useCandleCache';
+import { API_ENVIRONMENTS } from '../api/deltaClient';
 import styles from './MobileControlBar.module.css';
 
 const LOOKBACK_OPTIONS = [1, 2, 4, 6, 12, 24, 48, 72, 168];
@@ -24,14 +28,20 @@ export default function MobileControlBar({
   optionType,
   /* () => void */
   onOptionTypeToggle,
-  /* sorted records array (closest strike first) */
+  /* sorted records array (watchlist first, then closest strike) */
   symbols,
   symbolIndex,
   /* (dir: -1 | 1) => void */
   onSymbolNav,
   spotPrice,
+  /* pinned option symbols and (symbol) => void to pin / unpin */
+  watchlist = [],
+  onToggleWatch,
+  /* (record) => void — opens the order ticket for the current symbol */
+  onTrade,
 }) {
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const { stats: cacheStats, clear: clearCache } = useCandleCache(`${loading}-${settingsOpen}`);
 
   function set(key, value) {
     onChange({ ...settings, [key]: value });
@@ -39,6 +49,7 @@ export default function MobileControlBar({
 
   const sym    = symbols[symbolIndex] ?? null;
   const strike = sym?.strike;
+  const pinned = sym != null && watchlist.includes(sym.symbol);
 
   return (
     <div className={styles.bar}>
@@ -69,6 +80,19 @@ export default function MobileControlBar({
             </select>
           </label>
 
+          <label className={styles.pillWrap}>
+            <span className={styles.pillHint}>Src</span>
+            <select
+              className={styles.pill}
+              value={settings.priceSource}
+              onChange={(e) => set('priceSource', e.target.value)}
+            >
+              {CANDLE_SOURCES.map((src) => (
+                <option key={src.value} value={src.value}>{src.short}</option>
+              ))}
+            </select>
+          </label>
+
           <label className={styles.pillWrap}>
             <span className={styles.pillHint}>LB</span>
             <select
@@ -103,8 +127,9 @@ export default function MobileControlBar({
               value={settings.baseUrl}
               onChange={(e) => set('baseUrl', e.target.value)}
             >
-              <option value="https://api.india.delta.exchange">Production (India)</option>
-              <option value="https://cdn-ind.testnet.deltaex.org">Testnet</option>
+              {API_ENVIRONMENTS.map((env) => (
+                <option key={env.value} value={env.value}>{env.label}</option>
+              ))}
             </select>
           </label>
           <label className={`${styles.settingsRow} ${styles.checkRow}`}>
@@ -115,6 +140,46 @@ export default function MobileControlBar({
             />
             <span className={styles.settingsLabel}>Fetch candlestick charts</span>
           </label>
+          <label className={styles.settingsRow}>
+            <span className={styles.settingsLabel}>Underlying</span>
+            <select
+              className={styles.settingsSelect}
+              value={settings.underlying}
+              onChange={(e) => set('underlying', e.target.value)}
+            >
+              {UNDERLYING_SOURCES.map((u) => (
+                <option key={u.value} value={u.value}>{u.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className={`${styles.settingsRow} ${styles.checkRow}`}>
+            <input
+              type="checkbox"
+              checked={settings.streaming}
+              onChange={(e) => set('streaming', e.target.checked)}
+            />
+            <span className={styles.settingsLabel}>Live streaming</span>
+          </label>
+          <label className={styles.settingsRow}>
+            <span className={styles.settingsLabel}>Auto refresh</span>
+            <select
+              className={styles.settingsSelect}
+              value={settings.refreshSec}
+              onChange={(e) => set('refreshSec', Number(e.target.value))}
+            >
+              {REFRESH_INTERVALS.map((r) => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className={`${styles.settingsRow} ${styles.checkRow}`}>
+            <input
+              type="checkbox"
+              checked={settings.recordSnapshots}
+              onChange={(e) => set('recordSnapshots', e.target.checked)}
+            />
+            <span className={styles.settingsLabel}>Record snapshots</span>
+          </label>
           <label className={styles.settingsRow}>
             <span className={styles.settingsLabel}>Min OI</span>
             <input
@@ -126,6 +191,19 @@ export default function MobileControlBar({
               onChange={(e) => set('minOpenInterest', parseFloat(e.target.value) || 0)}
             />
           </label>
+          <div className={styles.settingsRow}>
+            <span className={styles.settingsLabel}>Cache</span>
+            <span className={styles.cacheInfo}>
+              {cacheStats ? `${formatBytes(cacheStats.bytes)} · ${cacheStats.entries} series` : '…'}
+            </span>
+            <button
+              className={styles.cacheClear}
+              onClick={clearCache}
+              disabled={!cacheStats?.entries}
+            >
+              Clear
+            </button>
+          </div>
         </div>
       )}
 
@@ -178,12 +256,29 @@ export default function MobileControlBar({
 
         <div className={styles.symCenter}>
           <span className={styles.symName}>
+            {sym && onToggleWatch && (
+              <button
+                className={`${styles.watchBtn} ${pinned ? styles.watchBtnActive : ''}`}
+                onClick={() => onToggleWatch(sym.symbol)}
+                aria-label={pinned ? 'Remove from watchlist' : 'Add to watchlist'}
+              >
+                {pinned ? '★' : '☆'}
+              </button>
+            )}
             {sym?.symbol ?? (symbols.length === 0 ? 'Tap Fetch to load' : '—')}
+            {sym && isSymbolExpired(sym.symbol, sym) && (
+              <span className={styles.expiredTag}>expired</span>
+            )}
+            {sym && onTrade && !isSymbolExpired(sym.symbol, sym) && (
+              <button className={styles.tradeBtn} onClick={() => onTrade(sym)} aria-label="Order ticket">
+                Trade
+              </button>
+            )}
           </span>
           {symbols.length > 0 && (
             <span className={styles.symMeta}>
               {symbolIndex + 1}&nbsp;/&nbsp;{symbols.length}
-              &nbsp;·&nbsp;closest to spot first
+              &nbsp;·&nbsp;{watchlist.length > 0 ? 'watchlist, then closest to spot' : 'closest to spot first'}
             </span>
           )}
         </div>
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { createDeltaPrivateClient } from '../api/deltaClient';
+import { buildEditPayload, describeOrderError } from '../utils/orders';
+import { formatTimestamp } from '../utils/dataUtils';
+import styles from './OpenOrders.module.css';
+
+function fmtNum(v) {
+  if (v == null || v === '') return '-';
+  const n = Number(v);
+  return Number.isFinite(n) ? n.toLocaleString(undefined, { maximumFractionDigits: 8 }) : String(v);
+}
+
+/**
+ * Open orders of one environment with inline modify (limit price / size)
+ * and cancel, through the signing proxy.
+ * symbol: only list this contract; tickSize: modified prices must be on it
+ * reloadKey: bump to reload (e.g. after placing an order)
+ */
+export default function OpenOrders({ baseUrl, symbol = null, tickSize = null, reloadKey = 0 }) {
+  const [version, setVersion] = useState(0);
+  const [result,  setResult]  = useState(null);   // { key, orders, error }
+  const [editing, setEditing] = useState(null);   // { id, price, size } as typed
+  const [busyId,  setBusyId]  = useState(null);
+  const [message, setMessage] = useState(null);   // { text, error? }
+  const requestKey = `${baseUrl}|${reloadKey}|${version}`;
+  const loading = result?.key !== requestKey;
+
+  useEffect(() => {
+    let cancelled = false;
+    const key = `${baseUrl}|${reloadKey}|${version}`;
+    createDeltaPrivateClient(baseUrl).getOpenOrders().then(
+      (orders) => { if (!cancelled) setResult({ key, orders: orders ?? [], error: null }); },
+      (error)  => { if (!cancelled) setResult({ key, orders: [], error }); },
+    );
+    return () => { cancelled = true; };
+  }, [baseUrl, reloadKey, version]);
+
+  const orders = (result?.orders ?? []).filter((o) => !symbol || o.product_symbol === symbol);
+
+  async function run(order, action, done) {
+    setBusyId(order.id);
+    setMessage(null);
+    try {
+      await action(createDeltaPrivateClient(baseUrl));
+      setMessage({ text: done });
+      setEditing(null);
+      setVersion((v) => v + 1);
+    } catch (err) {
+      setMessage({ text: describeOrderError(err), error: true });
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  function saveEdit(order) {
+    let payload;
+    try {
+      payload = buildEditPayload(order, { limitPrice: Number(editing.price), size: Number(editing.size) }, tickSize);
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+      return;
+    }
+    run(order, (c) => c.editOrder(payload), `Order ${order.id} modified`);
+  }
+
+  function cancel(order) {
+    run(order, (c) => c.cancelOrder({ id: order.id, product_id: order.product_id }), `Order ${order.id} cancelled`);
+  }
+
+  return (
+    <div className={styles.wrapper}>
+      <div className={styles.header}>
+        <h3 className={styles.heading}>Open orders{symbol && <span className={styles.sub}>{symbol}</span>}</h3>
+        <button className={styles.linkBtn} onClick={() => setVersion((v) => v + 1)} disabled={loading}>
+          {loading ? 'Loading…' : '↻ Refresh'}
+        </button>
+        {message && <span className={message.error ? styles.error : styles.ok}>{message.text}</span>}
+      </div>
+      {result?.error && <div className={styles.error}>{describeOrderError(result.error)}</div>}
+
+      <div className={styles.tableScroll}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              {!symbol && <th className={styles.th}>Symbol</th>}
+              <th className={styles.th}>Side</th>
+              <th className={styles.th}>Type</th>
+              <th className={styles.th}>Size</th>
+              <th className={styles.th}>Unfilled</th>
+              <th className={styles.th}>Limit</th>
+              <th className={styles.th}>Flags</th>
+              <th className={styles.th}>Created</th>
+              <th className={styles.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((o) => {
+              const isEditing = editing?.id === o.id;
+              const isLimit   = o.order_type !== 'market_order';
+              return (
+                <tr key={o.id}>
+                  {!symbol && <td className={`${styles.td} ${styles.sym}`}>{o.product_symbol}</td>}
+                  <td className={`${styles.td} ${o.side === 'buy' ? styles.buy : styles.sell}`}>{o.side}</td>
+                  <td className={styles.td}>{isLimit ? 'limit' : 'market'}</td>
+                  <td className={styles.td}>
+                    {isEditing ? (
+                      <input
+                        className={styles.input}
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={editing.size}
+                        onChange={(e) => setEditing({ ...editing, size: e.target.value })}
+                      />
+                    ) : o.size}
+                  </td>
+                  <td className={styles.td}>{o.unfilled_size}</td>
+                  <td className={styles.td}>
+                    {isEditing ? (
+                      <input
+                        className={styles.input}
+                        type="number"
+                        step={tickSize ?? 'any'}
+                        value={editing.price}
+                        onChange={(e) => setEditing({ ...editing, price: e.target.value })}
+                      />
+                    ) : fmtNum(o.limit_price)}
+                  </td>
+                  <td className={styles.td}>
+                    {[o.post_only && 'post-only', o.reduce_only && 'reduce-only'].filter(Boolean).join(', ') || '-'}
+                  </td>
+                  <td className={styles.td}>{o.created_at ? formatTimestamp(Date.parse(o.created_at)) : '-'}</td>
+                  <td className={styles.td}>
+                    {isEditing ? (
+                      <>
+                        <button className={styles.linkBtn} onClick={() => saveEdit(o)} disabled={busyId === o.id}>Save</button>
+                        <button className={styles.mutedBtn} onClick={() => setEditing(null)}>Discard</button>
+                      </>
+                    ) : (
+                      <>
+                        {isLimit && (
+                          <button
+                            className={styles.linkBtn}
+                            onClick={() => setEditing({ id: o.id, price: String(o.limit_price ?? ''), size: String(o.size) })}
+                            disabled={busyId === o.id}
+                          >
+                            Modify
+                          </button>
+                        )}
+                        <button className={styles.cancelBtn} onClick={() => cancel(o)} disabled={busyId === o.id}>
+                          Cancel
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+            {!loading && orders.length === 0 && !result?.error && (
+              <tr><td className={styles.td} colSpan={symbol ? 8 : 9}>No open orders</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
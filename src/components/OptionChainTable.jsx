@@ -1,5 +1,8 @@
 import { useState, useMemo } from 'react';
-import { expiryLabel, downloadCsv, recordsToCsv, getExpiryOptions } from '../utils/dataUtils';
+import { expiryLabel, downloadCsv, recordsToCsv, getExpiryOptions, formatTimestamp } from '../utils/dataUtils';
+import { BUILDUPS } from '../utils/positioning';
+import StraddleChain from './StraddleChain';
+import PaperFillForm from './PaperFillForm';
 import styles from './OptionChainTable.module.css';
 
 const COLUMNS = [
@@ -7,6 +10,7 @@ const COLUMNS = [
   { key: 'option_type',  label: 'Type'       },
   { key: 'strike',       label: 'Strike'     },
   { key: 'expiry_date',  label: 'Expiry'     },
+  { key: 'dte',          label: 'DTE'        },
   { key: 'mark_price',   label: 'Mark'       },
   { key: 'bid_price',    label: 'Bid'        },
   { key: 'ask_price',    label: 'Ask'        },
@@ -14,38 +18,148 @@ const COLUMNS = [
   { key: 'ask_iv',       label: 'Ask IV'     },
   { key: 'open_interest',label: 'OI'         },
   { key: 'volume',       label: 'Volume'     },
+  { key: 'notional_oi_usd', label: 'OI $'    },
+  { key: 'contract_value', label: 'Lot'      },
   { key: 'spot_price',   label: 'Spot'       },
   { key: 'delta',        label: 'Δ Delta'    },
   { key: 'gamma',        label: 'Γ Gamma'    },
   { key: 'theta',        label: 'Θ Theta'    },
   { key: 'vega',         label: 'V Vega'     },
+  { key: 'mark_iv',      label: 'Mark IV*'   },
+  { key: 'theo_price',   label: 'Theo*'      },
+  { key: 'theo_delta',   label: 'Δ*'         },
+  { key: 'theo_gamma',   label: 'Γ*'         },
+  { key: 'theo_theta',   label: 'Θ*'         },
+  { key: 'theo_vega',    label: 'V*'         },
 ];
 
+// Shown after Volume when records carry changes against a baseline
+const CHANGE_COLUMNS = [
+  { key: 'oi_change',    label: 'ΔOI'        },
+  { key: 'price_change', label: 'ΔMark'      },
+  { key: 'buildup',      label: 'Build-up'   },
+];
+
+// Contract-level columns that make no sense per side of a straddle row
+const STRADDLE_EXCLUDED = ['symbol', 'option_type', 'strike', 'expiry_date', 'dte', 'spot_price', 'contract_value'];
+
+const VIEWS = [
+  { value: 'list',     label: 'List'     },
+  { value: 'straddle', label: 'Straddle' },
+];
+
+const BUILDUP_LABELS = Object.fromEntries(BUILDUPS.map((b) => [b.value, b.label]));
+
+const BUILDUP_CLASSES = {
+  long_buildup:   styles.longBuildup,
+  short_buildup:  styles.shortBuildup,
+  short_covering: styles.shortCovering,
+  long_unwinding: styles.longUnwinding,
+};
+
+function withChangeColumns(columns) {
+  const at = columns.findIndex((c) => c.key === 'volume') + 1;
+  return [...columns.slice(0, at), ...CHANGE_COLUMNS, ...columns.slice(at)];
+}
+
+const FIXED_4DP = [
+  'delta', 'gamma', 'rho', 'theta', 'vega', 'bid_iv', 'ask_iv',
+  'mark_iv', 'theo_delta', 'theo_gamma', 'theo_theta', 'theo_vega',
+];
+
+// Cells that flash when a refresh or live tick changes them
+const FLASH_FIELDS = [
+  'mark_price', 'bid_price', 'ask_price', 'bid_iv', 'ask_iv', 'mark_iv', 'open_interest',
+];
+
+/**
+ * Direction of change per symbol and field between two record sets:
+ * Map<symbol, { [field]: 'up' | 'down' }>
+ */
+function diffFlashes(prev, next) {
+  const before = new Map(prev.map((r) => [r.symbol, r]));
+  const out = new Map();
+  for (const r of next) {
+    const p = before.get(r.symbol);
+    if (!p) continue;
+    const fields = {};
+    for (const f of FLASH_FIELDS) {
+      if (p[f] != null && r[f] != null && p[f] !== r[f]) fields[f] = r[f] > p[f] ? 'up' : 'down';
+    }
+    if (Object.keys(fields).length) out.set(r.symbol, fields);
+  }
+  return out;
+}
+
 function fmt(value, key) {
   if (value == null) return '-';
+  if (key === 'buildup') return BUILDUP_LABELS[value] ?? value;
+  if (key === 'oi_change' || key === 'price_change') {
+    const s = value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+    return value > 0 ? `+${s}` : s;
+  }
   if (typeof value === 'number') {
-    if (['delta', 'gamma', 'rho', 'theta', 'vega', 'bid_iv', 'ask_iv'].includes(key))
+    if (FIXED_4DP.includes(key))
       return value.toFixed(4);
+    if (key === 'dte') return value.toFixed(2);
+    if (key === 'notional_oi_usd') return value.toLocaleString(undefined, { maximumFractionDigits: 0 });
     return value.toLocaleString(undefined, { maximumFractionDigits: 4 });
   }
   return String(value);
 }
 
-export default function OptionChainTable({ asset, records }) {
+/**
+ * Sortable, filterable option chain.
+ * lastUpdated / nextRefreshAt (ms) and refreshPaused describe auto-refresh;
+ * cells whose values change between renders of `records` flash green / red.
+ * baselineLabel names the baseline of the records' oi_change / price_change /
+ * buildup fields (see withOiChange); without it those columns are hidden.
+ * watchlist / onToggleWatch(symbol) add a column of ☆ buttons pinning contracts.
+ * onPaperFill(record, fill) adds a column opening a paper-trade fill form
+ * (see PaperFillForm) for the row.
+ * onTrade(record) adds a column of buttons opening the order ticket.
+ * expiry / onExpiryChange control the expiry filter ('all' or an expiry_date)
+ * from outside; without them the table keeps its own.
+ */
+export default function OptionChainTable({
+  asset, records, onAddLeg, lastUpdated, nextRefreshAt, refreshPaused, refreshing, baselineLabel,
+  watchlist, onToggleWatch, expiry, onExpiryChange, onPaperFill, onTrade,
+}) {
   const [typeFilter,   setTypeFilter]   = useState('all');
-  const [expiryFilter, setExpiryFilter] = useState('all');
+  const [ownExpiry,    setOwnExpiry]    = useState('all');
+  const [buildupFilter, setBuildupFilter] = useState('all');
+  const [view,         setView]         = useState('list');
   const [sortKey,      setSortKey]      = useState('strike');
   const [sortAsc,      setSortAsc]      = useState(true);
   const [page,         setPage]         = useState(1);
+  const [paperSymbol,  setPaperSymbol]  = useState(null);   // row with the fill form open
   const PAGE_SIZE = 50;
 
+  // Compare against the previous records whenever a new set arrives;
+  // flashVersion re-keys changed cells so their animation restarts
+  const [prevRecords,  setPrevRecords]  = useState(records);
+  const [flashes,      setFlashes]      = useState(() => new Map());
+  const [flashVersion, setFlashVersion] = useState(0);
+  if (records !== prevRecords) {
+    setPrevRecords(records);
+    setFlashes(diffFlashes(prevRecords, records));
+    setFlashVersion((v) => v + 1);
+  }
+
   // Build available expiry options from records
   const expiryOptions = useMemo(() => getExpiryOptions(records), [records]);
+  // An expiry this chain does not list (other asset, expired) falls back to all
+  const selectedExpiry  = expiry ?? ownExpiry;
+  const setExpiryFilter = onExpiryChange ?? setOwnExpiry;
+  const expiryFilter    = expiryOptions.some((e) => e.expiryDate === selectedExpiry) ? selectedExpiry : 'all';
+  const columns = baselineLabel ? withChangeColumns(COLUMNS) : COLUMNS;
+  const activeBuildup = baselineLabel ? buildupFilter : 'all';
 
   const filtered = useMemo(() => {
     let rows = records;
     if (typeFilter !== 'all')   rows = rows.filter((r) => r.option_type === typeFilter);
     if (expiryFilter !== 'all') rows = rows.filter((r) => r.expiry_date === expiryFilter);
+    if (activeBuildup !== 'all') rows = rows.filter((r) => r.buildup === activeBuildup);
 
     rows = [...rows].sort((a, b) => {
       const va = a[sortKey] ?? '';
@@ -55,7 +169,16 @@ export default function OptionChainTable({ asset, records }) {
       return 0;
     });
     return rows;
-  }, [records, typeFilter, expiryFilter, sortKey, sortAsc]);
+  }, [records, typeFilter, expiryFilter, activeBuildup, sortKey, sortAsc]);
+
+  // Straddle view shows one expiry — the selected one, else the nearest
+  const straddleExpiry  = expiryFilter !== 'all' ? expiryFilter : expiryOptions[0]?.expiryDate;
+  const straddleRecords = useMemo(
+    () => records.filter((r) => r.expiry_date === straddleExpiry),
+    [records, straddleExpiry]
+  );
+
+  const paperRecord = paperSymbol ? records.find((r) => r.symbol === paperSymbol) : null;
 
   const totalPages = Math.ceil(filtered.length / PAGE_SIZE);
   const paged = filtered.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
@@ -67,21 +190,54 @@ export default function OptionChainTable({ asset, records }) {
   }
 
   function handleDownload() {
-    downloadCsv(recordsToCsv(filtered), `${asset}_option_chain.csv`);
+    downloadCsv(
+      recordsToCsv(view === 'straddle' ? straddleRecords : filtered),
+      `${asset}_option_chain.csv`
+    );
+  }
+
+  function cellClass(row, key) {
+    const flash = flashes.get(row.symbol)?.[key];
+    return [
+      key === 'option_type' ? (row.option_type === 'call' ? styles.call : styles.put) : '',
+      key === 'buildup' ? BUILDUP_CLASSES[row.buildup] ?? '' : '',
+      row.model_filled?.includes(key) ? styles.modelFilled : '',
+      flash === 'up' ? styles.flashUp : flash === 'down' ? styles.flashDown : '',
+    ].join(' ');
+  }
+
+  // Changed cells get a new key so their flash animation restarts
+  function cellKey(row, key) {
+    return flashes.get(row.symbol)?.[key] ? `${key}:${flashVersion}` : key;
   }
 
   return (
     <div className={styles.wrapper}>
       <div className={styles.toolbar}>
-        <span className={styles.count}>{filtered.length} records</span>
+        <span className={styles.count}>
+          {view === 'straddle' ? `${straddleRecords.length} records` : `${filtered.length} records`}
+        </span>
+
+        {/* Layout */}
+        <div className={styles.viewToggle}>
+          {VIEWS.map((v) => (
+            <button
+              key={v.value}
+              className={`${styles.viewBtn} ${view === v.value ? styles.viewBtnActive : ''}`}
+              onClick={() => setView(v.value)}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
 
         {/* Expiry filter */}
         <select
           className={styles.select}
-          value={expiryFilter}
+          value={view === 'straddle' ? straddleExpiry ?? '' : expiryFilter}
           onChange={(e) => { setExpiryFilter(e.target.value); setPage(1); }}
         >
-          <option value="all">All Expiries</option>
+          {view === 'list' && <option value="all">All Expiries</option>}
           {expiryOptions.map((exp) => (
             <option key={exp.expiryDate} value={exp.expiryDate}>
               {exp.displayLabel}
@@ -90,70 +246,156 @@ export default function OptionChainTable({ asset, records }) {
         </select>
 
         {/* Type filter */}
-        <select
-          className={styles.select}
-          value={typeFilter}
-          onChange={(e) => { setTypeFilter(e.target.value); setPage(1); }}
-        >
-          <option value="all">All Types</option>
-          <option value="call">CE (Call)</option>
-          <option value="put">PE (Put)</option>
-        </select>
+        {view === 'list' && (
+          <select
+            className={styles.select}
+            value={typeFilter}
+            onChange={(e) => { setTypeFilter(e.target.value); setPage(1); }}
+          >
+            <option value="all">All Types</option>
+            <option value="call">CE (Call)</option>
+            <option value="put">PE (Put)</option>
+          </select>
+        )}
+
+        {/* Build-up filter */}
+        {view === 'list' && baselineLabel && (
+          <select
+            className={styles.select}
+            value={buildupFilter}
+            onChange={(e) => { setBuildupFilter(e.target.value); setPage(1); }}
+          >
+            <option value="all">All Build-ups</option>
+            {BUILDUPS.map((b) => (
+              <option key={b.value} value={b.value}>{b.label}</option>
+            ))}
+          </select>
+        )}
+
+        {lastUpdated != null && (
+          <span className={styles.refreshInfo}>
+            Updated {formatTimestamp(lastUpdated)}
+            {refreshing
+              ? ' · refreshing…'
+              : nextRefreshAt != null && (refreshPaused
+                ? ' · auto-refresh paused (tab hidden)'
+                : ` · next ${formatTimestamp(nextRefreshAt)}`)}
+          </span>
+        )}
 
         <button className={styles.dlBtn} onClick={handleDownload}>⬇ CSV</button>
       </div>
+      <div className={styles.note}>
+        * Black-Scholes model values · italic cells are model-filled where the API had none
+        {baselineLabel && ` · ΔOI, ΔMark and build-up vs ${baselineLabel}`}
+      </div>
 
-      <div className={styles.tableScroll}>
-        <table className={styles.table}>
-          <thead>
-            <tr>
-              {COLUMNS.map((col) => (
-                <th
-                  key={col.key}
-                  className={styles.th}
-                  onClick={() => handleSort(col.key)}
-                >
-                  {col.label}
-                  {sortKey === col.key ? (sortAsc ? ' ↑' : ' ↓') : ''}
-                </th>
-              ))}
-            </tr>
-          </thead>
-          <tbody>
-            {paged.map((row) => (
-              <tr key={row.symbol} className={styles.tr}>
-                {COLUMNS.map((col) => (
-                  <td
-                    key={col.key}
-                    className={`${styles.td} ${
-                      col.key === 'option_type'
-                        ? row.option_type === 'call' ? styles.call : styles.put
-                        : ''
-                    }`}
-                  >
-                    {fmt(row[col.key], col.key)}
-                  </td>
+      {onPaperFill && paperRecord && (
+        <PaperFillForm
+          key={paperRecord.symbol}
+          record={paperRecord}
+          onSubmit={onPaperFill}
+          onClose={() => setPaperSymbol(null)}
+        />
+      )}
+
+      {view === 'straddle' ? (
+        <StraddleChain
+          records={straddleRecords}
+          columns={columns.filter((c) => !STRADDLE_EXCLUDED.includes(c.key))}
+          format={fmt}
+          cellClass={cellClass}
+          cellKey={cellKey}
+        />
+      ) : (
+        <>
+          <div className={styles.tableScroll}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  {columns.map((col) => (
+                    <th
+                      key={col.key}
+                      className={styles.th}
+                      onClick={() => handleSort(col.key)}
+                    >
+                      {col.label}
+                      {sortKey === col.key ? (sortAsc ? ' ↑' : ' ↓') : ''}
+                    </th>
+                  ))}
+                  {onToggleWatch && <th className={styles.th}>Watch</th>}
+                  {onAddLeg && <th className={styles.th}>Leg</th>}
+                  {onPaperFill && <th className={styles.th}>Paper</th>}
+                  {onTrade && <th className={styles.th}>Order</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {paged.map((row) => (
+                  <tr key={row.symbol} className={styles.tr}>
+                    {columns.map((col) => (
+                      <td
+                        key={cellKey(row, col.key)}
+                        className={`${styles.td} ${cellClass(row, col.key)}`}
+                        title={row.model_filled?.includes(col.key) ? 'Model value (missing from API)' : undefined}
+                      >
+                        {fmt(row[col.key], col.key)}
+                      </td>
+                    ))}
+                    {onToggleWatch && (
+                      <td className={styles.td}>
+                        <button
+                          className={`${styles.watchBtn} ${watchlist?.includes(row.symbol) ? styles.watched : ''}`}
+                          onClick={() => onToggleWatch(row.symbol)}
+                          title={watchlist?.includes(row.symbol) ? 'Remove from watchlist' : 'Add to watchlist'}
+                        >
+                          {watchlist?.includes(row.symbol) ? '★' : '☆'}
+                        </button>
+                      </td>
+                    )}
+                    {onAddLeg && (
+                      <td className={styles.td}>
+                        <button className={`${styles.legBtn} ${styles.call}`} onClick={() => onAddLeg(row, 'buy')} title="Add buy leg">B</button>
+                        <button className={`${styles.legBtn} ${styles.put}`} onClick={() => onAddLeg(row, 'sell')} title="Add sell leg">S</button>
+                      </td>
+                    )}
+                    {onPaperFill && (
+                      <td className={styles.td}>
+                        <button
+                          className={styles.legBtn}
+                          onClick={() => setPaperSymbol(paperSymbol === row.symbol ? null : row.symbol)}
+                          title="Paper trade"
+                        >
+                          P
+                        </button>
+                      </td>
+                    )}
+                    {onTrade && (
+                      <td className={styles.td}>
+                        <button className={styles.legBtn} onClick={() => onTrade(row)} title="Order ticket">T</button>
+                      </td>
+                    )}
+                  </tr>
                 ))}
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
+              </tbody>
+            </table>
+          </div>
 
-      {totalPages > 1 && (
-        <div className={styles.pagination}>
-          <button
-            disabled={page === 1}
-            onClick={() => setPage(page - 1)}
-            className={styles.pgBtn}
-          >‹</button>
-          <span className={styles.pgInfo}>Page {page} / {totalPages}</span>
-          <button
-            disabled={page === totalPages}
-            onClick={() => setPage(page + 1)}
-            className={styles.pgBtn}
-          >›</button>
-        </div>
+          {totalPages > 1 && (
+            <div className={styles.pagination}>
+              <button
+                disabled={page === 1}
+                onClick={() => setPage(page - 1)}
+                className={styles.pgBtn}
+              >‹</button>
+              <span className={styles.pgInfo}>Page {page} / {totalPages}</span>
+              <button
+                disabled={page === totalPages}
+                onClick={() => setPage(page + 1)}
+                className={styles.pgBtn}
+              >›</button>
+            </div>
+          )}
+        </>
       )}
     </div>
   );
@@ -0,0 +1,191 @@
+import { useState } from 'react';
+import { API_ENVIRONMENTS, TEST_BASE_URL, createDeltaPrivateClient } from '../api/deltaClient';
+import {
+  ORDER_TYPES, PRICE_PREFILLS, roundToTick, tickDecimals, buildOrderPayload, describeOrderError,
+} from '../utils/orders';
+import OpenOrders from './OpenOrders';
+import styles from './OrderTicket.module.css';
+
+/** Quote of a prefill source rounded to the contract's tick, as input text. */
+function prefillPrice(record, source) {
+  const field = PRICE_PREFILLS.find((p) => p.value === source).field;
+  const price = roundToTick(record[field], record.tick_size);
+  return price == null ? '' : price.toFixed(tickDecimals(record.tick_size));
+}
+
+/**
+ * Order ticket for one contract, sent through the signing proxy: limit or
+ * market, size in contracts, post-only / reduce-only, and a limit price
+ * prefilled from bid / ask / mark rounded to the tick size. Below it, the
+ * contract's open orders with modify / cancel.
+ * record: the contract's live normalized record
+ * baseUrl: API environment — only testnet accepts orders unless the server
+ * sets DELTA_ALLOW_PROD_ORDERS=true
+ */
+export default function OrderTicket({ record, baseUrl, onClose }) {
+  const [side,       setSide]       = useState('buy');
+  const [orderType,  setOrderType]  = useState('limit_order');
+  const [size,       setSize]       = useState('1');
+  const [prefill,    setPrefill]    = useState('ask');
+  const [price,      setPrice]      = useState(() => prefillPrice(record, 'ask'));
+  const [postOnly,   setPostOnly]   = useState(false);
+  const [reduceOnly, setReduceOnly] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [outcome,    setOutcome]    = useState(null);   // { text, error? }
+  const [reloadKey,  setReloadKey]  = useState(0);
+
+  const isTestnet = baseUrl === TEST_BASE_URL;
+  const envLabel  = API_ENVIRONMENTS.find((e) => e.value === baseUrl)?.label ?? baseUrl;
+  const isLimit   = orderType === 'limit_order';
+
+  function applyPrefill(source) {
+    setPrefill(source);
+    setPrice(prefillPrice(record, source));
+  }
+
+  function pickSide(next) {
+    setSide(next);
+    // Buys default to the offer, sells to the bid — unless prefilling from mark
+    if (prefill !== 'mark') applyPrefill(next === 'buy' ? 'ask' : 'bid');
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setOutcome(null);
+    let payload;
+    try {
+      payload = buildOrderPayload(record, {
+        side, orderType, size: Number(size), limitPrice: Number(price), postOnly: isLimit && postOnly, reduceOnly,
+      });
+    } catch (err) {
+      setOutcome({ text: err.message, error: true });
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const order = await createDeltaPrivateClient(baseUrl).placeOrder(payload);
+      setOutcome({ text: `Order ${order?.id ?? ''} accepted — ${order?.state ?? 'open'}` });
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setOutcome({ text: describeOrderError(err), error: true });
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className={styles.overlay} onClick={onClose}>
+      <div className={styles.ticket} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <span className={styles.symbol}>{record.symbol}</span>
+          <span className={`${styles.env} ${isTestnet ? styles.envTest : styles.envProd}`}>{envLabel}</span>
+          <button className={styles.closeBtn} onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        {!isTestnet && (
+          <div className={styles.notice}>
+            Orders are limited to testnet — the server rejects them here unless DELTA_ALLOW_PROD_ORDERS=true is set.
+          </div>
+        )}
+
+        <form className={styles.form} onSubmit={handleSubmit}>
+          <div className={styles.row}>
+            <div className={styles.toggle}>
+              {['buy', 'sell'].map((s) => (
+                <button
+                  key={s}
+                  type="button"
+                  className={`${styles.toggleBtn} ${side === s ? styles[s] : ''}`}
+                  onClick={() => pickSide(s)}
+                >
+                  {s === 'buy' ? 'Buy' : 'Sell'}
+                </button>
+              ))}
+            </div>
+            <div className={styles.toggle}>
+              {ORDER_TYPES.map((t) => (
+                <button
+                  key={t.value}
+                  type="button"
+                  className={`${styles.toggleBtn} ${orderType === t.value ? styles.active : ''}`}
+                  onClick={() => setOrderType(t.value)}
+                >
+                  {t.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <label className={styles.control}>
+            Contracts
+            <input
+              className={styles.input}
+              type="number"
+              min="1"
+              step="1"
+              value={size}
+              onChange={(e) => setSize(e.target.value)}
+            />
+          </label>
+
+          {isLimit && (
+            <>
+              <label className={styles.control}>
+                Limit price
+                <input
+                  className={styles.input}
+                  type="number"
+                  min={record.tick_size ?? 0}
+                  step={record.tick_size ?? 'any'}
+                  value={price}
+                  onChange={(e) => setPrice(e.target.value)}
+                />
+                {record.tick_size != null && <span className={styles.muted}>tick {record.tick_size}</span>}
+              </label>
+              <div className={styles.prefills}>
+                {PRICE_PREFILLS.map((p) => (
+                  <button
+                    key={p.value}
+                    type="button"
+                    className={`${styles.prefillBtn} ${prefill === p.value ? styles.active : ''}`}
+                    onClick={() => applyPrefill(p.value)}
+                    disabled={record[p.field] == null}
+                  >
+                    {p.label} <span className={styles.quote}>{record[p.field] ?? '-'}</span>
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div className={styles.row}>
+            <label className={`${styles.check} ${isLimit ? '' : styles.disabled}`}>
+              <input
+                type="checkbox"
+                checked={isLimit && postOnly}
+                disabled={!isLimit}
+                onChange={(e) => setPostOnly(e.target.checked)}
+              />
+              Post-only
+            </label>
+            <label className={styles.check}>
+              <input type="checkbox" checked={reduceOnly} onChange={(e) => setReduceOnly(e.target.checked)} />
+              Reduce-only
+            </label>
+          </div>
+
+          <button
+            type="submit"
+            className={`${styles.submitBtn} ${styles[side]}`}
+            disabled={submitting}
+          >
+            {submitting ? 'Sending…' : `${side === 'buy' ? 'Buy' : 'Sell'} ${size || 0} ${isLimit ? `@ ${price || '-'}` : 'at market'}`}
+          </button>
+          {outcome && <div className={outcome.error ? styles.error : styles.ok}>{outcome.text}</div>}
+        </form>
+
+        <OpenOrders baseUrl={baseUrl} symbol={record.symbol} tickSize={record.tick_size} reloadKey={reloadKey} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { PRICE_SOURCES } from '../utils/portfolio';
+import styles from './PaperFillForm.module.css';
+
+function fmtUsd(v) {
+  return v == null ? '-' : v.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 2 });
+}
+
+/**
+ * Paper fill on one contract: side, size in contracts and the quote to fill at.
+ * record: the contract's live normalized record
+ * onSubmit(record, { side, qty, priceSource }) may throw — its message is shown
+ */
+export default function PaperFillForm({ record, onSubmit, onClose }) {
+  const [side,        setSide]        = useState('buy');
+  const [qty,         setQty]         = useState('1');
+  const [priceSource, setPriceSource] = useState('ask');
+  const [error,       setError]       = useState(null);
+
+  const price   = record[PRICE_SOURCES.find((s) => s.value === priceSource).field];
+  const size    = Number(qty);
+  const premium = price != null && size > 0 ? price * size * (record.contract_value ?? 1) : null;
+
+  function pickSide(next) {
+    setSide(next);
+    // Buys lift the offer, sells hit the bid — unless filling at mark
+    if (priceSource !== 'mark') setPriceSource(next === 'buy' ? 'ask' : 'bid');
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    try {
+      onSubmit(record, { side, qty: size, priceSource });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <form className={styles.form} onSubmit={handleSubmit}>
+      <span className={styles.symbol}>{record.symbol}</span>
+
+      <div className={styles.sides}>
+        {['buy', 'sell'].map((s) => (
+          <button
+            key={s}
+            type="button"
+            className={`${styles.sideBtn} ${side === s ? styles[s] : ''}`}
+            onClick={() => pickSide(s)}
+          >
+            {s === 'buy' ? 'Buy' : 'Sell'}
+          </button>
+        ))}
+      </div>
+
+      <label className={styles.control}>
+        Contracts
+        <input
+          className={styles.input}
+          type="number"
+          min="1"
+          step="1"
+          value={qty}
+          onChange={(e) => setQty(e.target.value)}
+        />
+      </label>
+
+      <div className={styles.sources}>
+        {PRICE_SOURCES.map((s) => (
+          <label key={s.value} className={styles.source}>
+            <input
+              type="radio"
+              name="paper-price"
+              checked={priceSource === s.value}
+              onChange={() => setPriceSource(s.value)}
+            />
+            {s.label} <span className={styles.quote}>{record[s.field] ?? '-'}</span>
+          </label>
+        ))}
+      </div>
+
+      <span className={styles.premium}>
+        {side === 'buy' ? 'Pay' : 'Receive'} {fmtUsd(premium)}
+      </span>
+
+      <button type="submit" className={styles.submitBtn}>Paper {side}</button>
+      <button type="button" className={styles.cancelBtn} onClick={onClose}>Cancel</button>
+      {error && <span className={styles.error}>{error}</span>}
+    </form>
+  );
+}
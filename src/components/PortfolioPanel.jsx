@@ -0,0 +1,210 @@
+import { useState, useRef } from 'react';
+import usePortfolio from '../hooks/usePortfolio';
+import { createDeltaClient } from '../api/deltaClient';
+import { revaluePortfolio, expiredOpenPositions } from '../utils/portfolio';
+import { formatTimestamp, downloadFile } from '../utils/dataUtils';
+import styles from './PortfolioPanel.module.css';
+
+function fmtNum(v, digits = 4) {
+  return v == null ? '-' : v.toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+function fmtUsd(v) {
+  return v == null ? '-' : v.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 2 });
+}
+
+const pnlClass = (v) => (v > 0 ? styles.pos : v < 0 ? styles.neg : '');
+
+/**
+ * Paper-trading portfolio: positions marked to the latest fetch, P&L totals,
+ * the trade journal, settlement of expired positions and JSON export / import.
+ * Fills are entered from the Option Chain tab.
+ * assetData: useDeltaData() assetData; baseUrl: API environment for settlement prices
+ */
+export default function PortfolioPanel({ assetData, baseUrl }) {
+  const {
+    journal, positions, addFill, removeEntry, resetPortfolio, exportPortfolio, importPortfolio, settleExpired,
+  } = usePortfolio();
+  const [showClosed, setShowClosed] = useState(false);
+  const [message,    setMessage]    = useState(null);   // { text, error? }
+  const [settling,   setSettling]   = useState(false);
+  const fileRef = useRef(null);
+
+  const { rows, totals } = revaluePortfolio(positions, assetData);
+  const visible = showClosed ? rows : rows.filter((r) => r.qty !== 0);
+  const openCount = rows.filter((r) => r.qty !== 0).length;
+  const expired   = new Set(expiredOpenPositions(positions).map((p) => p.symbol));
+
+  function closeAtMark(row) {
+    const record = assetData.get(row.asset)?.records.find((r) => r.symbol === row.symbol);
+    try {
+      addFill(record, { side: row.qty > 0 ? 'sell' : 'buy', qty: Math.abs(row.qty), priceSource: 'mark' });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  }
+
+  async function handleSettle() {
+    setSettling(true);
+    const n = await settleExpired(createDeltaClient(baseUrl));
+    setSettling(false);
+    setMessage({ text: n > 0 ? `Settled ${n} expired position${n === 1 ? '' : 's'}` : 'Nothing to settle yet' });
+  }
+
+  function handleExport() {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(exportPortfolio(), `paper_portfolio_${stamp}.json`, 'application/json');
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      importPortfolio(await file.text());
+      setMessage({ text: `Imported ${file.name}` });
+    } catch (err) {
+      setMessage({ text: `Import failed: ${err.message}`, error: true });
+    }
+  }
+
+  function handleReset() {
+    if (window.confirm('Delete every paper trade? Export first to keep a copy.')) resetPortfolio();
+  }
+
+  function status(row) {
+    if (row.settled && row.qty === 0) return 'Settled';
+    if (row.qty === 0) return 'Closed';
+    if (expired.has(row.symbol)) return <span className={styles.warn}>Expired · awaiting settlement</span>;
+    if (row.mark_price == null) return <span className={styles.muted}>{row.asset} not fetched</span>;
+    return 'Open';
+  }
+
+  return (
+    <div className={styles.wrapper}>
+      <div className={styles.cards}>
+        <div className={styles.card}>
+          <span className={styles.cardLabel}>Unrealized P&amp;L</span>
+          <span className={`${styles.cardValue} ${pnlClass(totals.unrealized)}`}>{fmtUsd(totals.unrealized)}</span>
+        </div>
+        <div className={styles.card}>
+          <span className={styles.cardLabel}>Realized P&amp;L</span>
+          <span className={`${styles.cardValue} ${pnlClass(totals.realized)}`}>{fmtUsd(totals.realized)}</span>
+        </div>
+        <div className={styles.card}>
+          <span className={styles.cardLabel}>Total P&amp;L</span>
+          <span className={`${styles.cardValue} ${pnlClass(totals.total)}`}>{fmtUsd(totals.total)}</span>
+        </div>
+        <div className={styles.card}>
+          <span className={styles.cardLabel}>Net premium</span>
+          <span className={styles.cardValue}>{fmtUsd(totals.netPremium)}</span>
+        </div>
+        <div className={styles.card}>
+          <span className={styles.cardLabel}>Open positions</span>
+          <span className={styles.cardValue}>{openCount}</span>
+        </div>
+      </div>
+
+      <div className={styles.toolbar}>
+        <label className={styles.check}>
+          <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+          Show closed
+        </label>
+        <button className={styles.btn} onClick={handleSettle} disabled={settling}>
+          {settling ? 'Settling…' : 'Settle expired'}
+        </button>
+        <button className={styles.btn} onClick={handleExport} disabled={journal.length === 0}>⬇ Export JSON</button>
+        <button className={styles.btn} onClick={() => fileRef.current.click()}>⬆ Import JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+        <button className={styles.dangerBtn} onClick={handleReset} disabled={journal.length === 0}>Reset</button>
+        {message && <span className={message.error ? styles.error : styles.muted}>{message.text}</span>}
+      </div>
+
+      {journal.length === 0 ? (
+        <div className={styles.empty}>No paper trades yet — use the P button in the Option Chain tab.</div>
+      ) : (
+        <>
+          <div className={styles.tableScroll}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th className={styles.th}>Symbol</th>
+                  <th className={styles.th}>Status</th>
+                  <th className={styles.th}>Qty</th>
+                  <th className={styles.th}>Avg price</th>
+                  <th className={styles.th}>Mark</th>
+                  <th className={styles.th}>Value</th>
+                  <th className={styles.th}>Unrealized</th>
+                  <th className={styles.th}>Realized</th>
+                  <th className={styles.th}>Net premium</th>
+                  <th className={styles.th} />
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((r) => (
+                  <tr key={r.symbol}>
+                    <td className={`${styles.td} ${styles.sym}`}>{r.symbol}</td>
+                    <td className={styles.td}>{status(r)}</td>
+                    <td className={`${styles.td} ${pnlClass(r.qty)}`}>{r.qty}</td>
+                    <td className={styles.td}>{r.qty !== 0 ? fmtNum(r.avg_price) : '-'}</td>
+                    <td className={styles.td}>{fmtNum(r.mark_price)}</td>
+                    <td className={styles.td}>{fmtUsd(r.market_value)}</td>
+                    <td className={`${styles.td} ${pnlClass(r.unrealized_pnl)}`}>{fmtUsd(r.unrealized_pnl)}</td>
+                    <td className={`${styles.td} ${pnlClass(r.realized_pnl)}`}>{fmtUsd(r.realized_pnl)}</td>
+                    <td className={styles.td}>{fmtUsd(r.net_premium)}</td>
+                    <td className={styles.td}>
+                      {r.qty !== 0 && r.mark_price != null && (
+                        <button className={styles.linkBtn} onClick={() => closeAtMark(r)}>Close @ mark</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className={styles.heading}>Journal</h3>
+          <div className={styles.tableScroll}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th className={styles.th}>Time</th>
+                  <th className={styles.th}>Symbol</th>
+                  <th className={styles.th}>Type</th>
+                  <th className={styles.th}>Side</th>
+                  <th className={styles.th}>Qty</th>
+                  <th className={styles.th}>Price</th>
+                  <th className={styles.th}>Cash</th>
+                  <th className={styles.th} />
+                </tr>
+              </thead>
+              <tbody>
+                {[...journal].reverse().map((e) => {
+                  const cash = (e.side === 'buy' ? -1 : 1) * e.price * e.qty * (e.contract_value ?? 1);
+                  return (
+                    <tr key={e.id}>
+                      <td className={styles.td}>{formatTimestamp(e.at)}</td>
+                      <td className={`${styles.td} ${styles.sym}`}>{e.symbol}</td>
+                      <td className={styles.td}>
+                        {e.kind === 'settlement' ? `Settlement @ spot ${fmtNum(e.settlement_spot, 2)}` : 'Fill'}
+                      </td>
+                      <td className={`${styles.td} ${e.side === 'buy' ? styles.pos : styles.neg}`}>{e.side}</td>
+                      <td className={styles.td}>{e.qty}</td>
+                      <td className={styles.td}>
+                        {fmtNum(e.price)} <span className={styles.muted}>{e.price_source}</span>
+                      </td>
+                      <td className={`${styles.td} ${pnlClass(cash)}`}>{fmtUsd(cash)}</td>
+                      <td className={styles.td}>
+                        <button className={styles.removeBtn} onClick={() => removeEntry(e.id)} aria-label="Delete entry">✕</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
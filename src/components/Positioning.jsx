@@ -0,0 +1,203 @@
+import { useState, useMemo } from 'react';
+import Highcharts from 'highcharts';
+import _HighchartsReact from 'highcharts-react-official';
+const HighchartsReact = _HighchartsReact.default ?? _HighchartsReact;
+import { positioningByExpiry, withOiChange, oiChangeByStrike } from '../utils/positioning';
+import styles from './Positioning.module.css';
+
+function fmtRatio(v) {
+  return v == null ? '-' : v.toFixed(2);
+}
+
+function fmtNum(v) {
+  return v == null ? '-' : v.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function buildOptions(asset, pos) {
+  const plotLines = [];
+  if (pos.spot != null) {
+    plotLines.push({
+      value: pos.spot, color: '#00c4b4', width: 1, dashStyle: 'Dash', zIndex: 5,
+      label: { text: `Spot ${fmtNum(pos.spot)}`, align: 'right', style: { color: '#00c4b4', fontSize: '10px' } },
+    });
+  }
+  if (pos.maxPain != null) {
+    plotLines.push({
+      value: pos.maxPain, color: '#f0b90b', width: 1, dashStyle: 'Dot', zIndex: 5,
+      label: { text: `Max pain ${fmtNum(pos.maxPain)}`, align: 'left', style: { color: '#f0b90b', fontSize: '10px' } },
+    });
+  }
+
+  return {
+    chart: {
+      type: 'bar',
+      backgroundColor: '#131722',
+      style: { fontFamily: 'inherit' },
+      height: Math.max(320, Math.min(900, pos.byStrike.length * 14 + 100)),
+    },
+    title: {
+      text: `${asset} Open Interest by Strike — Expiry ${pos.expiryDate}`,
+      style: { color: '#d1d4dc', fontSize: '13px' },
+    },
+    xAxis: {
+      title: { text: 'Strike', style: { color: '#9598a1' } },
+      labels: { style: { color: '#9598a1' } },
+      gridLineColor: '#2a2e39',
+      lineColor: '#2a2e39',
+      tickColor: '#2a2e39',
+      plotLines,
+    },
+    yAxis: {
+      title: { text: 'Open Interest (puts ← | → calls)', style: { color: '#9598a1' } },
+      labels: {
+        style: { color: '#9598a1' },
+        formatter() { return Math.abs(this.value).toLocaleString(); },
+      },
+      gridLineColor: '#2a2e39',
+    },
+    legend: {
+      itemStyle: { color: '#d1d4dc', fontSize: '12px' },
+      itemHoverStyle: { color: '#ffffff' },
+    },
+    tooltip: {
+      backgroundColor: '#1e222d',
+      borderColor: '#2a2e39',
+      style: { color: '#d1d4dc' },
+      formatter() {
+        return `<b>Strike:</b> ${this.x.toLocaleString()}<br/><b>${this.series.name}:</b> ${Math.abs(this.y).toLocaleString()}`;
+      },
+    },
+    plotOptions: {
+      bar: { grouping: false, pointPadding: 0, groupPadding: 0.1, borderWidth: 0 },
+    },
+    credits: { enabled: false },
+    accessibility: { enabled: false },
+    series: [
+      { name: 'CE (Call) OI', color: '#26a69a', data: pos.byStrike.map((s) => [s.strike, s.callOi]) },
+      { name: 'PE (Put) OI',  color: '#ef5350', data: pos.byStrike.map((s) => [s.strike, -s.putOi]) },
+    ],
+  };
+}
+
+function buildChangeOptions(asset, pos, changes, baselineLabel) {
+  return {
+    chart: {
+      type: 'column',
+      backgroundColor: '#131722',
+      style: { fontFamily: 'inherit' },
+      height: 320,
+    },
+    title: {
+      text: `${asset} OI Change by Strike — Expiry ${pos.expiryDate}`,
+      style: { color: '#d1d4dc', fontSize: '13px' },
+    },
+    subtitle: {
+      text: `vs ${baselineLabel}`,
+      style: { color: '#9598a1', fontSize: '11px' },
+    },
+    xAxis: {
+      title: { text: 'Strike', style: { color: '#9598a1' } },
+      labels: { style: { color: '#9598a1' } },
+      gridLineColor: '#2a2e39',
+      lineColor: '#2a2e39',
+      tickColor: '#2a2e39',
+      plotLines: pos.spot != null
+        ? [{ value: pos.spot, color: '#00c4b4', width: 1, dashStyle: 'Dash', zIndex: 5 }]
+        : [],
+    },
+    yAxis: {
+      title: { text: 'OI Change', style: { color: '#9598a1' } },
+      labels: { style: { color: '#9598a1' } },
+      gridLineColor: '#2a2e39',
+      plotLines: [{ value: 0, color: '#9598a1', width: 1 }],
+    },
+    legend: {
+      itemStyle: { color: '#d1d4dc', fontSize: '12px' },
+      itemHoverStyle: { color: '#ffffff' },
+    },
+    tooltip: {
+      shared: true,
+      backgroundColor: '#1e222d',
+      borderColor: '#2a2e39',
+      style: { color: '#d1d4dc' },
+      headerFormat: '<b>Strike:</b> {point.key:,.0f}<br/>',
+    },
+    plotOptions: {
+      column: { pointPadding: 0.05, groupPadding: 0.1, borderWidth: 0 },
+    },
+    credits: { enabled: false },
+    accessibility: { enabled: false },
+    series: [
+      { name: 'CE (Call) ΔOI', color: '#26a69a', data: changes.map((s) => [s.strike, s.callChange]) },
+      { name: 'PE (Put) ΔOI',  color: '#ef5350', data: changes.map((s) => [s.strike, s.putChange]) },
+    ],
+  };
+}
+
+/**
+ * Per-expiry positioning table and OI-by-strike chart. With a `baseline`
+ * record set (labelled by baselineLabel) an OI-change chart is added.
+ */
+export default function Positioning({ asset, records, baseline, baselineLabel }) {
+  const byExpiry = useMemo(() => positioningByExpiry(records), [records]);
+  const [selected, setSelected] = useState(null);
+  const changed = useMemo(
+    () => (baseline ? withOiChange(records, baseline) : null),
+    [records, baseline]
+  );
+
+  if (byExpiry.length === 0) return null;
+
+  const pos = byExpiry.find((p) => p.expiryMs === selected) ?? byExpiry[0];
+  const changes = changed
+    ? oiChangeByStrike(changed.filter((r) => r.expiry_ms === pos.expiryMs))
+    : null;
+
+  return (
+    <div className={styles.wrapper}>
+      <div className={styles.tableScroll}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th className={styles.th}>Expiry</th>
+              <th className={styles.th}>Max Pain</th>
+              <th className={styles.th}>Call OI</th>
+              <th className={styles.th}>Put OI</th>
+              <th className={styles.th}>P/C OI</th>
+              <th className={styles.th}>Call Vol</th>
+              <th className={styles.th}>Put Vol</th>
+              <th className={styles.th}>P/C Vol</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byExpiry.map((p) => (
+              <tr
+                key={p.expiryMs}
+                className={`${styles.tr} ${p === pos ? styles.selected : ''}`}
+                onClick={() => setSelected(p.expiryMs)}
+              >
+                <td className={styles.td}>{p.expiryDate}</td>
+                <td className={styles.td}>{fmtNum(p.maxPain)}</td>
+                <td className={styles.td}>{fmtNum(p.callOi)}</td>
+                <td className={styles.td}>{fmtNum(p.putOi)}</td>
+                <td className={styles.td}>{fmtRatio(p.pcrOi)}</td>
+                <td className={styles.td}>{fmtNum(p.callVolume)}</td>
+                <td className={styles.td}>{fmtNum(p.putVolume)}</td>
+                <td className={styles.td}>{fmtRatio(p.pcrVolume)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <HighchartsReact highcharts={Highcharts} options={buildOptions(asset, pos)} />
+
+      {changes && (
+        <HighchartsReact
+          highcharts={Highcharts}
+          options={buildChangeOptions(asset, pos, changes, baselineLabel)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import usePortfolio from '../hooks/usePortfolio';
+import {
+  TIME_STEPS, resolveRiskPositions, portfolioGreeks, scenarioGrid,
+} from '../utils/risk';
+import styles from './RiskPanel.module.css';
+
+function fmtNum(v, digits = 4) {
+  return v == null ? '-' : v.toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+function fmtUsd(v) {
+  return v == null ? '-' : v.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 2 });
+}
+
+const pnlClass = (v) => (v > 0.005 ? styles.pos : v < -0.005 ? styles.neg : '');
+
+// Heat-map background scaled to the largest absolute P&L in the grid
+function cellStyle(v, maxAbs) {
+  if (!maxAbs || !v) return undefined;
+  const alpha = Math.min(0.45, (Math.abs(v) / maxAbs) * 0.45);
+  return { background: v > 0 ? `rgba(38, 166, 154, ${alpha})` : `rgba(239, 83, 80, ${alpha})` };
+}
+
+const GREEK_ROWS = [
+  { key: 'delta', label: 'Delta',            hint: 'coin-equivalent exposure'  },
+  { key: 'gamma', label: 'Gamma (1%)',       hint: 'delta change per 1% move'  },
+  { key: 'vega',  label: 'Vega (1 vol pt)',  hint: 'value change per +1 vol'   },
+  { key: 'theta', label: 'Theta (1 day)',    hint: 'value change per day'      },
+];
+
+/**
+ * Risk view of the paper portfolio: net greeks per asset in coin and USD,
+ * and a P&L matrix over spot shocks × IV shocks at a chosen horizon, all
+ * repriced with Black-Scholes off the current chain.
+ * assetData: useDeltaData() assetData
+ */
+export default function RiskPanel({ assetData }) {
+  const { positions } = usePortfolio();
+  const [days, setDays] = useState(0);
+
+  const { priced, unpriced } = resolveRiskPositions(positions, assetData);
+  const greeks = portfolioGreeks(priced);
+  const grid   = scenarioGrid(priced, { days });
+  const maxAbs = Math.max(0, ...grid.cells.flat().map(Math.abs));
+  const totalUsd = (key) => greeks.reduce((s, g) => s + g[`${key}Usd`], 0);
+
+  if (priced.length === 0 && unpriced.length === 0) {
+    return (
+      <div className={styles.empty}>
+        No open paper positions — enter fills from the Option Chain tab or import a portfolio in the Portfolio tab.
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.wrapper}>
+      {unpriced.length > 0 && (
+        <div className={styles.warn}>
+          Not in the fetched chain, left out: {unpriced.map((p) => p.symbol).join(', ')}
+        </div>
+      )}
+
+      <section className={styles.section}>
+        <h3 className={styles.heading}>Net greeks <span className={styles.sub}>Black-Scholes at mark IV</span></h3>
+        <div className={styles.tableScroll}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th className={styles.th}>Greek</th>
+                {greeks.map((g) => (
+                  <th key={g.asset} className={styles.th} colSpan={2}>
+                    {g.asset} <span className={styles.sub}>@ {fmtNum(g.spot, 2)}</span>
+                  </th>
+                ))}
+                <th className={styles.th}>Total USD</th>
+              </tr>
+            </thead>
+            <tbody>
+              {GREEK_ROWS.map((row) => (
+                <tr key={row.key}>
+                  <td className={styles.td} title={row.hint}>{row.label}</td>
+                  {greeks.map((g) => [
+                    <td key={`${g.asset}-coin`} className={styles.td}>{fmtNum(g[row.key])} {g.asset}</td>,
+                    <td key={`${g.asset}-usd`} className={`${styles.td} ${pnlClass(g[`${row.key}Usd`])}`}>
+                      {fmtUsd(g[`${row.key}Usd`])}
+                    </td>,
+                  ])}
+                  <td className={`${styles.td} ${pnlClass(totalUsd(row.key))}`}>{fmtUsd(totalUsd(row.key))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className={styles.section}>
+        <div className={styles.gridHeader}>
+          <h3 className={styles.heading}>Scenario P&amp;L <span className={styles.sub}>USD vs model value now</span></h3>
+          <div className={styles.steps}>
+            {TIME_STEPS.map((d) => (
+              <button
+                key={d}
+                className={`${styles.stepBtn} ${days === d ? styles.stepBtnActive : ''}`}
+                onClick={() => setDays(d)}
+              >
+                {d === 0 ? 'Now' : `+${d}d`}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className={styles.tableScroll}>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th className={styles.th}>IV \ Spot</th>
+                {grid.spotShocks.map((s) => (
+                  <th key={s} className={styles.th}>{s > 0 ? `+${s}` : s}%</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.ivShocks.map((iv, i) => (
+                <tr key={iv}>
+                  <th className={styles.th}>{iv > 0 ? `+${iv}` : iv} vol</th>
+                  {grid.cells[i].map((v, j) => (
+                    <td
+                      key={grid.spotShocks[j]}
+                      className={`${styles.td} ${iv === 0 && grid.spotShocks[j] === 0 ? styles.center : ''}`}
+                      style={cellStyle(v, maxAbs)}
+                    >
+                      {fmtUsd(v)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useState, useMemo } from 'react';
+import { getExpiryOptions } from '../utils/dataUtils';
+import { diffRecords, diffTotals } from '../utils/snapshots';
+import styles from './SnapshotDiff.module.css';
+
+const SORTS = [
+  { value: 'oi_change',    label: '|OI change|'    },
+  { value: 'iv_change',    label: '|IV change|'    },
+  { value: 'price_change', label: '|Price change|' },
+  { value: 'strike',       label: 'Expiry / strike' },
+];
+
+function fmtNum(v, digits = 2) {
+  return v == null ? '-' : v.toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+function fmtSigned(v, digits = 2) {
+  if (v == null) return '-';
+  const s = v.toLocaleString(undefined, { maximumFractionDigits: digits });
+  return v > 0 ? `+${s}` : s;
+}
+
+function fmtIv(v) {
+  return v == null ? '-' : `${(v * 100).toFixed(1)}%`;
+}
+
+function fmtIvChange(v) {
+  if (v == null) return '-';
+  const pts = v * 100;
+  return `${pts > 0 ? '+' : ''}${pts.toFixed(2)} pts`;
+}
+
+function tone(v) {
+  if (v == null || v === 0) return '';
+  return v > 0 ? styles.up : styles.down;
+}
+
+/**
+ * Per-contract comparison of two snapshots of one asset.
+ * before / after: normalized records; beforeLabel / afterLabel: column captions
+ */
+export default function SnapshotDiff({ asset, before, after, beforeLabel, afterLabel }) {
+  const [typeFilter,   setTypeFilter]   = useState('all');
+  const [expiryFilter, setExpiryFilter] = useState('all');
+  const [sortBy,       setSortBy]       = useState('oi_change');
+  const [changedOnly,  setChangedOnly]  = useState(true);
+
+  const diff   = useMemo(() => diffRecords(before, after), [before, after]);
+  const totals = useMemo(() => diffTotals(diff), [diff]);
+  const expiryOptions = useMemo(() => getExpiryOptions([...before, ...after]), [before, after]);
+
+  const rows = useMemo(() => {
+    let out = diff;
+    if (typeFilter !== 'all')   out = out.filter((r) => r.option_type === typeFilter);
+    if (expiryFilter !== 'all') out = out.filter((r) => r.expiry_date === expiryFilter);
+    if (changedOnly) {
+      out = out.filter((r) => r.status !== 'changed' || r.oi_change || r.iv_change || r.price_change);
+    }
+    if (sortBy !== 'strike') {
+      out = [...out].sort((a, b) => Math.abs(b[sortBy] ?? 0) - Math.abs(a[sortBy] ?? 0));
+    }
+    return out;
+  }, [diff, typeFilter, expiryFilter, sortBy, changedOnly]);
+
+  return (
+    <div className={styles.wrapper}>
+      <div className={styles.toolbar}>
+        <span className={styles.title}>
+          {asset}: <b>{beforeLabel}</b> → <b>{afterLabel}</b>
+        </span>
+        <select className={styles.select} value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+          <option value="all">All Types</option>
+          <option value="call">CE (Call)</option>
+          <option value="put">PE (Put)</option>
+        </select>
+        <select className={styles.select} value={expiryFilter} onChange={(e) => setExpiryFilter(e.target.value)}>
+          <option value="all">All Expiries</option>
+          {expiryOptions.map((e) => (
+            <option key={e.expiryDate} value={e.expiryDate}>{e.displayLabel}</option>
+          ))}
+        </select>
+        <label className={styles.control}>
+          Sort by
+          <select className={styles.select} value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {SORTS.map((s) => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+        </label>
+        <label className={styles.control}>
+          <input type="checkbox" checked={changedOnly} onChange={(e) => setChangedOnly(e.target.checked)} />
+          Changed only
+        </label>
+      </div>
+
+      <div className={styles.totals}>
+        <span>Call OI <b className={tone(totals.callOiChange)}>{fmtSigned(totals.callOiChange)}</b></span>
+        <span>Put OI <b className={tone(totals.putOiChange)}>{fmtSigned(totals.putOiChange)}</b></span>
+        <span>New contracts <b>{totals.added}</b></span>
+        <span>Gone <b>{totals.removed}</b></span>
+      </div>
+
+      <div className={styles.tableScroll}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th className={styles.th}>Symbol</th>
+              <th className={styles.th}>OI</th>
+              <th className={styles.th}>ΔOI</th>
+              <th className={styles.th}>ΔOI %</th>
+              <th className={styles.th}>IV</th>
+              <th className={styles.th}>ΔIV</th>
+              <th className={styles.th}>Mark</th>
+              <th className={styles.th}>ΔMark</th>
+              <th className={styles.th}>ΔMark %</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.symbol} className={r.status !== 'changed' ? styles[r.status] : undefined}>
+                <td className={`${styles.td} ${styles.sym}`}>
+                  {r.symbol}
+                  {r.status !== 'changed' && <span className={styles.status}> {r.status}</span>}
+                </td>
+                <td className={styles.td}>{fmtNum(r.oi_before)} → {fmtNum(r.oi_after)}</td>
+                <td className={`${styles.td} ${tone(r.oi_change)}`}>{fmtSigned(r.oi_change)}</td>
+                <td className={`${styles.td} ${tone(r.oi_change_pct)}`}>{fmtSigned(r.oi_change_pct, 1)}</td>
+                <td className={styles.td}>{fmtIv(r.iv_before)} → {fmtIv(r.iv_after)}</td>
+                <td className={`${styles.td} ${tone(r.iv_change)}`}>{fmtIvChange(r.iv_change)}</td>
+                <td className={styles.td}>{fmtNum(r.price_before, 4)} → {fmtNum(r.price_after, 4)}</td>
+                <td className={`${styles.td} ${tone(r.price_change)}`}>{fmtSigned(r.price_change, 4)}</td>
+                <td className={`${styles.td} ${tone(r.price_change_pct)}`}>{fmtSigned(r.price_change_pct, 1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && <div className={styles.empty}>No changes between these snapshots.</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import { formatTimestamp } from '../utils/dataUtils';
+import styles from './SnapshotTimeline.module.css';
+
+/**
+ * Timeline slider over recorded snapshots.
+ * The right-most position is "Live"; any other position replays that snapshot.
+ *
+ * timestamps: snapshot times (ms), oldest first
+ * replayAt:   replayed snapshot time, or null for live data
+ * compareAt:  snapshot time the Snapshot Diff tab compares against, or null
+ */
+export default function SnapshotTimeline({ timestamps, replayAt, onReplay, compareAt, onCompare, onClear }) {
+  if (timestamps.length === 0) return null;
+
+  const liveIdx = timestamps.length;
+  const idx     = replayAt == null ? liveIdx : Math.max(0, timestamps.indexOf(replayAt));
+
+  function handleSlide(e) {
+    const i = Number(e.target.value);
+    onReplay(i >= liveIdx ? null : timestamps[i]);
+  }
+
+  return (
+    <div className={`${styles.bar} ${replayAt != null ? styles.replaying : ''}`}>
+      <span className={styles.label}>History</span>
+      <input
+        type="range"
+        className={styles.slider}
+        min={0}
+        max={liveIdx}
+        step={1}
+        value={idx}
+        onChange={handleSlide}
+        aria-label="Snapshot timeline"
+      />
+      <span className={styles.time}>
+        {replayAt == null ? 'Live' : `Replaying ${formatTimestamp(replayAt)}`}
+        <span className={styles.count}> · {timestamps.length} snapshot{timestamps.length === 1 ? '' : 's'}</span>
+      </span>
+      {replayAt != null && (
+        <button className={styles.liveBtn} onClick={() => onReplay(null)}>● Back to live</button>
+      )}
+
+      <label className={styles.compare}>
+        Compare with
+        <select
+          className={styles.select}
+          value={compareAt ?? ''}
+          onChange={(e) => onCompare(e.target.value ? Number(e.target.value) : null)}
+        >
+          <option value="">—</option>
+          {[...timestamps].reverse().map((t) => (
+            <option key={t} value={t}>{formatTimestamp(t)}</option>
+          ))}
+        </select>
+      </label>
+      <button className={styles.clearBtn} onClick={onClear}>Clear history</button>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import styles from './StraddleChain.module.css';
+
+// Columns shown on each side until the user picks their own
+const DEFAULT_SIDE_COLUMNS = ['open_interest', 'volume', 'mark_iv', 'bid_price', 'ask_price', 'mark_price'];
+
+/**
+ * Pair call and put rows of one expiry by strike:
+ * [{ strike, call, put }] sorted by strike ascending.
+ */
+function pairByStrike(records) {
+  const strikes = new Map();
+  for (const r of records) {
+    if (!strikes.has(r.strike)) strikes.set(r.strike, { strike: r.strike, call: null, put: null });
+    strikes.get(r.strike)[r.option_type] = r;
+  }
+  return [...strikes.values()].sort((a, b) => a.strike - b.strike);
+}
+
+function ColumnPicker({ title, columns, selected, onChange }) {
+  function toggle(key) {
+    onChange(selected.includes(key)
+      ? selected.filter((k) => k !== key)
+      // Keep the order of `columns` so toggling does not shuffle the side
+      : columns.map((c) => c.key).filter((k) => k === key || selected.includes(k)));
+  }
+
+  return (
+    <fieldset className={styles.pickerGroup}>
+      <legend className={styles.pickerTitle}>{title}</legend>
+      {columns.map((c) => (
+        <label key={c.key} className={styles.pickerItem}>
+          <input type="checkbox" checked={selected.includes(c.key)} onChange={() => toggle(c.key)} />
+          {c.label}
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+/**
+ * Straddle layout of a single expiry: call columns on the left (mirrored so
+ * the first chosen column sits next to the strike), strike in the middle,
+ * put columns on the right. The strike nearest spot is highlighted and
+ * scrolled into view; in-the-money cells are shaded.
+ *
+ * columns: [{ key, label }] available per side
+ * format(value, key): cell text
+ * cellClass(row, key) / cellKey(row, key): extra class and React key of a cell
+ */
+export default function StraddleChain({ records, columns, format, cellClass, cellKey }) {
+  const [callCols,   setCallCols]   = useState(DEFAULT_SIDE_COLUMNS);
+  const [putCols,    setPutCols]    = useState(DEFAULT_SIDE_COLUMNS);
+  const [showPicker, setShowPicker] = useState(false);
+  const scrollRef = useRef(null);
+  const atmRef    = useRef(null);
+
+  const rows = useMemo(() => pairByStrike(records), [records]);
+  const spot = records.find((r) => r.spot_price)?.spot_price ?? null;
+  const expiryMs = records[0]?.expiry_ms ?? null;
+
+  const atmStrike = useMemo(() => {
+    if (spot == null || rows.length === 0) return null;
+    return rows.reduce((best, r) =>
+      Math.abs(r.strike - spot) < Math.abs(best - spot) ? r.strike : best, rows[0].strike);
+  }, [rows, spot]);
+
+  // Centre the ATM strike when the expiry or the ATM strike changes — not on
+  // every refresh, so a user who scrolled away is left alone
+  useEffect(() => {
+    const box = scrollRef.current;
+    const row = atmRef.current;
+    if (!box || !row) return;
+    box.scrollTop = row.offsetTop - (box.clientHeight - row.offsetHeight) / 2;
+  }, [expiryMs, atmStrike]);
+
+  const byKey = new Map(columns.map((c) => [c.key, c]));
+  const left  = callCols.filter((k) => byKey.has(k)).reverse();
+  const right = putCols.filter((k) => byKey.has(k));
+
+  function sideCells(row, keys, itm) {
+    return keys.map((key) => (
+      <td
+        key={row ? cellKey(row, key) : key}
+        className={`${styles.td} ${itm ? styles.itm : ''} ${row ? cellClass(row, key) : ''}`}
+      >
+        {row ? format(row[key], key) : ''}
+      </td>
+    ));
+  }
+
+  return (
+    <div className={styles.wrapper}>
+      <div className={styles.toolbar}>
+        <span className={styles.legend}>
+          <span className={styles.itmSwatch} /> in the money
+          <span className={styles.atmSwatch} /> ATM{atmStrike != null && ` ${atmStrike.toLocaleString()}`}
+        </span>
+        <button className={styles.btn} onClick={() => setShowPicker((v) => !v)}>
+          Columns {showPicker ? '▴' : '▾'}
+        </button>
+      </div>
+
+      {showPicker && (
+        <div className={styles.picker}>
+          <ColumnPicker title="CE (Call) side" columns={columns} selected={callCols} onChange={setCallCols} />
+          <ColumnPicker title="PE (Put) side"  columns={columns} selected={putCols}  onChange={setPutCols} />
+        </div>
+      )}
+
+      <div className={styles.tableScroll} ref={scrollRef}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th colSpan={Math.max(1, left.length)} className={`${styles.th} ${styles.sideHead} ${styles.call}`}>CE (Call)</th>
+              <th className={`${styles.th} ${styles.strikeCol}`} />
+              <th colSpan={Math.max(1, right.length)} className={`${styles.th} ${styles.sideHead} ${styles.put}`}>PE (Put)</th>
+            </tr>
+            <tr>
+              {left.map((k) => <th key={k} className={styles.th}>{byKey.get(k).label}</th>)}
+              {left.length === 0 && <th className={styles.th} />}
+              <th className={`${styles.th} ${styles.strikeCol}`}>Strike</th>
+              {right.map((k) => <th key={k} className={styles.th}>{byKey.get(k).label}</th>)}
+              {right.length === 0 && <th className={styles.th} />}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => {
+              const isAtm = row.strike === atmStrike;
+              return (
+                <tr
+                  key={row.strike}
+                  ref={isAtm ? atmRef : undefined}
+                  className={`${styles.tr} ${isAtm ? styles.atm : ''}`}
+                >
+                  {sideCells(row.call, left, spot != null && row.strike < spot)}
+                  {left.length === 0 && <td className={styles.td} />}
+                  <td className={`${styles.td} ${styles.strikeCol}`}>{row.strike.toLocaleString()}</td>
+                  {sideCells(row.put, right, spot != null && row.strike > spot)}
+                  {right.length === 0 && <td className={styles.td} />}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+import { useState, useMemo } from 'react';
+import Highcharts from 'highcharts';
+import _HighchartsReact from 'highcharts-react-official';
+const HighchartsReact = _HighchartsReact.default ?? _HighchartsReact;
+import { getExpiryOptions } from '../utils/dataUtils';
+import {
+  PRICE_SOURCES,
+  STRATEGY_TEMPLATES,
+  resolveLegs,
+  payoffCurves,
+  strategySummary,
+  buildTemplateLegs,
+} from '../utils/strategy';
+import styles from './StrategyBuilder.module.css';
+
+function fmtUsd(v) {
+  if (v == null) return '-';
+  if (v === Infinity) return 'Unlimited';
+  if (v === -Infinity) return '-Unlimited';
+  return v.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function buildOptions(asset, curves, spot, breakevens) {
+  const plotLines = [];
+  if (spot != null) {
+    plotLines.push({
+      value: spot, color: '#00c4b4', width: 1, dashStyle: 'Dash',
+      label: { text: 'Spot', style: { color: '#00c4b4', fontSize: '10px' } },
+    });
+  }
+  breakevens.forEach((b) => plotLines.push({ value: b, color: '#5a5e6b', width: 1, dashStyle: 'Dot' }));
+
+  return {
+    chart: {
+      type: 'line',
+      backgroundColor: '#131722',
+      style: { fontFamily: 'inherit' },
+      height: 360,
+    },
+    title: {
+      text: `${asset} Strategy Payoff`,
+      style: { color: '#d1d4dc', fontSize: '13px' },
+    },
+    xAxis: {
+      title: { text: 'Underlying Price', style: { color: '#9598a1' } },
+      labels: { style: { color: '#9598a1' } },
+      gridLineColor: '#2a2e39',
+      lineColor: '#2a2e39',
+      tickColor: '#2a2e39',
+      plotLines,
+    },
+    yAxis: {
+      title: { text: 'P&L (USD)', style: { color: '#9598a1' } },
+      labels: { style: { color: '#9598a1' } },
+      gridLineColor: '#2a2e39',
+      plotLines: [{ value: 0, color: '#9598a1', width: 1 }],
+    },
+    legend: {
+      itemStyle: { color: '#d1d4dc', fontSize: '12px' },
+      itemHoverStyle: { color: '#ffffff' },
+    },
+    tooltip: {
+      shared: true,
+      backgroundColor: '#1e222d',
+      borderColor: '#2a2e39',
+      style: { color: '#d1d4dc' },
+      valueDecimals: 2,
+      headerFormat: 'Spot: {point.key:,.0f}<br/>',
+    },
+    plotOptions: {
+      line: { marker: { enabled: false }, lineWidth: 2 },
+    },
+    credits: { enabled: false },
+    accessibility: { enabled: false },
+    series: [
+      { name: 'At expiry', data: curves.expiry, color: '#4c9be8' },
+      { name: 'Today',     data: curves.today,  color: '#f0b90b', dashStyle: 'ShortDash' },
+    ],
+  };
+}
+
+/**
+ * Multi-leg strategy builder.
+ * legs: [{ symbol, side, qty }] — edited through onChange(nextLegs)
+ */
+export default function StrategyBuilder({ asset, records, legs, onChange }) {
+  const [priceSource, setPriceSource] = useState('bidask');
+  const [template,    setTemplate]    = useState(STRATEGY_TEMPLATES[0].value);
+  const [expiryMs,    setExpiryMs]    = useState('');
+  const [width,       setWidth]       = useState(1);
+
+  const expiryOptions = useMemo(() => getExpiryOptions(records), [records]);
+  const spot = records.find((r) => r.spot_price)?.spot_price ?? null;
+
+  const resolved = useMemo(
+    () => resolveLegs(legs, records, priceSource),
+    [legs, records, priceSource]
+  );
+  const curves  = useMemo(() => payoffCurves(resolved, spot), [resolved, spot]);
+  const summary = useMemo(() => strategySummary(resolved, spot), [resolved, spot]);
+
+  function updateLeg(idx, patch) {
+    onChange(legs.map((l, i) => (i === idx ? { ...l, ...patch } : l)));
+  }
+
+  function removeLeg(idx) {
+    onChange(legs.filter((_, i) => i !== idx));
+  }
+
+  function applyTemplate() {
+    const exp = Number(expiryMs) || expiryOptions[0]?.expiryMs;
+    const next = buildTemplateLegs(template, records, exp, spot, width);
+    if (next.length) onChange(next);
+  }
+
+  return (
+    <div className={styles.wrapper}>
+      <div className={styles.toolbar}>
+        <label className={styles.control}>
+          Template
+          <select className={styles.select} value={template} onChange={(e) => setTemplate(e.target.value)}>
+            {STRATEGY_TEMPLATES.map((t) => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className={styles.control}>
+          Expiry
+          <select className={styles.select} value={expiryMs} onChange={(e) => setExpiryMs(e.target.value)}>
+            {expiryOptions.map((e) => (
+              <option key={e.expiryMs} value={e.expiryMs}>{e.displayLabel}</option>
+            ))}
+          </select>
+        </label>
+        <label className={styles.control}>
+          Wing width (strikes)
+          <input
+            type="number"
+            className={styles.input}
+            min={1}
+            max={10}
+            value={width}
+            onChange={(e) => setWidth(parseInt(e.target.value, 10) || 1)}
+          />
+        </label>
+        <button className={styles.btn} onClick={applyTemplate}>Build</button>
+
+        <label className={`${styles.control} ${styles.pushRight}`}>
+          Price legs at
+          <select className={styles.select} value={priceSource} onChange={(e) => setPriceSource(e.target.value)}>
+            {PRICE_SOURCES.map((p) => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </select>
+        </label>
+        {legs.length > 0 && (
+          <button className={styles.btn} onClick={() => onChange([])}>Clear</button>
+        )}
+      </div>
+
+      {legs.length === 0 ? (
+        <div className={styles.empty}>
+          No legs yet — build a template above or add legs with the <b>B</b> / <b>S</b> buttons
+          in the Option Chain tab.
+        </div>
+      ) : (
+        <>
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th className={styles.th}>Side</th>
+                <th className={styles.th}>Contracts</th>
+                <th className={styles.th}>Symbol</th>
+                <th className={styles.th}>Price</th>
+                <th className={styles.th}>IV</th>
+                <th className={styles.th}>Δ</th>
+                <th className={styles.th} />
+              </tr>
+            </thead>
+            <tbody>
+              {legs.map((leg, idx) => {
+                const r = resolved.find((x) => x.symbol === leg.symbol && x.side === leg.side);
+                return (
+                  <tr key={`${leg.symbol}:${leg.side}`}>
+                    <td className={styles.td}>
+                      <button
+                        className={`${styles.sideBtn} ${leg.side === 'buy' ? styles.buy : styles.sell}`}
+                        onClick={() => updateLeg(idx, { side: leg.side === 'buy' ? 'sell' : 'buy' })}
+                      >
+                        {leg.side === 'buy' ? 'BUY' : 'SELL'}
+                      </button>
+                    </td>
+                    <td className={styles.td}>
+                      <input
+                        type="number"
+                        className={styles.qty}
+                        min={0}
+                        step="any"
+                        value={leg.qty}
+                        onChange={(e) => updateLeg(idx, { qty: Math.max(0, parseFloat(e.target.value) || 0) })}
+                      />
+                    </td>
+                    <td className={`${styles.td} ${styles.sym}`}>
+                      {leg.symbol}
+                      {!r && <span className={styles.missing}> (not in chain)</span>}
+                    </td>
+                    <td className={styles.td}>{fmtUsd(r?.price)}</td>
+                    <td className={styles.td}>{r?.iv != null ? `${(r.iv * 100).toFixed(1)}%` : '-'}</td>
+                    <td className={styles.td}>{r?.record.delta != null ? r.record.delta.toFixed(3) : '-'}</td>
+                    <td className={styles.td}>
+                      <button className={styles.removeBtn} onClick={() => removeLeg(idx)} aria-label="Remove leg">✕</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className={styles.summary}>
+            <span className={styles.stat}>
+              <span className={styles.statLabel}>Net premium</span>
+              <span className={summary.netPremium > 0 ? styles.debit : styles.credit}>
+                {fmtUsd(Math.abs(summary.netPremium))} {summary.netPremium > 0 ? 'debit' : 'credit'}
+              </span>
+            </span>
+            <span className={styles.stat}>
+              <span className={styles.statLabel}>Max profit</span>
+              <span className={styles.credit}>{fmtUsd(summary.maxProfit)}</span>
+            </span>
+            <span className={styles.stat}>
+              <span className={styles.statLabel}>Max loss</span>
+              <span className={styles.debit}>{fmtUsd(summary.maxLoss)}</span>
+            </span>
+            <span className={styles.stat}>
+              <span className={styles.statLabel}>Breakevens</span>
+              <span>{summary.breakevens.length ? summary.breakevens.map((b) => fmtUsd(b)).join(' · ') : '-'}</span>
+            </span>
+            {Object.entries(summary.greeks).map(([g, v]) => (
+              <span key={g} className={styles.stat}>
+                <span className={styles.statLabel}>Net {g}</span>
+                <span>{v.toFixed(4)}</span>
+              </span>
+            ))}
+          </div>
+
+          <HighchartsReact
+            highcharts={Highcharts}
+            options={buildOptions(asset, curves, spot, summary.breakevens)}
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -16,6 +16,12 @@ const METRIC_LABELS = {
   gamma:         'Gamma',
   theta:         'Theta',
   vega:          'Vega',
+  mark_iv:       'Mark IV (model)',
+  mid_iv:        'Mid IV (model)',
+  theo_delta:    'Delta (model)',
+  theo_gamma:    'Gamma (model)',
+  theo_theta:    'Theta (model)',
+  theo_vega:     'Vega (model)',
 };
 
 function buildOptions(asset, rows, metric, expiryDate) {
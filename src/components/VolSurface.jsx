@@ -0,0 +1,176 @@
+import { useState, useMemo } from 'react';
+import Highcharts from 'highcharts';
+import _HighchartsReact from 'highcharts-react-official';
+const HighchartsReact = _HighchartsReact.default ?? _HighchartsReact;
+import { buildIvSurface, ivSurfaceToCsv, downloadCsv, IV_SOURCES } from '../utils/dataUtils';
+import styles from './VolSurface.module.css';
+
+const X_AXES = [
+  { value: 'logMoneyness', label: 'Log-moneyness ln(K/S)' },
+  { value: 'callDelta',    label: 'Delta (call-equivalent)' },
+];
+
+const SMILE_COLORS = [
+  '#4c9be8', '#26a69a', '#f0b90b', '#ef5350', '#ab47bc',
+  '#00c4b4', '#ff7043', '#8d6e63', '#78909c', '#d4e157',
+];
+
+/**
+ * Map a value in [min, max] to a blue → yellow → red heat colour.
+ */
+function heatColor(value, min, max) {
+  if (value == null) return 'transparent';
+  const t = max > min ? (value - min) / (max - min) : 0.5;
+  const stops = [[41, 98, 255], [240, 185, 11], [239, 83, 80]];
+  const seg = t < 0.5 ? 0 : 1;
+  const f = t < 0.5 ? t / 0.5 : (t - 0.5) / 0.5;
+  const [a, b] = [stops[seg], stops[seg + 1]];
+  const mix = a.map((c, i) => Math.round(c + (b[i] - c) * f));
+  return `rgba(${mix.join(',')},0.75)`;
+}
+
+function buildSmileOptions(asset, surface, xKey) {
+  const series = surface.smiles.map((smile, i) => ({
+    name: smile.expiryDate,
+    color: SMILE_COLORS[i % SMILE_COLORS.length],
+    data: smile.points
+      .filter((p) => p[xKey] != null)
+      .sort((a, b) => a[xKey] - b[xKey])
+      .map((p) => ({ x: p[xKey], y: p.iv * 100, strike: p.strike })),
+    marker: { enabled: smile.points.length < 30, radius: 3 },
+  }));
+
+  return {
+    chart: {
+      type: 'line',
+      backgroundColor: '#131722',
+      style: { fontFamily: 'inherit' },
+      height: 380,
+    },
+    title: {
+      text: `${asset} Volatility Smiles`,
+      style: { color: '#d1d4dc', fontSize: '13px' },
+    },
+    xAxis: {
+      title: { text: X_AXES.find((a) => a.value === xKey)?.label, style: { color: '#9598a1' } },
+      labels: { style: { color: '#9598a1' } },
+      gridLineColor: '#2a2e39',
+      lineColor: '#2a2e39',
+      tickColor: '#2a2e39',
+      plotLines: xKey === 'logMoneyness'
+        ? [{ value: 0, color: '#00c4b4', dashStyle: 'Dash', width: 1 }]
+        : [{ value: 0.5, color: '#00c4b4', dashStyle: 'Dash', width: 1 }],
+    },
+    yAxis: {
+      title: { text: 'Implied Volatility (%)', style: { color: '#9598a1' } },
+      labels: { style: { color: '#9598a1' } },
+      gridLineColor: '#2a2e39',
+    },
+    legend: {
+      itemStyle: { color: '#d1d4dc', fontSize: '12px' },
+      itemHoverStyle: { color: '#ffffff' },
+    },
+    tooltip: {
+      backgroundColor: '#1e222d',
+      borderColor: '#2a2e39',
+      style: { color: '#d1d4dc' },
+      formatter() {
+        return `<b>${this.series.name}</b><br/>Strike: ${this.point.strike.toLocaleString()}<br/>IV: ${this.y.toFixed(2)}%`;
+      },
+    },
+    credits: { enabled: false },
+    accessibility: { enabled: false },
+    series,
+  };
+}
+
+export default function VolSurface({ asset, records }) {
+  const [ivField, setIvField] = useState('mid_iv');
+  const [xKey,    setXKey]    = useState('logMoneyness');
+
+  const surface = useMemo(() => buildIvSurface(records, ivField), [records, ivField]);
+
+  const [min, max] = useMemo(() => {
+    const all = surface.iv.flat().filter((v) => v != null);
+    return all.length ? [Math.min(...all), Math.max(...all)] : [0, 0];
+  }, [surface]);
+
+  const smileOptions = useMemo(
+    () => buildSmileOptions(asset, surface, xKey),
+    [asset, surface, xKey]
+  );
+
+  // Only show strikes that carry at least one IV value
+  const rows = surface.strikes
+    .map((strike, i) => ({ strike, values: surface.iv[i] }))
+    .filter((r) => r.values.some((v) => v != null));
+
+  const spot = records.find((r) => r.spot_price)?.spot_price ?? null;
+  const atmStrike = spot == null || rows.length === 0
+    ? null
+    : rows.reduce((best, r) => (Math.abs(r.strike - spot) < Math.abs(best - spot) ? r.strike : best), rows[0].strike);
+
+  function handleDownload() {
+    downloadCsv(ivSurfaceToCsv(surface), `${asset}_${ivField}_surface.csv`);
+  }
+
+  return (
+    <div className={styles.wrapper}>
+      <div className={styles.toolbar}>
+        <label className={styles.control}>
+          IV source
+          <select className={styles.select} value={ivField} onChange={(e) => setIvField(e.target.value)}>
+            {IV_SOURCES.map((s) => (
+              <option key={s.value} value={s.value}>{s.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className={styles.control}>
+          Smile x-axis
+          <select className={styles.select} value={xKey} onChange={(e) => setXKey(e.target.value)}>
+            {X_AXES.map((a) => (
+              <option key={a.value} value={a.value}>{a.label}</option>
+            ))}
+          </select>
+        </label>
+        <button className={styles.dlBtn} onClick={handleDownload}>⬇ Grid CSV</button>
+      </div>
+
+      <HighchartsReact highcharts={Highcharts} options={smileOptions} />
+
+      <div className={styles.gridScroll}>
+        <table className={styles.grid}>
+          <thead>
+            <tr>
+              <th className={styles.th}>Strike</th>
+              {surface.expiries.map((e) => (
+                <th key={e.expiryMs} className={styles.th}>{e.expiryDate}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ strike, values }) => (
+              <tr key={strike}>
+                <td className={`${styles.strike} ${strike === atmStrike ? styles.atm : ''}`}>
+                  {strike.toLocaleString()}
+                </td>
+                {values.map((v, c) => (
+                  <td
+                    key={c}
+                    className={styles.cell}
+                    style={{ background: heatColor(v, min, max) }}
+                  >
+                    {v == null ? '' : (v * 100).toFixed(1)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className={styles.note}>
+        IV in % from the out-of-the-money contract at each strike (puts below spot, calls above).
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import CandlestickChart from './CandlestickChart';
+import { parseOptionSymbol, isSymbolExpired } from '../utils/dataUtils';
+import styles from './Watchlist.module.css';
+
+function fmtNum(v, digits = 4) {
+  return v == null ? '-' : v.toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+function fmtIv(v) {
+  return v == null ? '-' : `${(v * 100).toFixed(1)}%`;
+}
+
+/**
+ * Pinned contracts across every fetched asset: a quote table and a candle
+ * chart per symbol. Expired symbols and symbols missing from the fetched
+ * chain are flagged.
+ *
+ * watchlist: option symbols; assetData: useDeltaData() assetData
+ * onAdd(symbol) → false when the symbol is not a valid option symbol
+ */
+export default function Watchlist({ watchlist, assetData, resolution, onAdd, onRemove }) {
+  const [input, setInput] = useState('');
+  const [error, setError] = useState(null);
+
+  function handleAdd(e) {
+    e.preventDefault();
+    if (!input.trim()) return;
+    if (onAdd(input)) {
+      setInput('');
+      setError(null);
+    } else {
+      setError('Not an option symbol — expected e.g. C-BTC-90000-310125');
+    }
+  }
+
+  const entries = watchlist.map((symbol) => {
+    const asset  = parseOptionSymbol(symbol)?.asset;
+    const data   = assetData.get(asset);
+    const record = data?.records.find((r) => r.symbol === symbol) ?? null;
+    return {
+      symbol,
+      asset,
+      record,
+      fetched: Boolean(data),
+      expired: isSymbolExpired(symbol, record),
+      chart:   data?.candlestickData.find((c) => c.symbol === symbol) ?? null,
+      underlying: data?.underlyingCandles ?? null,
+    };
+  });
+
+  return (
+    <div className={styles.wrapper}>
+      <form className={styles.toolbar} onSubmit={handleAdd}>
+        <input
+          className={styles.input}
+          value={input}
+          placeholder="Add symbol, e.g. C-BTC-90000-310125"
+          onChange={(e) => setInput(e.target.value)}
+        />
+        <button type="submit" className={styles.btn}>Add</button>
+        {error && <span className={styles.error}>{error}</span>}
+        <span className={styles.hint}>or use ☆ in the Option Chain tab · candles load on the next fetch</span>
+      </form>
+
+      {entries.length === 0 ? (
+        <div className={styles.empty}>No pinned contracts yet.</div>
+      ) : (
+        <>
+          <div className={styles.tableScroll}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th className={styles.th}>Symbol</th>
+                  <th className={styles.th}>Status</th>
+                  <th className={styles.th}>Mark</th>
+                  <th className={styles.th}>Bid</th>
+                  <th className={styles.th}>Ask</th>
+                  <th className={styles.th}>Mark IV</th>
+                  <th className={styles.th}>OI</th>
+                  <th className={styles.th}>Δ</th>
+                  <th className={styles.th} />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((e) => (
+                  <tr key={e.symbol} className={e.expired ? styles.expiredRow : undefined}>
+                    <td className={`${styles.td} ${styles.sym}`}>{e.symbol}</td>
+                    <td className={styles.td}>
+                      {e.expired
+                        ? <span className={styles.expired}>Expired</span>
+                        : !e.fetched
+                          ? <span className={styles.muted}>{e.asset} not fetched</span>
+                          : !e.record
+                            ? <span className={styles.muted}>Not in chain</span>
+                            : 'Live'}
+                    </td>
+                    <td className={styles.td}>{fmtNum(e.record?.mark_price)}</td>
+                    <td className={styles.td}>{fmtNum(e.record?.bid_price)}</td>
+                    <td className={styles.td}>{fmtNum(e.record?.ask_price)}</td>
+                    <td className={styles.td}>{fmtIv(e.record?.mark_iv)}</td>
+                    <td className={styles.td}>{fmtNum(e.record?.open_interest, 2)}</td>
+                    <td className={styles.td}>{fmtNum(e.record?.delta)}</td>
+                    <td className={styles.td}>
+                      <button className={styles.removeBtn} onClick={() => onRemove(e.symbol)} aria-label="Remove from watchlist">✕</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {entries.filter((e) => e.chart).map((e) => (
+            <CandlestickChart
+              key={e.symbol}
+              asset={e.asset}
+              symbol={e.symbol}
+              optionType={e.chart.option_type}
+              resolution={resolution}
+              priceSource={e.chart.source}
+              chartData={e.chart.chartData}
+              underlying={e.underlying}
+            />
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
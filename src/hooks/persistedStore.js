@@ -0,0 +1,54 @@
+/**
+ * Module-level value persisted under one localStorage key, for hooks built on
+ * useSyncExternalStore: every component sees the same value and changes made
+ * in other tabs are picked up through the `storage` event.
+ *
+ * read(stored) turns the parsed stored JSON (null when missing, unreadable or
+ * corrupt) into a usable value — defaults, validation and migrations go there.
+ * Returns { subscribe, getSnapshot, set } — set takes a value or an updater.
+ */
+export function createPersistedStore(key, read) {
+  const listeners = new Set();
+
+  function load() {
+    try {
+      return read(JSON.parse(localStorage.getItem(key)));
+    } catch {
+      // unavailable or corrupt — start from read()'s defaults
+      return read(null);
+    }
+  }
+
+  let current = load();
+
+  function set(next) {
+    current = typeof next === 'function' ? next(current) : next;
+    try {
+      localStorage.setItem(key, JSON.stringify(current));
+    } catch {
+      // storage full or disabled — keep the in-memory value
+    }
+    listeners.forEach((l) => l());
+  }
+
+  function subscribe(onChange) {
+    listeners.add(onChange);
+    // Follow changes made in other tabs
+    const onStorage = (e) => {
+      if (e.key !== key) return;
+      current = load();
+      onChange();
+    };
+    window.addEventListener('storage', onStorage);
+    return () => {
+      listeners.delete(onChange);
+      window.removeEventListener('storage', onStorage);
+    };
+  }
+
+  function getSnapshot() {
+    return current;
+  }
+
+  return { subscribe, getSnapshot, set };
+}
@@ -0,0 +1,93 @@
+import { useState, useSyncExternalStore } from 'react';
+import { evaluateAlerts } from '../utils/alerts';
+import { createPersistedStore } from './persistedStore';
+
+const MAX_LOG = 200;
+
+const readList = (stored) => (Array.isArray(stored) ? stored : []);
+const rulesStore = createPersistedStore('delta-dashboard:alert-rules', readList);
+const logStore   = createPersistedStore('delta-dashboard:alert-log', readList);
+
+// Per-rule { prev, lastFiredAt } from the last evaluation — session only
+let ruleStates = {};
+
+let nextId = Date.now();
+
+/** Add a rule ({ field, operator, threshold, cooldownSec, scope }); it starts enabled. */
+function addRule(rule) {
+  rulesStore.set((rules) => [...rules, { ...rule, id: `rule-${nextId++}`, enabled: true }]);
+}
+
+function updateRule(id, patch) {
+  rulesStore.set((rules) => rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+}
+
+function removeRule(id) {
+  delete ruleStates[id];
+  rulesStore.set((rules) => rules.filter((r) => r.id !== id));
+}
+
+function clearLog() {
+  logStore.set([]);
+}
+
+const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Show one fired alert as a system notification. Some browsers (Chrome on
+ * Android) refuse the Notification constructor and only allow notifications
+ * through a service worker registration; failures are dropped — the alert
+ * is already in the log and must not break the refresh that fired it.
+ */
+function notify(event) {
+  const options = { body: event.message, tag: event.ruleId };
+  try {
+    new Notification('Delta alert', options);
+  } catch {
+    navigator.serviceWorker?.getRegistration()
+      .then((reg) => reg?.showNotification('Delta alert', options))
+      .catch(() => {});
+  }
+}
+
+/**
+ * Evaluate every rule against freshly fetched data (useDeltaData() assetData
+ * or the Map returned by fetchAll). Fired alerts go to the log and, when
+ * permission has been granted, to a browser notification.
+ */
+function checkAlerts(assetData) {
+  const rules = rulesStore.getSnapshot();
+  if (rules.length === 0) return;
+  const { events, states } = evaluateAlerts(rules, assetData, ruleStates);
+  ruleStates = states;
+  if (events.length === 0) return;
+
+  logStore.set((log) => [...events.reverse(), ...log].slice(0, MAX_LOG));
+  if (notificationsSupported() && Notification.permission === 'granted') {
+    events.forEach(notify);
+  }
+}
+
+/**
+ * Alert rules and fired-alert log, persisted in localStorage and shared by
+ * every component.
+ * Returns { rules, log, addRule, updateRule, removeRule, clearLog,
+ *           checkAlerts, permission, requestPermission } — permission is the
+ * Notification permission or 'unsupported'.
+ */
+export default function useAlerts() {
+  const rules = useSyncExternalStore(rulesStore.subscribe, rulesStore.getSnapshot);
+  const log   = useSyncExternalStore(logStore.subscribe, logStore.getSnapshot);
+  const [permission, setPermission] = useState(
+    () => (notificationsSupported() ? Notification.permission : 'unsupported')
+  );
+
+  async function requestPermission() {
+    if (!notificationsSupported()) return;
+    setPermission(await Notification.requestPermission());
+  }
+
+  return {
+    rules, log, addRule, updateRule, removeRule, clearLog, checkAlerts, permission, requestPermission,
+  };
+}
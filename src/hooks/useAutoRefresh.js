@@ -0,0 +1,35 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+
+function subscribeVisibility(onChange) {
+  document.addEventListener('visibilitychange', onChange);
+  return () => document.removeEventListener('visibilitychange', onChange);
+}
+
+const isHidden = () => document.hidden;
+
+/**
+ * Periodic background refresh.
+ *
+ * The next refresh is due `intervalSec` after `lastUpdated` (ms). Nothing
+ * runs while the tab is hidden or a fetch is in progress (`busy`); an overdue
+ * refresh fires as soon as the tab becomes visible again.
+ *
+ * Returns { nextRefreshAt, paused } — nextRefreshAt is null when disabled.
+ */
+export default function useAutoRefresh({ intervalSec, lastUpdated, busy, onRefresh }) {
+  const hidden  = useSyncExternalStore(subscribeVisibility, isHidden);
+  const enabled = intervalSec > 0 && lastUpdated != null;
+  const nextRefreshAt = enabled ? lastUpdated + intervalSec * 1000 : null;
+
+  // Latest callback without re-arming the timer on every render
+  const onRefreshRef = useRef(onRefresh);
+  useEffect(() => { onRefreshRef.current = onRefresh; });
+
+  useEffect(() => {
+    if (nextRefreshAt == null || hidden || busy) return;
+    const id = setTimeout(() => onRefreshRef.current(), Math.max(0, nextRefreshAt - Date.now()));
+    return () => clearTimeout(id);
+  }, [nextRefreshAt, hidden, busy]);
+
+  return { nextRefreshAt, paused: enabled && hidden };
+}
@@ -0,0 +1,29 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getCandleCacheStats, clearCandleCache } from '../api/candleCache';
+
+/**
+ * Exposes size information for the persistent candle cache.
+ *
+ * refreshKey: any value — stats are re-read whenever it changes
+ *             (e.g. the `loading` flag, so they update after each fetch)
+ *
+ * Returns { stats: { entries, bars, bytes } | null, clear }
+ */
+export default function useCandleCache(refreshKey) {
+  const [stats, setStats] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    getCandleCacheStats().then((s) => { if (!cancelled) setStats(s); });
+    return () => { cancelled = true; };
+  }, [refreshKey, version]);
+
+  const clear = useCallback(async () => {
+    await clearCandleCache();
+    setVersion((v) => v + 1);
+  }, []);
+
+  return { stats, clear };
+}
+
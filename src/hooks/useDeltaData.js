@@ -1,22 +1,53 @@
-import { useState, useCallback } from 'react';
-import { createDeltaClient } from '../api/deltaClient';
-import { normalizeOptionChain, topInstrumentsForCandles } from '../utils/dataUtils';
+import { useState, useCallback, useRef } from 'react';
+import { createDeltaClient, requestScheduler } from '../api/deltaClient';
+import {
+  normalizeOptionChain,
+  normalizeTicker,
+  joinProductMetadata,
+  carryProductFields,
+  topInstrumentsForCandles,
+  parseOptionSymbol,
+  applyTickToChartData,
+  tickTimeSec,
+  underlyingSymbol,
+  candleSourceSymbol,
+  liveCandleValue,
+} from '../utils/dataUtils';
+import { enrichRecords, enrichRecord } from '../utils/pricing';
 
 /**
  * Manages all Delta Exchange data fetching.
  *
- * Returns { assetData, loading, errors, fetchAll }
+ * Returns { assetData, previousFetch, loading, refreshing, errors, candleProgress, fetchAll, applyTickers }
  *
- * assetData: Map<assetSymbol, { records, candlestickData }>
+ * assetData: Map<assetSymbol, { records, candlestickData, underlyingCandles }>
  *   records: normalized option chain records
- *   candlestickData: Array<{ symbol, option_type, chartData }>
+ *   candlestickData: Array<{ symbol, option_type, source, chartData, watched }> —
+ *     source is the CANDLE_SOURCES value the candles were fetched with; watched
+ *     marks symbols of settings.watchlist, which get candles even outside the
+ *     top-N by open interest or with settings.candlestick off
+ *   underlyingCandles: { symbol, source, chartData } | null — perpetual / index
+ *     candles over the same window (settings.underlying)
+ * candleProgress: { done, total } chart/history chunks of the running fetch, or null
+ * previousFetch: { baseUrl, takenAt, assets: { [asset]: records } } — the records of the
+ *   fetch before the latest one (snapshot-shaped), or null after the first fetch
+ *
+ * fetchAll(settings, { background }) — a background fetch keeps the current
+ * data on screen (sets `refreshing` instead of `loading`) and swaps it when done.
  */
 export default function useDeltaData() {
   const [assetData, setAssetData]   = useState(new Map());
   const [loading, setLoading]       = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
   const [errors, setErrors]         = useState([]);
+  const [candleProgress, setCandleProgress] = useState(null);
+  const [previousFetch, setPreviousFetch]   = useState(null);
+  // Records of the latest completed fetch, before any live ticks were applied
+  const lastFetchRef  = useRef(null);
+  // Resolution the current candles were fetched with — live ticks are bucketed by it
+  const resolutionRef = useRef(null);
 
-  const fetchAll = useCallback(async (settings) => {
+  const fetchAll = useCallback(async (settings, { background = false } = {}) => {
     const {
       baseUrl,
       assets,
@@ -25,61 +56,198 @@ export default function useDeltaData() {
       resolution,
       lookbackHours,
       topPerType,
+      concurrency,
+      underlying,
+      priceSource = 'mark',
+      watchlist = [],
     } = settings;
 
-    setLoading(true);
-    setErrors([]);
+    if (concurrency) requestScheduler.configure({ concurrency });
+    requestScheduler.resetStats();
+
+    if (background) {
+      setRefreshing(true);
+    } else {
+      setLoading(true);
+      setErrors([]);
+    }
+    setCandleProgress(null);
     const results   = new Map();
     const newErrors = [];
 
+    // Chunk progress per candle series, summed for the UI
+    const chunkProgress = new Map();
+    const progressFor = (key) => ({
+      onProgress: (p) => {
+        chunkProgress.set(key, p);
+        let done = 0, total = 0;
+        for (const x of chunkProgress.values()) { done += x.done; total += x.total; }
+        setCandleProgress({ done, total });
+      },
+    });
+
     const client = createDeltaClient(baseUrl);
 
     for (const asset of assets) {
       try {
-        // Fetch option chain tickers for this asset (all expiries)
-        const rawTickers = await client.getOptionChain(asset);
-        const records    = normalizeOptionChain(rawTickers, minOpenInterest);
+        // Fetch option chain tickers (all expiries) and product metadata in parallel.
+        // Metadata is best-effort: without it records fall back to symbol-derived expiry.
+        const [rawTickers, products] = await Promise.all([
+          client.getOptionChain(asset),
+          client.getOptionProducts(asset).catch(() => []),
+        ]);
+        const records = enrichRecords(
+          joinProductMetadata(normalizeOptionChain(rawTickers, minOpenInterest), products)
+        );
 
         let candlestickData = [];
+        let underlyingCandles = null;
 
-        if (candlestick && records.length > 0) {
+        // Watched contracts of this asset — ones missing from the chain (filtered
+        // out or expired) are charted from their parsed symbol
+        const bySymbol = new Map(records.map((r) => [r.symbol, r]));
+        const watched  = watchlist
+          .filter((s) => parseOptionSymbol(s)?.asset === asset)
+          .map((s) => bySymbol.get(s) ?? { symbol: s, option_type: parseOptionSymbol(s).optionType });
+        const watchedSet = new Set(watched.map((r) => r.symbol));
+
+        const top = candlestick && records.length > 0
+          ? [
+            ...topInstrumentsForCandles(records, 'call', topPerType),
+            ...topInstrumentsForCandles(records, 'put',  topPerType),
+          ]
+          : [];
+        const topSet  = new Set(top.map((r) => r.symbol));
+        const targets = [...top, ...watched.filter((r) => !topSet.has(r.symbol))];
+
+        if (targets.length > 0) {
           const nowSec  = Math.floor(Date.now() / 1000);
           const endSec  = nowSec;
           const startSec = nowSec - lookbackHours * 3600;
 
-          const topCalls = topInstrumentsForCandles(records, 'call', topPerType);
-          const topPuts  = topInstrumentsForCandles(records, 'put',  topPerType);
-          const targets  = [...topCalls, ...topPuts];
+          const underSym = underlyingSymbol(asset, records, underlying);
+          const fetchUnderlying = async () => {
+            if (!underSym) return null;
+            try {
+              const chartData = await client.getUnderlyingCandles(
+                underSym, resolution, startSec, endSec, progressFor(`${asset}|${underSym}`)
+              );
+              return { symbol: underSym, source: underlying, chartData };
+            } catch {
+              return { symbol: underSym, source: underlying, chartData: null };
+            }
+          };
 
-          const cdResults = await Promise.all(
-            targets.map(async (row) => {
+          const [cdResults, underlyingResult] = await Promise.all([
+            Promise.all(targets.map(async (row) => {
+              const item = {
+                symbol:      row.symbol,
+                option_type: row.option_type,
+                source:      priceSource,
+                watched:     watchedSet.has(row.symbol),
+              };
+              const chartSymbol = candleSourceSymbol(row, priceSource);
+              if (!chartSymbol) return { ...item, chartData: null };
               try {
                 const chartData = await client.getOhlcCandles(
-                  row.symbol,
+                  chartSymbol,
                   resolution,
                   startSec,
                   endSec,
+                  priceSource,
+                  progressFor(`${asset}|${row.symbol}`),
                 );
-                return { symbol: row.symbol, option_type: row.option_type, chartData };
+                return { ...item, chartData };
               } catch {
-                return { symbol: row.symbol, option_type: row.option_type, chartData: null };
+                return { ...item, chartData: null };
               }
-            })
-          );
-          candlestickData = cdResults;
+            })),
+            fetchUnderlying(),
+          ]);
+          candlestickData   = cdResults;
+          underlyingCandles = underlyingResult;
         }
 
-        results.set(asset, { records, candlestickData });
+        results.set(asset, { records, candlestickData, underlyingCandles });
       } catch (err) {
         newErrors.push(`${asset}: ${err.message}`);
       }
     }
 
+    resolutionRef.current = resolution;
+    setPreviousFetch(lastFetchRef.current);
+    lastFetchRef.current = {
+      baseUrl,
+      takenAt: Date.now(),
+      assets:  Object.fromEntries([...results].map(([asset, d]) => [asset, d.records])),
+    };
     setAssetData(results);
     setErrors(newErrors);
+    setCandleProgress(null);
     setLoading(false);
+    setRefreshing(false);
     return results;          // caller can use this immediately
   }, []);
 
-  return { assetData, loading, errors, fetchAll };
+  /**
+   * Merge a batch of raw streaming tickers (WebSocket v2/ticker messages)
+   * into assetData. Matching records are re-normalized (and re-priced by the
+   * model) and live prices of the charted source (mark or spot index)
+   * are appended to the last candle of any charted symbol. Spot prices
+   * carried by the tickers update a spot-index underlying series.
+   */
+  const applyTickers = useCallback((tickers) => {
+    const bySymbol = new Map();
+    for (const t of tickers) {
+      const r = normalizeTicker(t);
+      if (r) bySymbol.set(r.symbol, { record: r, timeSec: tickTimeSec(t) });
+    }
+    if (bySymbol.size === 0) return;
+
+    setAssetData((prev) => {
+      const next = new Map();
+      for (const [asset, entry] of prev) {
+        const records = entry.records.map((r) =>
+          bySymbol.has(r.symbol)
+            ? enrichRecord(carryProductFields({ ...r, ...bySymbol.get(r.symbol).record }, r))
+            : r
+        );
+        const candlestickData = entry.candlestickData.map((item) => {
+          const tick = bySymbol.get(item.symbol);
+          if (!tick || !item.chartData) return item;
+          return {
+            ...item,
+            chartData: applyTickToChartData(
+              item.chartData,
+              liveCandleValue(tick.record, item.source),
+              tick.timeSec,
+              resolutionRef.current,
+            ),
+          };
+        });
+        let underlyingCandles = entry.underlyingCandles;
+        if (underlyingCandles?.source === 'index' && underlyingCandles.chartData) {
+          const tick = [...bySymbol.values()].find(
+            (x) => x.record.asset === asset && x.record.spot_price != null
+          );
+          if (tick) {
+            underlyingCandles = {
+              ...underlyingCandles,
+              chartData: applyTickToChartData(
+                underlyingCandles.chartData,
+                tick.record.spot_price,
+                tick.timeSec,
+                resolutionRef.current,
+              ),
+            };
+          }
+        }
+        next.set(asset, { ...entry, records, candlestickData, underlyingCandles });
+      }
+      return next;
+    });
+  }, []);
+
+  return { assetData, previousFetch, loading, refreshing, errors, candleProgress, fetchAll, applyTickers };
 }
+
@@ -0,0 +1,76 @@
+import { useState, useEffect, useRef } from 'react';
+import { createDeltaSocket, socketUrlForBase } from '../api/deltaSocket';
+
+const TICKER_CHANNEL = 'v2/ticker';
+// Ticker messages are buffered and handed over in batches to keep re-renders cheap
+const FLUSH_INTERVAL_MS = 500;
+
+/**
+ * Streams live tickers for a set of option symbols over the Delta WebSocket.
+ *
+ * enabled:   open the socket only while true
+ * baseUrl:   REST base URL — mapped to the matching socket endpoint
+ * symbols:   symbols to subscribe on the v2/ticker channel
+ * onTickers: (tickers[]) => void — called with the latest raw ticker per symbol
+ *
+ * Returns { status, attempt }
+ *   status: 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closed'
+ */
+export default function useDeltaStream({ enabled, baseUrl, symbols, onTickers }) {
+  const [status, setStatus]   = useState('idle');
+  const [attempt, setAttempt] = useState(0);
+
+  const socketRef    = useRef(null);
+  const subscribedRef = useRef([]);
+  const onTickersRef = useRef(onTickers);
+
+  useEffect(() => { onTickersRef.current = onTickers; }, [onTickers]);
+
+  /* ── Open / close the socket ── */
+  useEffect(() => {
+    if (!enabled) return;
+
+    const pending = new Map();   // symbol → latest raw ticker
+
+    const socket = createDeltaSocket(socketUrlForBase(baseUrl), {
+      onMessage(msg) {
+        if (msg.type !== TICKER_CHANNEL || !msg.symbol) return;
+        pending.set(msg.symbol, msg);
+      },
+      onStatus(s) {
+        setStatus(s.status);
+        setAttempt(s.attempt);
+      },
+    });
+    socketRef.current = socket;
+    subscribedRef.current = [];
+
+    const timer = setInterval(() => {
+      if (pending.size === 0) return;
+      const batch = [...pending.values()];
+      pending.clear();
+      onTickersRef.current?.(batch);
+    }, FLUSH_INTERVAL_MS);
+
+    return () => {
+      clearInterval(timer);
+      socket.close();
+      socketRef.current = null;
+      subscribedRef.current = [];
+    };
+  }, [enabled, baseUrl]);
+
+  /* ── Keep the ticker subscription in sync with the symbol list ── */
+  const symbolKey = symbols.join(',');
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socket) return;
+    const next = symbolKey ? symbolKey.split(',') : [];
+    const prev = subscribedRef.current;
+    socket.unsubscribe(TICKER_CHANNEL, prev.filter((s) => !next.includes(s)));
+    socket.subscribe(TICKER_CHANNEL, next);
+    subscribedRef.current = next;
+  }, [symbolKey, enabled, baseUrl]);
+
+  return enabled ? { status, attempt } : { status: 'idle', attempt: 0 };
+}
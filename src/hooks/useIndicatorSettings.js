@@ -0,0 +1,28 @@
+import { useSyncExternalStore } from 'react';
+import { INDICATORS, DEFAULT_INDICATOR_CONFIG, paramsConsistent } from '../utils/indicators';
+import { createPersistedStore } from './persistedStore';
+
+/**
+ * Stored config merged over the defaults, so newly added params get a value.
+ * Params breaking a constraint (e.g. MACD fast ≥ slow) fall back to defaults.
+ */
+function readConfig(stored) {
+  const config = {};
+  for (const ind of INDICATORS) {
+    const defaults = DEFAULT_INDICATOR_CONFIG[ind.id];
+    const merged = { ...defaults, ...stored?.[ind.id] };
+    config[ind.id] = paramsConsistent(ind, merged) ? merged : { ...defaults, enabled: merged.enabled };
+  }
+  return config;
+}
+
+const store = createPersistedStore('delta-dashboard:indicators', readConfig);
+
+/**
+ * Indicator selection and parameters shared by every CandlestickChart and
+ * persisted in localStorage.
+ * Returns [config, setConfig] — config is { [indicatorId]: { enabled, ...params } }.
+ */
+export default function useIndicatorSettings() {
+  return [useSyncExternalStore(store.subscribe, store.getSnapshot), store.set];
+}
@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback } from 'react';
+import { API_ENVIRONMENTS } from '../api/deltaClient';
+
+const STORAGE_KEY = 'delta-dashboard:settings';
+
+function readStored() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};   // unavailable or corrupt — use defaults
+  }
+}
+
+/**
+ * Keep the values of `source` whose key exists in `defaults` with the same
+ * type, so stale or hand-edited storage cannot break the controls.
+ */
+function sanitize(defaults, source) {
+  const out = {};
+  for (const [key, def] of Object.entries(defaults)) {
+    const v = source[key];
+    if (v == null) continue;
+    if (Array.isArray(def) ? Array.isArray(v) : typeof v === typeof def) out[key] = v;
+  }
+  if (out.baseUrl && !API_ENVIRONMENTS.some((e) => e.value === out.baseUrl)) delete out.baseUrl;
+  return out;
+}
+
+/**
+ * Dashboard settings persisted in localStorage.
+ * Stored values are merged over `defaults` (settings added later get their
+ * default) and `overrides` — e.g. the settings of a shared link — win over
+ * both for this session only: just the keys the user changes afterwards are
+ * saved, so opening someone's link never replaces your own settings.
+ * Returns [settings, setSettings] like useState.
+ */
+export default function usePersistedSettings(defaults, overrides = {}) {
+  // saved: what goes to storage; view: what the dashboard shows
+  const [state, setState] = useState(() => {
+    const saved = { ...defaults, ...sanitize(defaults, readStored()) };
+    return { saved, view: { ...saved, ...sanitize(defaults, overrides) } };
+  });
+
+  const setSettings = useCallback((next) => {
+    setState(({ saved, view }) => {
+      const value = typeof next === 'function' ? next(view) : next;
+      const changed = Object.fromEntries(Object.entries(value).filter(([key, v]) => v !== view[key]));
+      return { view: value, saved: { ...saved, ...changed } };
+    });
+  }, []);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state.saved));
+    } catch {
+      // storage full or disabled — settings still work for this session
+    }
+  }, [state.saved]);
+
+  return [state.view, setSettings];
+}
@@ -0,0 +1,103 @@
+import { useSyncExternalStore } from 'react';
+import {
+  positionsFromJournal, expiredOpenPositions, settlementEntry, fillEntry, serializePortfolio, parsePortfolio,
+} from '../utils/portfolio';
+import { createPersistedStore } from './persistedStore';
+
+const store = createPersistedStore(
+  'delta-dashboard:portfolio',
+  (stored) => (Array.isArray(stored) ? stored : []),
+);
+const setJournal = store.set;
+
+let nextId = Date.now();
+const newId = () => `fill-${nextId++}`;
+
+/**
+ * Record a fill on a normalized record: { side, qty, priceSource, price? }.
+ * Throws when the chosen quote is missing or qty is invalid.
+ */
+function addFill(record, fill) {
+  const entry = fillEntry(record, fill, newId());
+  setJournal((j) => [...j, entry]);
+}
+
+function removeEntry(id) {
+  setJournal((j) => j.filter((e) => e.id !== id));
+}
+
+function resetPortfolio() {
+  setJournal([]);
+}
+
+function exportPortfolio() {
+  return serializePortfolio(store.getSnapshot());
+}
+
+/** Replace the journal with an exported file's. Throws on invalid files. */
+function importPortfolio(text) {
+  setJournal(parsePortfolio(text));
+}
+
+// Spot index close at an expiry, from 1-minute candles ending at it
+async function spotAtExpiry(client, position) {
+  const expSec = Math.floor(position.expiry_ms / 1000);
+  const symbol = position.spot_index_symbol ?? `${position.asset}USD`;
+  const candles = await client.getUnderlyingCandles(symbol, 1, expSec - 30 * 60, expSec);
+  for (let i = (candles?.t?.length ?? 0) - 1; i >= 0; i--) {
+    if (candles.t[i] <= expSec && candles.c[i] != null) return candles.c[i];
+  }
+  return null;
+}
+
+let settling = null;
+
+/**
+ * Settle every open position past its expiry against the underlying spot
+ * index at expiry, fetched with `client` (createDeltaClient()). Positions
+ * whose spot cannot be fetched yet stay open for the next attempt.
+ * Resolves to the number of positions settled.
+ */
+function settleExpired(client) {
+  if (settling) return settling;
+  const due = expiredOpenPositions(positionsFromJournal(store.getSnapshot()));
+  if (due.length === 0) return Promise.resolve(0);
+
+  settling = (async () => {
+    const spots = new Map();
+    for (const p of due) {
+      try {
+        const spot = await spotAtExpiry(client, p);
+        if (spot != null) spots.set(p.symbol, spot);
+      } catch {
+        // no candles yet — retried on the next fetch
+      }
+    }
+    // The journal may have changed while fetching — settle what is still open
+    const entries = expiredOpenPositions(positionsFromJournal(store.getSnapshot()))
+      .filter((p) => spots.has(p.symbol))
+      .map((p) => settlementEntry(p, spots.get(p.symbol), newId()));
+    if (entries.length > 0) setJournal((j) => [...j, ...entries]);
+    return entries.length;
+  })().finally(() => { settling = null; });
+  return settling;
+}
+
+/**
+ * Paper-trading journal, persisted in localStorage and shared by every
+ * component. Returns { journal, positions, addFill, removeEntry,
+ * resetPortfolio, exportPortfolio, importPortfolio, settleExpired }.
+ */
+export default function usePortfolio() {
+  const journal = useSyncExternalStore(store.subscribe, store.getSnapshot);
+  return {
+    journal,
+    positions: positionsFromJournal(journal),
+    addFill,
+    removeEntry,
+    resetPortfolio,
+    exportPortfolio,
+    importPortfolio,
+    settleExpired,
+  };
+}
@@ -0,0 +1,23 @@
+import { useSyncExternalStore } from 'react';
+import { requestScheduler } from '../api/deltaClient';
+
+let current = requestScheduler.getStats();
+
+function subscribe(onChange) {
+  return requestScheduler.subscribe((stats) => {
+    current = stats;
+    onChange();
+  });
+}
+
+function getSnapshot() {
+  return current;
+}
+
+/**
+ * Live request-scheduler stats for the UI.
+ * Returns { active, queued, retries, throttled, failures, throttledUntil }.
+ */
+export default function useRequestStats() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+import { listSnapshotTimes, loadSnapshot, saveSnapshot, clearSnapshots } from '../api/snapshotStore';
+
+/**
+ * Recorded option chain snapshots for one environment.
+ *
+ * Returns { timestamps, record, load, clear }
+ *   timestamps: snapshot times (ms), oldest first
+ *   record(assetData): store the records of a useDeltaData result
+ *   load(takenAt):     resolves to { takenAt, assets } or null
+ *   clear():           delete every snapshot of this environment
+ */
+export default function useSnapshots(baseUrl) {
+  const [timestamps, setTimestamps] = useState([]);
+  const [version, setVersion]       = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSnapshotTimes(baseUrl).then((t) => { if (!cancelled) setTimestamps(t); });
+    return () => { cancelled = true; };
+  }, [baseUrl, version]);
+
+  const record = useCallback(async (assetData) => {
+    const takenAt = await saveSnapshot(baseUrl, assetData);
+    if (takenAt != null) setVersion((v) => v + 1);
+    return takenAt;
+  }, [baseUrl]);
+
+  const load = useCallback((takenAt) => loadSnapshot(baseUrl, takenAt), [baseUrl]);
+
+  const clear = useCallback(async () => {
+    await clearSnapshots(baseUrl);
+    setVersion((v) => v + 1);
+  }, [baseUrl]);
+
+  return { timestamps, record, load, clear };
+}
@@ -0,0 +1,39 @@
+import { useSyncExternalStore } from 'react';
+import { parseOptionSymbol } from '../utils/dataUtils';
+import { createPersistedStore } from './persistedStore';
+
+/** Stored symbols, dropping anything that is not an option symbol. */
+const store = createPersistedStore(
+  'delta-dashboard:watchlist',
+  (stored) => (Array.isArray(stored) ? stored.filter((s) => parseOptionSymbol(s)) : []),
+);
+const setWatchlist = store.set;
+
+/**
+ * Add an option symbol (case-insensitive). Returns false when the symbol
+ * cannot be parsed as a Delta option symbol.
+ */
+function addSymbol(symbol) {
+  const s = symbol.trim().toUpperCase();
+  if (!parseOptionSymbol(s)) return false;
+  setWatchlist((list) => (list.includes(s) ? list : [...list, s]));
+  return true;
+}
+
+function removeSymbol(symbol) {
+  setWatchlist((list) => list.filter((s) => s !== symbol));
+}
+
+function toggleSymbol(symbol) {
+  if (store.getSnapshot().includes(symbol)) removeSymbol(symbol);
+  else addSymbol(symbol);
+}
+
+/**
+ * Pinned option symbols, persisted in localStorage and shared by every
+ * component. Returns { watchlist, addSymbol, removeSymbol, toggleSymbol }.
+ */
+export default function useWatchlist() {
+  const watchlist = useSyncExternalStore(store.subscribe, store.getSnapshot);
+  return { watchlist, addSymbol, removeSymbol, toggleSymbol };
+}
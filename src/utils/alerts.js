@@ -0,0 +1,147 @@
+/**
+ * Rule-based alerts evaluated against fetched asset data.
+ *
+ * A rule is { id, field, operator, threshold, cooldownSec, enabled,
+ *             scope: { asset, expiry, symbol } } — expiry is an expiry_date
+ * ('YYYY-MM-DD') or null, symbol an option symbol or null.
+ *
+ * Contract fields read one contract and need scope.symbol. Aggregate fields
+ * read the asset, narrowed to scope.expiry when set (ATM IV defaults to the
+ * nearest expiry). IV values are compared in percent (60 = 60%).
+ */
+
+import { groupByExpiry } from './dataUtils';
+import { positioningForRows } from './positioning';
+
+export const ALERT_FIELDS = [
+  { value: 'mark_price',       label: 'Mark price',          level: 'contract'  },
+  { value: 'bid_price',        label: 'Bid',                 level: 'contract'  },
+  { value: 'ask_price',        label: 'Ask',                 level: 'contract'  },
+  { value: 'mark_iv',          label: 'Mark IV %',           level: 'contract', iv: true },
+  { value: 'open_interest',    label: 'Open interest',       level: 'contract'  },
+  { value: 'volume',           label: 'Volume',              level: 'contract'  },
+  { value: 'delta',            label: 'Delta',               level: 'contract'  },
+  { value: 'candle_close',     label: 'Last candle close',   level: 'contract'  },
+  { value: 'atm_iv',           label: 'ATM IV %',            level: 'aggregate', iv: true },
+  { value: 'pcr_oi',           label: 'Put/call OI ratio',   level: 'aggregate' },
+  { value: 'max_pain',         label: 'Max pain',            level: 'aggregate' },
+  { value: 'spot_price',       label: 'Spot',                level: 'aggregate' },
+  { value: 'underlying_close', label: 'Underlying close',    level: 'aggregate' },
+];
+
+export const ALERT_OPERATORS = [
+  { value: 'above',         label: 'is above'      },
+  { value: 'below',         label: 'is below'      },
+  { value: 'crosses_above', label: 'crosses above' },
+  { value: 'crosses_below', label: 'crosses below' },
+  { value: 'crosses',       label: 'crosses'       },
+];
+
+const FIELD_BY_VALUE = new Map(ALERT_FIELDS.map((f) => [f.value, f]));
+const OPERATOR_LABELS = Object.fromEntries(ALERT_OPERATORS.map((o) => [o.value, o.label]));
+
+function lastClose(chartData) {
+  const c = chartData?.c;
+  return c?.length ? c[c.length - 1] : null;
+}
+
+/** ATM implied volatility of one expiry's rows: mean mark IV of the strike nearest spot. */
+function atmIv(rows) {
+  const spot = rows.find((r) => r.spot_price)?.spot_price;
+  if (spot == null || rows.length === 0) return null;
+  const atm = rows.reduce((best, r) =>
+    Math.abs(r.strike - spot) < Math.abs(best - spot) ? r.strike : best, rows[0].strike);
+  const ivs = rows
+    .filter((r) => r.strike === atm)
+    .map((r) => r.mark_iv ?? r.mid_iv)
+    .filter((v) => v != null);
+  return ivs.length ? ivs.reduce((a, b) => a + b, 0) / ivs.length : null;
+}
+
+/**
+ * Current value of a rule's field in `assetData` (useDeltaData() shape), or
+ * null when the scope matches nothing. IV fields are returned in percent.
+ */
+export function ruleValue(rule, assetData) {
+  const field = FIELD_BY_VALUE.get(rule.field);
+  const data  = assetData.get(rule.scope.asset);
+  if (!field || !data) return null;
+  const scale = (v) => (v != null && field.iv ? v * 100 : v ?? null);
+
+  if (field.level === 'contract') {
+    if (!rule.scope.symbol) return null;
+    if (rule.field === 'candle_close') {
+      return lastClose(data.candlestickData.find((c) => c.symbol === rule.scope.symbol)?.chartData);
+    }
+    return scale(data.records.find((r) => r.symbol === rule.scope.symbol)?.[rule.field]);
+  }
+
+  if (rule.field === 'underlying_close') return lastClose(data.underlyingCandles?.chartData);
+
+  let rows = rule.scope.expiry
+    ? data.records.filter((r) => r.expiry_date === rule.scope.expiry)
+    : data.records;
+  if (rule.field === 'atm_iv' && !rule.scope.expiry) {
+    rows = groupByExpiry(data.records).values().next().value ?? [];
+  }
+  if (rows.length === 0) return null;
+
+  switch (rule.field) {
+    case 'atm_iv':     return scale(atmIv(rows));
+    case 'pcr_oi':     return positioningForRows(rows).pcrOi;
+    case 'max_pain':   return positioningForRows(rows).maxPain;
+    case 'spot_price': return rows.find((r) => r.spot_price)?.spot_price ?? null;
+    default:           return null;
+  }
+}
+
+function conditionMet(operator, prev, value, threshold) {
+  switch (operator) {
+    case 'above':         return value > threshold;
+    case 'below':         return value < threshold;
+    case 'crosses_above': return prev != null && prev <= threshold && value > threshold;
+    case 'crosses_below': return prev != null && prev >= threshold && value < threshold;
+    case 'crosses':
+      return prev != null && ((prev <= threshold && value > threshold) || (prev >= threshold && value < threshold));
+    default:              return false;
+  }
+}
+
+/** Human-readable rule, e.g. "BTC 2025-03-28 ATM IV % is above 60". */
+export function describeRule(rule) {
+  const field = FIELD_BY_VALUE.get(rule.field)?.label ?? rule.field;
+  const scope = rule.scope.symbol ?? [rule.scope.asset, rule.scope.expiry].filter(Boolean).join(' ');
+  return `${scope} ${field} ${OPERATOR_LABELS[rule.operator] ?? rule.operator} ${rule.threshold}`;
+}
+
+/**
+ * Evaluate enabled rules against fresh data.
+ * states: { [ruleId]: { prev, lastFiredAt } } from the previous evaluation.
+ * Returns { events: [{ ruleId, message, value, at }], states } — the new
+ * states record every rule's value so crossings compare consecutive refreshes;
+ * a rule inside its cooldown does not fire.
+ */
+export function evaluateAlerts(rules, assetData, states = {}, nowMs = Date.now()) {
+  const events = [];
+  const next = {};
+  for (const rule of rules) {
+    const state = states[rule.id] ?? { prev: null, lastFiredAt: null };
+    if (!rule.enabled) {
+      next[rule.id] = { ...state, prev: null };
+      continue;
+    }
+    const value = ruleValue(rule, assetData);
+    if (value == null) {
+      next[rule.id] = state;
+      continue;
+    }
+    const cooling = state.lastFiredAt != null && nowMs - state.lastFiredAt < (rule.cooldownSec ?? 0) * 1000;
+    const fired = !cooling && conditionMet(rule.operator, state.prev, value, rule.threshold);
+    if (fired) {
+      const shown = Number.isInteger(value) ? value : Number(value.toFixed(4));
+      events.push({ ruleId: rule.id, message: `${describeRule(rule)} (now ${shown})`, value, at: nowMs });
+    }
+    next[rule.id] = { prev: value, lastFiredAt: fired ? nowMs : state.lastFiredAt };
+  }
+  return { events, states: next };
+}
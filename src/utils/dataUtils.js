@@ -20,6 +20,12 @@ export const METRICS = [
   { value: 'gamma',       label: 'Gamma'           },
   { value: 'theta',       label: 'Theta'           },
   { value: 'vega',        label: 'Vega'            },
+  { value: 'mark_iv',     label: 'Mark IV (model)' },
+  { value: 'mid_iv',      label: 'Mid IV (model)'  },
+  { value: 'theo_delta',  label: 'Delta (model)'   },
+  { value: 'theo_gamma',  label: 'Gamma (model)'   },
+  { value: 'theo_theta',  label: 'Theta (model)'   },
+  { value: 'theo_vega',   label: 'Vega (model)'    },
 ];
 
 /** Resolutions supported by Delta Exchange chart/history endpoint (in minutes) */
@@ -37,6 +43,39 @@ export const RESOLUTIONS = [
   { value: 10080, label: '1 Week' },
 ];
 
+// Longest lookback the control panel accepts, in hours (30 days)
+export const MAX_LOOKBACK_HOURS = 720;
+
+/**
+ * Price series the chart/history endpoint can return for an option.
+ * prefix is prepended to the contract symbol; 'index' charts the
+ * underlying's spot index instead (spot_index_symbol from product metadata).
+ */
+export const CANDLE_SOURCES = [
+  { value: 'mark',  label: 'Mark Price',  short: 'Mark',  prefix: 'MARK:' },
+  { value: 'last',  label: 'Last Traded', short: 'LTP',   prefix: ''      },
+  { value: 'iv',    label: 'Mark IV',     short: 'IV',    prefix: 'IV:'   },
+  { value: 'index', label: 'Spot Index',  short: 'Index', prefix: ''      },
+];
+
+/** Auto-refresh intervals in seconds (0 = off) */
+export const REFRESH_INTERVALS = [
+  { value: 0,   label: 'Off'    },
+  { value: 15,  label: '15 sec' },
+  { value: 30,  label: '30 sec' },
+  { value: 60,  label: '1 min'  },
+  { value: 120, label: '2 min'  },
+  { value: 300, label: '5 min'  },
+  { value: 900, label: '15 min' },
+];
+
+/** Underlying series drawn alongside option candles */
+export const UNDERLYING_SOURCES = [
+  { value: 'off',   label: 'Off'        },
+  { value: 'perp',  label: 'Perpetual'  },
+  { value: 'index', label: 'Spot Index' },
+];
+
 // ─── Symbol Parsing ────────────────────────────────────────────────────────────
 
 /**
@@ -63,11 +102,22 @@ export function parseOptionSymbol(symbol) {
   const year  = `20${expiryStr.slice(4, 6)}`;
   // ISO date
   const expiryDate = `${year}-${month}-${day}`;
+  // Placeholder settlement time — replaced by the product's settlement_time
+  // once joinProductMetadata() has run
   const expiryMs = new Date(`${year}-${month}-${day}T08:00:00Z`).getTime();
 
   return { optionType, asset, strike, expiryDate, expiryMs, expiryRaw: expiryStr };
 }
 
+/**
+ * Whether an option symbol has expired — judged by its record's settlement
+ * time when known, else by the expiry date encoded in the symbol.
+ */
+export function isSymbolExpired(symbol, record = null, nowMs = Date.now()) {
+  const expiryMs = record?.expiry_ms ?? parseOptionSymbol(symbol)?.expiryMs;
+  return expiryMs != null && expiryMs <= nowMs;
+}
+
 /**
  * Format a Delta expiry raw string (DDMMYY) into display format DD-MM-YYYY.
  */
@@ -78,14 +128,24 @@ export function formatExpiryRaw(expiryStr) {
 
 // ─── Data Normalization ────────────────────────────────────────────────────────
 
+/**
+ * Parse an API numeric field. Missing / non-numeric values become null,
+ * genuine zeros are preserved.
+ */
+export function toNumber(value) {
+  if (value == null || value === '') return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
 /**
  * Normalize a raw Delta Exchange ticker object into a flat record.
  * Compatible with the shape expected by StrikeChart and OptionChainTable.
  *
  * ticker shape (from GET /v2/tickers?contract_types=call_options,put_options):
  * {
- *   symbol, contract_type, strike_price, mark_price, spot_price, oi, volume,
- *   quotes: { best_bid, best_ask, bid_iv, ask_iv, bid_size, ask_size },
+ *   symbol, contract_type, strike_price, mark_price, spot_price, close, oi, volume,
+ *   quotes: { best_bid, best_ask, bid_iv, ask_iv, mark_iv, bid_size, ask_size },
  *   greeks: { delta, gamma, rho, theta, vega },
  *   timestamp, product_id
  * }
@@ -109,26 +169,28 @@ export function normalizeTicker(ticker) {
     expiry_raw:    expiryRaw,
 
     // Pricing
-    mark_price:    parseFloat(ticker.mark_price) || null,
-    spot_price:    parseFloat(ticker.spot_price) || null,
-    bid_price:     parseFloat(quotes.best_bid)   || null,
-    ask_price:     parseFloat(quotes.best_ask)   || null,
-    bid_iv:        parseFloat(quotes.bid_iv)     || null,
-    ask_iv:        parseFloat(quotes.ask_iv)     || null,
-    bid_size:      parseFloat(quotes.bid_size)   || null,
-    ask_size:      parseFloat(quotes.ask_size)   || null,
+    mark_price:    toNumber(ticker.mark_price),
+    spot_price:    toNumber(ticker.spot_price),
+    last_price:    toNumber(ticker.close),         // last traded
+    exchange_mark_iv: toNumber(quotes.mark_iv),    // the exchange's, not the model's mark_iv
+    bid_price:     toNumber(quotes.best_bid),
+    ask_price:     toNumber(quotes.best_ask),
+    bid_iv:        toNumber(quotes.bid_iv),
+    ask_iv:        toNumber(quotes.ask_iv),
+    bid_size:      toNumber(quotes.bid_size),
+    ask_size:      toNumber(quotes.ask_size),
 
     // Market data
-    open_interest: parseFloat(ticker.oi)         || null,
-    volume:        parseFloat(ticker.volume)      || null,
-    turnover_usd:  parseFloat(ticker.turnover_usd) || null,
+    open_interest: toNumber(ticker.oi),
+    volume:        toNumber(ticker.volume),
+    turnover_usd:  toNumber(ticker.turnover_usd),
 
     // Greeks
-    delta: parseFloat(greeks.delta) || null,
-    gamma: parseFloat(greeks.gamma) || null,
-    rho:   parseFloat(greeks.rho)   || null,
-    theta: parseFloat(greeks.theta) || null,
-    vega:  parseFloat(greeks.vega)  || null,
+    delta: toNumber(greeks.delta),
+    gamma: toNumber(greeks.gamma),
+    rho:   toNumber(greeks.rho),
+    theta: toNumber(greeks.theta),
+    vega:  toNumber(greeks.vega),
   };
 }
 
@@ -147,6 +209,50 @@ export function normalizeOptionChain(tickers, minOpenInterest = 0) {
   return records;
 }
 
+/** Record fields sourced from /v2/products (see joinProductMetadata) */
+export const PRODUCT_FIELDS = [
+  'contract_value', 'tick_size', 'settlement_time', 'product_state', 'launch_time', 'expiry_ms',
+  'spot_index_symbol',
+];
+
+/**
+ * Join /v2/products metadata into normalized records by symbol.
+ * Adds contract_value, tick_size, settlement_time (ISO), product_state,
+ * launch_time and spot_index_symbol, and replaces the symbol-derived expiry_ms with the real
+ * settlement time. Records without a matching product are returned as-is
+ * with null metadata.
+ */
+export function joinProductMetadata(records, products) {
+  const bySymbol = new Map(products.map((p) => [p.symbol, p]));
+  return records.map((r) => {
+    const p = bySymbol.get(r.symbol);
+    const settlementMs = p?.settlement_time ? new Date(p.settlement_time).getTime() : NaN;
+    return {
+      ...r,
+      product_id:      r.product_id ?? p?.id,
+      contract_value:  toNumber(p?.contract_value),
+      tick_size:       toNumber(p?.tick_size),
+      settlement_time: p?.settlement_time ?? null,
+      product_state:   p?.state ?? null,
+      launch_time:     p?.launch_time ?? null,
+      spot_index_symbol: p?.spot_index?.symbol ?? null,
+      expiry_ms:       Number.isFinite(settlementMs) ? settlementMs : r.expiry_ms,
+    };
+  });
+}
+
+/**
+ * Copy product metadata fields from one record onto another — used when a
+ * streamed ticker is re-normalized and would otherwise lose them.
+ */
+export function carryProductFields(target, source) {
+  const out = { ...target };
+  for (const f of PRODUCT_FIELDS) {
+    if (source[f] !== undefined) out[f] = source[f];
+  }
+  return out;
+}
+
 // ─── Grouping / Sorting ────────────────────────────────────────────────────────
 
 /**
@@ -201,6 +307,41 @@ export function getExpiryOptions(records) {
 
 // ─── Chart Data Helpers ────────────────────────────────────────────────────────
 
+/**
+ * Symbol to request candles for when charting a record with a CANDLE_SOURCES
+ * value: the contract itself, or its spot index for 'index'. Returns null
+ * when the spot index is unknown (no product metadata).
+ */
+export function candleSourceSymbol(record, source = 'mark') {
+  if (source === 'index') return record.spot_index_symbol ?? null;
+  return record.symbol;
+}
+
+/**
+ * Live value of a streamed record for a candle source, used to extend the
+ * last candle: mark price, last traded price (ticker `close`), the
+ * exchange's mark IV (`quotes.mark_iv`, the series behind "IV:" candles) or
+ * the spot index. Null when the tick did not carry the field.
+ */
+export function liveCandleValue(record, source = 'mark') {
+  if (source === 'mark')  return record.mark_price;
+  if (source === 'last')  return record.last_price ?? null;
+  if (source === 'iv')    return record.exchange_mark_iv ?? null;
+  if (source === 'index') return record.spot_price;
+  return null;
+}
+
+/**
+ * Chart symbol of an asset's underlying for a UNDERLYING_SOURCES value:
+ * the USD-margined perpetual ("BTCUSD") or the options' spot index taken
+ * from product metadata (".DEXBTUSD"). Returns null when unavailable.
+ */
+export function underlyingSymbol(asset, records, source) {
+  if (source === 'perp')  return `${asset}USD`;
+  if (source === 'index') return records.find((r) => r.spot_index_symbol)?.spot_index_symbol ?? null;
+  return null;
+}
+
 /**
  * Build Highcharts series for a strike chart.
  * Y-axis = metric, X-axis = strike, one series per option type.
@@ -250,22 +391,162 @@ export function buildCandlestickSeries(chartData) {
   return { ohlcData, volData };
 }
 
+/**
+ * Unix time (seconds) of a raw ticker. Delta timestamps are in microseconds;
+ * falls back to the local clock when absent.
+ */
+export function tickTimeSec(ticker) {
+  const us = Number(ticker?.timestamp);
+  return us > 0 ? Math.floor(us / 1e6) : Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Merge a live price tick into TradingView chart data.
+ * Updates high/low/close of the last bar, or opens a new bar when the tick
+ * falls into a later resolution bucket. Returns a new object (never mutates).
+ * resolution is in minutes; timeSec is a Unix timestamp in seconds.
+ */
+export function applyTickToChartData(chartData, price, timeSec, resolution) {
+  if (!chartData?.t?.length || price == null) return chartData;
+
+  const step    = Number(resolution) * 60;
+  const last    = chartData.t.length - 1;
+  const lastT   = chartData.t[last];
+  if (timeSec < lastT) return chartData;
+
+  const { t, o, h, l, c, v } = chartData;
+  if (timeSec < lastT + step) {
+    return {
+      ...chartData,
+      h: [...h.slice(0, last), Math.max(h[last], price)],
+      l: [...l.slice(0, last), Math.min(l[last], price)],
+      c: [...c.slice(0, last), price],
+    };
+  }
+
+  const barT = Math.floor(timeSec / step) * step;
+  return {
+    ...chartData,
+    t: [...t, barT],
+    o: [...o, price],
+    h: [...h, price],
+    l: [...l, price],
+    c: [...c, price],
+    v: [...(v ?? t.map(() => 0)), 0],
+  };
+}
+
+// ─── Volatility Surface ────────────────────────────────────────────────────────
+
+/** IV sources available for the surface — each maps to a record field */
+export const IV_SOURCES = [
+  { value: 'mid_iv',  label: 'Mid IV'  },
+  { value: 'mark_iv', label: 'Mark IV' },
+  { value: 'bid_iv',  label: 'Bid IV'  },
+  { value: 'ask_iv',  label: 'Ask IV'  },
+];
+
+/**
+ * Pick the record that represents the smile at one strike: the out-of-the-money
+ * option (put below spot, call at/above spot), falling back to the other side
+ * when the OTM contract has no IV.
+ */
+function smileRecordAtStrike(call, put, spot, ivField) {
+  const otm = spot != null && put && put.strike < spot ? put : call;
+  const itm = otm === put ? call : put;
+  if (otm?.[ivField] != null) return otm;
+  if (itm?.[ivField] != null) return itm;
+  return null;
+}
+
+/**
+ * Build a strike × expiry implied-volatility grid.
+ * Returns { strikes, expiries: [{ expiryMs, expiryDate }], iv: number[strikeIdx][expiryIdx] | null,
+ *           smiles: [{ expiryMs, expiryDate, points: [{ strike, iv, logMoneyness, callDelta }] }] }
+ * IV values keep the API unit (decimal fraction).
+ */
+export function buildIvSurface(records, ivField = 'mid_iv') {
+  const byExpiry = groupByExpiry(records);
+  const strikes  = [...new Set(records.map((r) => r.strike))].sort((a, b) => a - b);
+  const strikeIdx = new Map(strikes.map((k, i) => [k, i]));
+  const expiries = [];
+  const smiles   = [];
+  const iv       = strikes.map(() => []);
+
+  [...byExpiry.entries()].forEach(([expiryMs, rows], col) => {
+    const expiryDate = rows[0]?.expiry_date ?? '';
+    expiries.push({ expiryMs, expiryDate });
+
+    const spot  = rows.find((r) => r.spot_price)?.spot_price ?? null;
+    const pairs = new Map();
+    for (const r of rows) {
+      if (!pairs.has(r.strike)) pairs.set(r.strike, {});
+      pairs.get(r.strike)[r.option_type] = r;
+    }
+
+    const points = [];
+    for (const [strike, { call, put }] of [...pairs.entries()].sort((a, b) => a[0] - b[0])) {
+      const rec = smileRecordAtStrike(call, put, spot, ivField);
+      if (!rec) continue;
+      const value = rec[ivField];
+      iv[strikeIdx.get(strike)][col] = value;
+      // Express delta as call-equivalent so the axis is monotonic across the smile
+      const callDelta = rec.delta == null
+        ? null
+        : rec.option_type === 'put' ? rec.delta + 1 : rec.delta;
+      points.push({
+        strike,
+        iv: value,
+        logMoneyness: spot ? Math.log(strike / spot) : null,
+        callDelta,
+      });
+    }
+    smiles.push({ expiryMs, expiryDate, points });
+  });
+
+  // Normalise sparse rows to fixed-length arrays with explicit nulls
+  const grid = iv.map((row) => expiries.map((_, c) => row[c] ?? null));
+  return { strikes, expiries, iv: grid, smiles };
+}
+
+/**
+ * Convert a vol surface grid to CSV: one row per strike, one column per expiry.
+ */
+export function ivSurfaceToCsv(surface) {
+  const headers = ['strike', ...surface.expiries.map((e) => e.expiryDate)];
+  const rows = surface.strikes.map((k, i) =>
+    [k, ...surface.iv[i].map((v) => (v == null ? '' : v))].join(',')
+  );
+  return [headers.join(','), ...rows].join('\n');
+}
+
 // ─── CSV Export ────────────────────────────────────────────────────────────────
 
+/** Record fields exported for the option chain, in column order */
+export const CHAIN_EXPORT_FIELDS = [
+  'symbol', 'product_id', 'asset', 'option_type', 'strike',
+  'expiry_date', 'expiry_raw',
+  'spot_price',
+  'mark_price', 'bid_price', 'ask_price', 'bid_size', 'ask_size',
+  'bid_iv', 'ask_iv',
+  'open_interest', 'volume', 'turnover_usd',
+  'delta', 'gamma', 'theta', 'vega', 'rho',
+  'contract_value', 'tick_size', 'settlement_time', 'product_state', 'dte', 'notional_oi_usd',
+  'mark_iv', 'mid_iv', 'theo_price',
+  'theo_delta', 'theo_gamma', 'theo_theta', 'theo_vega', 'theo_rho',
+];
+
+/** Fields added by a comparison with a baseline (positioning withOiChange) */
+export const CHANGE_EXPORT_FIELDS = ['oi_change', 'oi_change_pct', 'price_change', 'price_change_pct', 'buildup'];
+
 /**
  * Convert normalized option chain records to CSV string.
  * Includes every field shown in the frontend table.
  */
 export function recordsToCsv(records) {
-  const headers = [
-    'symbol', 'product_id', 'asset', 'option_type', 'strike',
-    'expiry_date', 'expiry_raw',
-    'spot_price',
-    'mark_price', 'bid_price', 'ask_price', 'bid_size', 'ask_size',
-    'bid_iv', 'ask_iv',
-    'open_interest', 'volume', 'turnover_usd',
-    'delta', 'gamma', 'theta', 'vega', 'rho',
-  ];
+  const headers = [...CHAIN_EXPORT_FIELDS];
+  // Change columns are present once records were compared with a baseline
+  if (records.some((r) => 'buildup' in r)) headers.push(...CHANGE_EXPORT_FIELDS);
   const rows = records.map((r) =>
     headers.map((h) => {
       const v = r[h];
@@ -281,43 +562,87 @@ export function recordsToCsv(records) {
 }
 
 /**
- * Convert candlestick data (array of { symbol, option_type, chartData }) to CSV.
+ * Flatten candlestick data (array of { symbol, option_type, source, chartData })
+ * into one object per bar:
+ * { symbol, option_type, source, time, open, high, low, close, volume } — time in Unix seconds.
  * chartData is TradingView format: { s, t, o, h, l, c, v } where each field is an array.
  */
-export function candlestickToCsv(candlestickData) {
-  const headers = [
-    'symbol', 'option_type', 'timestamp_unix', 'datetime_utc',
-    'open', 'high', 'low', 'close', 'volume',
-  ];
+export function candleRows(candlestickData) {
   const rows = [];
   for (const item of candlestickData) {
     const cd = item.chartData;
     if (!cd || !cd.t || !Array.isArray(cd.t)) continue;
     const { t, o, h, l, c, v } = cd;
     for (let i = 0; i < t.length; i++) {
-      const time = t[i];
-      const dt = new Date(time * 1000).toISOString();
-      rows.push([
-        item.symbol,
-        item.option_type,
-        time,
-        dt,
-        o?.[i] ?? '',
-        h?.[i] ?? '',
-        l?.[i] ?? '',
-        c?.[i] ?? '',
-        v?.[i] ?? '',
-      ].join(','));
+      rows.push({
+        symbol:      item.symbol,
+        option_type: item.option_type ?? null,
+        source:      item.source ?? null,
+        time:        t[i],
+        open:        o?.[i] ?? null,
+        high:        h?.[i] ?? null,
+        low:         l?.[i] ?? null,
+        close:       c?.[i] ?? null,
+        volume:      v?.[i] ?? null,
+      });
     }
   }
+  return rows;
+}
+
+/**
+ * Convert candlestick data (array of { symbol, option_type, chartData }) to CSV.
+ */
+export function candlestickToCsv(candlestickData) {
+  const headers = [
+    'symbol', 'option_type', 'timestamp_unix', 'datetime_utc',
+    'open', 'high', 'low', 'close', 'volume',
+  ];
+  const rows = candleRows(candlestickData).map((b) => [
+    b.symbol,
+    b.option_type ?? '',
+    b.time,
+    new Date(b.time * 1000).toISOString(),
+    b.open ?? '',
+    b.high ?? '',
+    b.low ?? '',
+    b.close ?? '',
+    b.volume ?? '',
+  ].join(','));
   return [headers.join(','), ...rows].join('\n');
 }
 
+/**
+ * Human-readable byte size, e.g. "1.4 MB".
+ */
+export function formatBytes(bytes) {
+  if (bytes == null) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Short local date-time label for a timestamp (ms), e.g. "Mar 14, 09:30:05".
+ */
+export function formatTimestamp(ms) {
+  return new Date(ms).toLocaleString(undefined, {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+}
+
 /**
  * Trigger a browser CSV file download.
  */
 export function downloadCsv(content, filename) {
-  const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+  downloadFile(content, filename, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Trigger a browser download of a string or byte array.
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
   const url  = URL.createObjectURL(blob);
   const a    = document.createElement('a');
   a.href     = url;
@@ -0,0 +1,253 @@
+/**
+ * Export center: tabular datasets built from fetched asset data and their
+ * serialization to CSV, JSON, NDJSON or a multi-sheet XLSX workbook.
+ *
+ * A dataset is { id, label, columns: [{ key, time? }], rows: object[] } —
+ * `time` marks timestamp columns and their unit ('s' | 'ms'), which are
+ * rendered with the chosen timestamp format and timezone.
+ */
+
+import {
+  CHAIN_EXPORT_FIELDS, CHANGE_EXPORT_FIELDS, candleRows, buildIvSurface,
+} from './dataUtils';
+import { positioningByExpiry } from './positioning';
+import { buildXlsx } from './xlsx';
+
+// ─── Options ──────────────────────────────────────────────────────────────────
+
+export const EXPORT_DATASETS = [
+  { value: 'chain',        label: 'Option chain'          },
+  { value: 'candles',      label: 'Candles'               },
+  { value: 'positioning',  label: 'Positioning by expiry' },
+  { value: 'oi_by_strike', label: 'OI by strike'          },
+  { value: 'vol_surface',  label: 'Vol surface (mid IV)'  },
+];
+
+export const EXPORT_FORMATS = [
+  { value: 'csv',    label: 'CSV',          ext: 'csv',    mime: 'text/csv;charset=utf-8;' },
+  { value: 'json',   label: 'JSON',         ext: 'json',   mime: 'application/json' },
+  { value: 'ndjson', label: 'NDJSON',       ext: 'ndjson', mime: 'application/x-ndjson' },
+  { value: 'xlsx',   label: 'Excel (XLSX)', ext: 'xlsx',
+    mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+];
+
+export const TIMESTAMP_FORMATS = [
+  { value: 'iso',      label: 'ISO 8601'            },  // 2025-03-14T09:30:00+05:30
+  { value: 'datetime', label: 'YYYY-MM-DD HH:mm:ss' },
+  { value: 'unix',     label: 'Unix seconds'        },
+  { value: 'unix_ms',  label: 'Unix milliseconds'   },
+];
+
+export const EXPORT_TIMEZONES = [
+  { value: 'UTC',              label: 'UTC'            },
+  { value: 'local',            label: 'Browser local'  },
+  { value: 'Asia/Kolkata',     label: 'India (IST)'    },
+  { value: 'Asia/Singapore',   label: 'Singapore'      },
+  { value: 'Europe/London',    label: 'London'         },
+  { value: 'America/New_York', label: 'New York'       },
+];
+
+// ─── Timestamps ───────────────────────────────────────────────────────────────
+
+const partFormatters = new Map();
+
+function partsIn(ms, timeZone) {
+  const key = timeZone ?? 'local';
+  if (!partFormatters.has(key)) {
+    partFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  const p = {};
+  for (const { type, value } of partFormatters.get(key).formatToParts(new Date(ms))) p[type] = value;
+  return p;
+}
+
+/**
+ * Render a timestamp (ms) for export.
+ * timeFormat: TIMESTAMP_FORMATS value; timeZone: IANA name, 'UTC' or 'local'.
+ */
+export function formatExportTime(ms, timeFormat = 'iso', timeZone = 'UTC') {
+  if (ms == null || !Number.isFinite(ms)) return null;
+  if (timeFormat === 'unix')    return Math.floor(ms / 1000);
+  if (timeFormat === 'unix_ms') return ms;
+
+  const p = partsIn(ms, timeZone === 'local' ? undefined : timeZone);
+  const date = `${p.year}-${p.month}-${p.day}`;
+  const time = `${p.hour}:${p.minute}:${p.second}`;
+  if (timeFormat === 'datetime') return `${date} ${time}`;
+
+  // Offset of the zone at this instant, from the wall-clock parts
+  const wallMs = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  const offsetMin = Math.round((wallMs - Math.floor(ms / 1000) * 1000) / 60000);
+  if (offsetMin === 0) return `${date}T${time}Z`;
+  const abs = Math.abs(offsetMin);
+  const sign = offsetMin > 0 ? '+' : '-';
+  return `${date}T${time}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// ─── Datasets ─────────────────────────────────────────────────────────────────
+
+const cols = (keys) => keys.map((key) => ({ key }));
+
+function chainDataset(entries) {
+  const rows = entries.flatMap(([, d]) => d.records);
+  const withChanges = rows.some((r) => 'buildup' in r);
+  return {
+    columns: [
+      ...cols(CHAIN_EXPORT_FIELDS),
+      { key: 'expiry_ms', time: 'ms' },
+      ...(withChanges ? cols(CHANGE_EXPORT_FIELDS) : []),
+    ],
+    rows,
+  };
+}
+
+function candlesDataset(entries) {
+  const rows = [];
+  for (const [asset, d] of entries) {
+    for (const bar of candleRows(d.candlestickData ?? [])) rows.push({ asset, ...bar });
+    if (d.underlyingCandles?.chartData) {
+      for (const bar of candleRows([d.underlyingCandles])) rows.push({ asset, ...bar, option_type: 'underlying' });
+    }
+  }
+  return {
+    columns: [
+      ...cols(['asset', 'symbol', 'option_type', 'source']),
+      { key: 'time', time: 's' },
+      ...cols(['open', 'high', 'low', 'close', 'volume']),
+    ],
+    rows,
+  };
+}
+
+function positioningDataset(entries) {
+  const rows = entries.flatMap(([asset, d]) =>
+    positioningByExpiry(d.records).map((p) => ({
+      asset,
+      expiry_date: p.expiryDate,
+      expiry_ms:   p.expiryMs,
+      spot:        p.spot,
+      max_pain:    p.maxPain,
+      call_oi:     p.callOi,
+      put_oi:      p.putOi,
+      pcr_oi:      p.pcrOi,
+      call_volume: p.callVolume,
+      put_volume:  p.putVolume,
+      pcr_volume:  p.pcrVolume,
+    })));
+  return {
+    columns: [
+      ...cols(['asset', 'expiry_date']),
+      { key: 'expiry_ms', time: 'ms' },
+      ...cols(['spot', 'max_pain', 'call_oi', 'put_oi', 'pcr_oi', 'call_volume', 'put_volume', 'pcr_volume']),
+    ],
+    rows,
+  };
+}
+
+function oiByStrikeDataset(entries) {
+  const rows = entries.flatMap(([asset, d]) =>
+    positioningByExpiry(d.records).flatMap((p) =>
+      p.byStrike.map((s) => ({
+        asset, expiry_date: p.expiryDate, strike: s.strike, call_oi: s.callOi, put_oi: s.putOi,
+      }))));
+  return { columns: cols(['asset', 'expiry_date', 'strike', 'call_oi', 'put_oi']), rows };
+}
+
+function volSurfaceDataset(entries) {
+  const rows = entries.flatMap(([asset, d]) =>
+    buildIvSurface(d.records, 'mid_iv').smiles.flatMap((smile) =>
+      smile.points.map((pt) => ({
+        asset,
+        expiry_date:   smile.expiryDate,
+        expiry_ms:     smile.expiryMs,
+        strike:        pt.strike,
+        iv:            pt.iv,
+        log_moneyness: pt.logMoneyness,
+        call_delta:    pt.callDelta,
+      }))));
+  return {
+    columns: [
+      ...cols(['asset', 'expiry_date']),
+      { key: 'expiry_ms', time: 'ms' },
+      ...cols(['strike', 'iv', 'log_moneyness', 'call_delta']),
+    ],
+    rows,
+  };
+}
+
+const BUILDERS = {
+  chain:        chainDataset,
+  candles:      candlesDataset,
+  positioning:  positioningDataset,
+  oi_by_strike: oiByStrikeDataset,
+  vol_surface:  volSurfaceDataset,
+};
+
+/**
+ * Build every EXPORT_DATASETS dataset from useDeltaData() assetData
+ * (all fetched assets). Returns Map<id, dataset>.
+ */
+export function buildExportDatasets(assetData) {
+  const entries = [...assetData.entries()];
+  return new Map(EXPORT_DATASETS.map(({ value, label }) => [
+    value, { id: value, label, ...BUILDERS[value](entries) },
+  ]));
+}
+
+// ─── Serialization ────────────────────────────────────────────────────────────
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = String(v);
+  return s.includes(',') || s.includes('"') || s.includes('\n') ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Selected columns of a dataset with their values rendered:
+ * { keys, rows: Array<Array<value>> }. columnKeys null keeps every column.
+ */
+function project(dataset, columnKeys, { timeFormat, timeZone }) {
+  const columns = dataset.columns.filter((c) => !columnKeys || columnKeys.includes(c.key));
+  const rows = dataset.rows.map((row) => columns.map((c) => {
+    const v = row[c.key];
+    if (c.time && v != null) return formatExportTime(c.time === 's' ? v * 1000 : v, timeFormat, timeZone);
+    return v ?? null;
+  }));
+  return { keys: columns.map((c) => c.key), rows };
+}
+
+const toObjects = ({ keys, rows }) =>
+  rows.map((r) => Object.fromEntries(keys.map((k, i) => [k, r[i]])));
+
+/**
+ * Serialize datasets into downloadable files.
+ * options: { format, timeFormat, timeZone, columns: { [datasetId]: key[] }, prefix }
+ * CSV and NDJSON give one file per dataset; JSON one file keyed by dataset
+ * id; XLSX one workbook with a sheet per dataset.
+ * Returns [{ filename, content, mime }].
+ */
+export function serializeExport(datasets, options) {
+  const { format, columns = {}, prefix = 'delta_export' } = options;
+  const fmt = EXPORT_FORMATS.find((f) => f.value === format) ?? EXPORT_FORMATS[0];
+  const projected = datasets.map((d) => ({ dataset: d, ...project(d, columns[d.id] ?? null, options) }));
+
+  if (fmt.value === 'xlsx') {
+    const content = buildXlsx(projected.map((p) => ({ name: p.dataset.label, columns: p.keys, rows: p.rows })));
+    return [{ filename: `${prefix}.xlsx`, content, mime: fmt.mime }];
+  }
+  if (fmt.value === 'json') {
+    const body = Object.fromEntries(projected.map((p) => [p.dataset.id, toObjects(p)]));
+    return [{ filename: `${prefix}.json`, content: JSON.stringify(body, null, 2), mime: fmt.mime }];
+  }
+  return projected.map((p) => ({
+    filename: `${prefix}_${p.dataset.id}.${fmt.ext}`,
+    content: fmt.value === 'ndjson'
+      ? toObjects(p).map((o) => JSON.stringify(o)).join('\n')
+      : [p.keys.join(','), ...p.rows.map((r) => r.map(csvCell).join(','))].join('\n'),
+    mime: fmt.mime,
+  }));
+}
@@ -0,0 +1,264 @@
+/**
+ * Technical indicators computed from buildCandlestickSeries() output.
+ *
+ * Inputs are Highcharts point arrays: ohlcData [[ms, o, h, l, c]] and
+ * volData [[ms, v]]. Outputs are [[ms, value]] arrays aligned to the candle
+ * timestamps; bars before an indicator has enough history are omitted.
+ */
+
+// ─── Definitions ──────────────────────────────────────────────────────────────
+
+/**
+ * Selectable indicators. `pane: 'price'` overlays the candles, `pane: 'own'`
+ * adds a sub-pane below the volume. Params are { key, label, min, max, step,
+ * lessThan? } — lessThan names a sibling param this one must stay below.
+ */
+export const INDICATORS = [
+  { id: 'sma',  label: 'SMA',             pane: 'price', params: [{ key: 'period', label: 'Period', min: 2, max: 500, step: 1 }] },
+  { id: 'ema',  label: 'EMA',             pane: 'price', params: [{ key: 'period', label: 'Period', min: 2, max: 500, step: 1 }] },
+  { id: 'bb',   label: 'Bollinger Bands', pane: 'price', params: [
+    { key: 'period', label: 'Period', min: 2,   max: 500, step: 1   },
+    { key: 'mult',   label: 'Std dev', min: 0.5, max: 5,   step: 0.5 },
+  ] },
+  { id: 'vwap', label: 'VWAP',            pane: 'price', params: [] },
+  { id: 'rsi',  label: 'RSI',             pane: 'own',   params: [{ key: 'period', label: 'Period', min: 2, max: 100, step: 1 }] },
+  { id: 'macd', label: 'MACD',            pane: 'own',   params: [
+    { key: 'fast',   label: 'Fast',   min: 2, max: 100, step: 1, lessThan: 'slow' },
+    { key: 'slow',   label: 'Slow',   min: 3, max: 200, step: 1 },
+    { key: 'signal', label: 'Signal', min: 2, max: 100, step: 1 },
+  ] },
+];
+
+export const DEFAULT_INDICATOR_CONFIG = {
+  sma:  { enabled: false, period: 20 },
+  ema:  { enabled: false, period: 50 },
+  bb:   { enabled: false, period: 20, mult: 2 },
+  vwap: { enabled: false },
+  rsi:  { enabled: false, period: 14 },
+  macd: { enabled: false, fast: 12, slow: 26, signal: 9 },
+};
+
+/**
+ * Allowed { min, max } of a parameter given the indicator's other values:
+ * a `lessThan` param stays a step below its sibling, the sibling a step above.
+ */
+export function paramBounds(indicator, param, cfg) {
+  let { min, max } = param;
+  if (param.lessThan) max = Math.min(max, cfg[param.lessThan] - param.step);
+  const below = indicator.params.find((p) => p.lessThan === param.key);
+  if (below) min = Math.max(min, cfg[below.key] + param.step);
+  return { min, max };
+}
+
+/** Whether every `lessThan` constraint of an indicator's config holds. */
+export function paramsConsistent(indicator, cfg) {
+  return indicator.params.every((p) => !p.lessThan || cfg[p.key] < cfg[p.lessThan]);
+}
+
+// ─── Calculations ─────────────────────────────────────────────────────────────
+
+const closes = (ohlcData) => ohlcData.map((p) => p[4]);
+
+/** Simple moving average of a value array; null until `period` values exist. */
+function smaValues(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+/** Exponential moving average seeded with the SMA of the first `period` values. */
+function emaValues(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let prev = values.slice(0, period).reduce((s, v) => s + v, 0) / period;
+  out[period - 1] = prev;
+  for (let i = period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+/** Zip timestamps with values, dropping null warm-up entries. */
+function toPoints(ohlcData, values) {
+  const points = [];
+  values.forEach((v, i) => { if (v != null && Number.isFinite(v)) points.push([ohlcData[i][0], v]); });
+  return points;
+}
+
+/** Simple moving average of closes. */
+export function sma(ohlcData, period) {
+  return toPoints(ohlcData, smaValues(closes(ohlcData), period));
+}
+
+/** Exponential moving average of closes. */
+export function ema(ohlcData, period) {
+  return toPoints(ohlcData, emaValues(closes(ohlcData), period));
+}
+
+/**
+ * Bollinger Bands: SMA ± mult × population standard deviation.
+ * Returns { middle, upper, lower } point arrays.
+ */
+export function bollinger(ohlcData, period, mult) {
+  const c = closes(ohlcData);
+  const mid = smaValues(c, period);
+  const upper = [], lower = [], middle = [];
+  for (let i = period - 1; i < c.length; i++) {
+    const m = mid[i];
+    let sq = 0;
+    for (let j = i - period + 1; j <= i; j++) sq += (c[j] - m) ** 2;
+    const sd = Math.sqrt(sq / period);
+    const t  = ohlcData[i][0];
+    middle.push([t, m]);
+    upper.push([t, m + mult * sd]);
+    lower.push([t, m - mult * sd]);
+  }
+  return { middle, upper, lower };
+}
+
+/**
+ * Volume-weighted average price of the typical price (h + l + c) / 3,
+ * reset at each UTC day. Bars without volume carry the running value.
+ */
+export function vwap(ohlcData, volData) {
+  const points = [];
+  let day = null, pv = 0, vol = 0;
+  ohlcData.forEach(([t, , h, l, c], i) => {
+    const d = Math.floor(t / 86400000);
+    if (d !== day) { day = d; pv = 0; vol = 0; }
+    const v = volData[i]?.[1] ?? 0;
+    pv  += ((h + l + c) / 3) * v;
+    vol += v;
+    if (vol > 0) points.push([t, pv / vol]);
+  });
+  return points;
+}
+
+/**
+ * Relative Strength Index with Wilder smoothing (0–100).
+ */
+export function rsi(ohlcData, period) {
+  const c = closes(ohlcData);
+  const points = [];
+  if (c.length <= period) return points;
+
+  let gain = 0, loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const d = c[i] - c[i - 1];
+    if (d > 0) gain += d; else loss -= d;
+  }
+  gain /= period;
+  loss /= period;
+
+  const value = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  points.push([ohlcData[period][0], value()]);
+  for (let i = period + 1; i < c.length; i++) {
+    const d = c[i] - c[i - 1];
+    gain = (gain * (period - 1) + Math.max(0, d))  / period;
+    loss = (loss * (period - 1) + Math.max(0, -d)) / period;
+    points.push([ohlcData[i][0], value()]);
+  }
+  return points;
+}
+
+/**
+ * MACD: EMA(fast) − EMA(slow), its EMA(signal) and the histogram.
+ * Returns { macd, signal, histogram } point arrays.
+ */
+export function macd(ohlcData, fast, slow, signal) {
+  const c = closes(ohlcData);
+  const f = emaValues(c, fast);
+  const s = emaValues(c, slow);
+  const line = c.map((_, i) => (f[i] != null && s[i] != null ? f[i] - s[i] : null));
+
+  const start = line.findIndex((v) => v != null);
+  const sig = new Array(c.length).fill(null);
+  if (start >= 0) {
+    emaValues(line.slice(start), signal).forEach((v, i) => { sig[start + i] = v; });
+  }
+  const hist = line.map((v, i) => (v != null && sig[i] != null ? v - sig[i] : null));
+
+  return {
+    macd:      toPoints(ohlcData, line),
+    signal:    toPoints(ohlcData, sig),
+    histogram: toPoints(ohlcData, hist),
+  };
+}
+
+// ─── Chart series ─────────────────────────────────────────────────────────────
+
+const lineSeries = (name, data, color, extra = {}) => ({
+  type: 'line', name, data, color, lineWidth: 1,
+  marker: { enabled: false },
+  dataGrouping: { enabled: false },
+  enableMouseTracking: true,
+  ...extra,
+});
+
+/**
+ * Highcharts series for every enabled indicator.
+ * Returns { overlays: series[], panes: [{ id, label, series, plotLines }] } —
+ * overlays belong on the price axis, each pane gets its own y-axis.
+ */
+export function buildIndicatorSeries(parsed, config) {
+  const overlays = [];
+  const panes    = [];
+  if (!parsed) return { overlays, panes };
+  const { ohlcData, volData } = parsed;
+  const cfg = { ...DEFAULT_INDICATOR_CONFIG, ...config };
+
+  if (cfg.sma.enabled) {
+    overlays.push(lineSeries(`SMA ${cfg.sma.period}`, sma(ohlcData, cfg.sma.period), '#f0b90b'));
+  }
+  if (cfg.ema.enabled) {
+    overlays.push(lineSeries(`EMA ${cfg.ema.period}`, ema(ohlcData, cfg.ema.period), '#ab47bc'));
+  }
+  if (cfg.bb.enabled) {
+    const bb = bollinger(ohlcData, cfg.bb.period, cfg.bb.mult);
+    const name = `BB ${cfg.bb.period}, ${cfg.bb.mult}`;
+    overlays.push(lineSeries(`${name} upper`, bb.upper,  '#4c9be8', { dashStyle: 'ShortDash' }));
+    overlays.push(lineSeries(`${name} basis`, bb.middle, '#4c9be8', { opacity: 0.6 }));
+    overlays.push(lineSeries(`${name} lower`, bb.lower,  '#4c9be8', { dashStyle: 'ShortDash' }));
+  }
+  if (cfg.vwap.enabled) {
+    overlays.push(lineSeries('VWAP', vwap(ohlcData, volData), '#00c4b4', { dashStyle: 'Dash' }));
+  }
+
+  if (cfg.rsi.enabled) {
+    panes.push({
+      id: 'rsi',
+      label: `RSI ${cfg.rsi.period}`,
+      min: 0,
+      max: 100,
+      plotLines: [30, 70].map((v) => ({ value: v, color: '#5a5e6b', width: 1, dashStyle: 'Dot' })),
+      series: [lineSeries(`RSI ${cfg.rsi.period}`, rsi(ohlcData, cfg.rsi.period), '#f0b90b')],
+    });
+  }
+  if (cfg.macd.enabled) {
+    const { fast, slow, signal } = cfg.macd;
+    const m = macd(ohlcData, fast, slow, signal);
+    panes.push({
+      id: 'macd',
+      label: `MACD ${fast}, ${slow}, ${signal}`,
+      plotLines: [{ value: 0, color: '#5a5e6b', width: 1 }],
+      series: [
+        {
+          type: 'column', name: 'Histogram', data: m.histogram,
+          color: '#26a69a', negativeColor: '#ef5350', threshold: 0,
+          dataGrouping: { enabled: false },
+        },
+        lineSeries('MACD',   m.macd,   '#4c9be8'),
+        lineSeries('Signal', m.signal, '#ff9800'),
+      ],
+    });
+  }
+
+  return { overlays, panes };
+}
@@ -0,0 +1,116 @@
+/**
+ * Order ticket helpers: tick rounding, order payload validation for
+ * POST /v2/orders and readable messages for Delta's rejection codes.
+ */
+
+export const ORDER_TYPES = [
+  { value: 'limit_order',  label: 'Limit'  },
+  { value: 'market_order', label: 'Market' },
+];
+
+export const PRICE_PREFILLS = [
+  { value: 'bid',  label: 'Bid',  field: 'bid_price'  },
+  { value: 'ask',  label: 'Ask',  field: 'ask_price'  },
+  { value: 'mark', label: 'Mark', field: 'mark_price' },
+];
+
+/** Decimal places of a tick size, e.g. 0.5 → 1, 0.05 → 2, 5 → 0. */
+export function tickDecimals(tick) {
+  if (!(tick > 0)) return 8;
+  const s = String(tick);
+  if (s.includes('e-')) return Number(s.split('e-')[1]);
+  return s.includes('.') ? s.split('.')[1].length : 0;
+}
+
+/**
+ * Round a price to the nearest multiple of tick (at least one tick).
+ * Returns a number with the tick's precision, or null for missing input.
+ */
+export function roundToTick(price, tick) {
+  if (price == null || !Number.isFinite(price)) return null;
+  if (!(tick > 0)) return price;
+  const ticks = Math.max(1, Math.round(price / tick));
+  return Number((ticks * tick).toFixed(tickDecimals(tick)));
+}
+
+/** Whether price is a whole number of ticks (any price when tick is unknown). */
+export function isOnTick(price, tick) {
+  if (!(tick > 0)) return true;
+  const ticks = price / tick;
+  return Math.abs(ticks - Math.round(ticks)) < 1e-9;
+}
+
+/**
+ * Check a limit price against the tick size and format it for the API
+ * with the tick's precision. Throws an Error with a user-facing message.
+ */
+function limitPriceString(limitPrice, tick) {
+  if (!(limitPrice > 0)) throw new Error('Enter a limit price above zero');
+  if (!(tick > 0)) return String(limitPrice);
+  if (!isOnTick(limitPrice, tick)) throw new Error(`Limit price must be a multiple of the tick size ${tick}`);
+  return limitPrice.toFixed(tickDecimals(tick));
+}
+
+/**
+ * Validate a ticket and build the POST /v2/orders body.
+ * ticket: { side, orderType, size, limitPrice, postOnly, reduceOnly }
+ * Throws an Error with a user-facing message on invalid input.
+ */
+export function buildOrderPayload(record, { side, orderType, size, limitPrice, postOnly, reduceOnly }) {
+  if (side !== 'buy' && side !== 'sell') throw new Error('Choose buy or sell');
+  if (!Number.isInteger(size) || size <= 0) throw new Error('Size must be a whole number of contracts');
+
+  const body = {
+    product_id:     record.product_id,
+    product_symbol: record.symbol,
+    side,
+    size,
+    order_type:     orderType,
+    reduce_only:    Boolean(reduceOnly),
+  };
+  if (orderType === 'market_order') {
+    if (postOnly) throw new Error('Post-only applies to limit orders only');
+    return body;
+  }
+
+  return { ...body, limit_price: limitPriceString(limitPrice, record.tick_size), post_only: Boolean(postOnly) };
+}
+
+/**
+ * Validate a modify request and build the PUT /v2/orders body — the same
+ * price and size rules as a new order.
+ */
+export function buildEditPayload(order, { limitPrice, size }, tick) {
+  if (!Number.isInteger(size) || size <= 0) throw new Error('Size must be a whole number of contracts');
+  return { id: order.id, product_id: order.product_id, limit_price: limitPriceString(limitPrice, tick), size };
+}
+
+const ERROR_MESSAGES = {
+  insufficient_margin:                'Insufficient margin for this order.',
+  order_size_exceed_available:        'Order size exceeds the size available in the book.',
+  risk_limits_breached:               'Rejected — the order would breach your position risk limits.',
+  invalid_contract:                   'This contract is not tradable (expired or not listed).',
+  immediate_liquidation:              'Rejected — the order would cause immediate liquidation.',
+  out_of_bankruptcy:                  'Rejected — the price is beyond the bankruptcy price.',
+  self_matching_disrupted_post_only:  'Post-only order would match your own resting order.',
+  immediate_execution_post_only:      'Post-only order would execute immediately, so it was cancelled.',
+  reduce_only_violation:              'Reduce-only order would increase your position.',
+  open_order_not_found:               'The order is no longer open (already filled or cancelled).',
+  'Signature Mismatch':               'The signing proxy\'s credentials were rejected — check the API key and secret.',
+  expired_signature:                  'Request signature expired — check the server clock.',
+  invalid_api_key:                    'API key not recognised for this environment.',
+  ip_not_whitelisted_for_api_key:     'This server\'s IP is not whitelisted for the API key.',
+  'Trading disabled':                 'Orders are limited to testnet. Set DELTA_ALLOW_PROD_ORDERS=true on the server to trade in production.',
+  'Private API not configured':       'API keys for this environment are not configured on the server.',
+  'Proxy token required':             'The signing proxy needs its access token — enter it under My Account.',
+  'Proxy token not configured':       'The signing proxy is disabled until DELTA_PROXY_TOKEN is set on the server.',
+  'Cross-origin request refused':     'The signing proxy only accepts requests from the dashboard\'s own origin.',
+};
+
+/** User-facing message for a failed private request (see createDeltaPrivateClient). */
+export function describeOrderError(err) {
+  const known = err?.code ? ERROR_MESSAGES[err.code] : null;
+  if (known) return known;
+  if (err?.code) return `Rejected: ${String(err.code).replace(/_/g, ' ')}`;
+  return err?.message ?? 'Request failed';
+}
@@ -0,0 +1,180 @@
+/**
+ * Paper-trading portfolio: a journal of fills and settlements, positions
+ * derived from it with average-cost accounting, and mark-to-market P&L.
+ *
+ * A journal entry is
+ *   { id, at, kind: 'trade' | 'settlement', symbol, asset, option_type, strike,
+ *     expiry_ms, side: 'buy' | 'sell', qty, price, price_source,
+ *     contract_value, spot_index_symbol, settlement_spot? }
+ * qty is in contracts and price in USD per unit of the underlying, so a
+ * fill's cash value is price × qty × contract_value.
+ */
+
+// ─── Positions ────────────────────────────────────────────────────────────────
+
+export const PRICE_SOURCES = [
+  { value: 'bid',  label: 'Bid',  field: 'bid_price'  },
+  { value: 'ask',  label: 'Ask',  field: 'ask_price'  },
+  { value: 'mark', label: 'Mark', field: 'mark_price' },
+];
+
+const CONTRACT_FIELDS = ['symbol', 'asset', 'option_type', 'strike', 'expiry_ms', 'contract_value', 'spot_index_symbol'];
+
+/**
+ * Fold the journal into positions, oldest entry first.
+ * Returns [{ symbol, …contract fields, qty (signed), avg_price,
+ *            realized_pnl, net_premium, settled }] in first-trade order —
+ * closed positions stay listed with qty 0 so their realized P&L is kept.
+ */
+export function positionsFromJournal(journal) {
+  const bySymbol = new Map();
+  for (const e of journal) {
+    let p = bySymbol.get(e.symbol);
+    if (!p) {
+      p = {
+        ...Object.fromEntries(CONTRACT_FIELDS.map((k) => [k, e[k] ?? null])),
+        qty: 0, avg_price: 0, realized_pnl: 0, net_premium: 0, settled: false,
+      };
+      bySymbol.set(e.symbol, p);
+    }
+    const cv     = e.contract_value ?? p.contract_value ?? 1;
+    const signed = e.side === 'buy' ? e.qty : -e.qty;
+
+    // Premium paid / received on fills; settlement is a cash payout, not premium
+    if (e.kind === 'trade') p.net_premium -= signed * e.price * cv;
+    if (e.kind === 'settlement') p.settled = true;
+
+    if (p.qty === 0 || Math.sign(p.qty) === Math.sign(signed)) {
+      const total = Math.abs(p.qty) + e.qty;
+      p.avg_price = (Math.abs(p.qty) * p.avg_price + e.qty * e.price) / total;
+      p.qty += signed;
+    } else {
+      const closing = Math.min(Math.abs(p.qty), e.qty);
+      p.realized_pnl += closing * (e.price - p.avg_price) * Math.sign(p.qty) * cv;
+      p.qty += signed;
+      // Any remainder opens a position on the other side at the fill price
+      if (e.qty > closing) p.avg_price = e.price;
+      else if (p.qty === 0) p.avg_price = 0;
+    }
+  }
+  return [...bySymbol.values()];
+}
+
+/** Payout per unit of an option settled at `spot`. */
+export function intrinsicValue(optionType, strike, spot) {
+  return optionType === 'call' ? Math.max(spot - strike, 0) : Math.max(strike - spot, 0);
+}
+
+/**
+ * Mark open positions to the latest records.
+ * assetData: useDeltaData() assetData. A position whose contract is not in
+ * the fetched chain keeps mark null and no unrealized P&L.
+ * Returns { rows: [{ …position, mark_price, market_value, unrealized_pnl }],
+ *           totals: { realized, unrealized, netPremium, total } }
+ */
+export function revaluePortfolio(positions, assetData) {
+  const rows = positions.map((p) => {
+    const record = assetData.get(p.asset)?.records.find((r) => r.symbol === p.symbol);
+    const mark   = p.qty !== 0 ? record?.mark_price ?? null : null;
+    const cv     = p.contract_value ?? record?.contract_value ?? 1;
+    return {
+      ...p,
+      mark_price:     mark,
+      market_value:   mark != null ? mark * p.qty * cv : null,
+      unrealized_pnl: mark != null ? (mark - p.avg_price) * p.qty * cv : null,
+    };
+  });
+  const sum = (key) => rows.reduce((s, r) => s + (r[key] ?? 0), 0);
+  const realized   = sum('realized_pnl');
+  const unrealized = sum('unrealized_pnl');
+  return {
+    rows,
+    totals: { realized, unrealized, netPremium: sum('net_premium'), total: realized + unrealized },
+  };
+}
+
+/** Open positions whose expiry has passed. */
+export function expiredOpenPositions(positions, nowMs = Date.now()) {
+  return positions.filter((p) => p.qty !== 0 && p.expiry_ms != null && p.expiry_ms <= nowMs);
+}
+
+/**
+ * Journal entry closing `position` at its intrinsic value for the
+ * underlying `spot` at expiry.
+ */
+export function settlementEntry(position, spot, id, nowMs = Date.now()) {
+  return {
+    id,
+    at:              nowMs,
+    kind:            'settlement',
+    ...Object.fromEntries(CONTRACT_FIELDS.map((k) => [k, position[k]])),
+    side:            position.qty > 0 ? 'sell' : 'buy',
+    qty:             Math.abs(position.qty),
+    price:           intrinsicValue(position.option_type, position.strike, spot),
+    price_source:    'settlement',
+    settlement_spot: spot,
+  };
+}
+
+/**
+ * Journal entry for a fill on a normalized record.
+ * fill: { side, qty, priceSource, price? } — price defaults to the record's
+ * quote for priceSource. Throws when the quote is missing.
+ */
+export function fillEntry(record, { side, qty, priceSource, price }, id, nowMs = Date.now()) {
+  const field = PRICE_SOURCES.find((s) => s.value === priceSource)?.field;
+  const fillPrice = price ?? (field ? record[field] : null);
+  if (fillPrice == null || !Number.isFinite(fillPrice)) {
+    throw new Error(`No ${priceSource ?? 'price'} quote for ${record.symbol}`);
+  }
+  if (!Number.isInteger(qty) || qty <= 0) throw new Error('Size must be a whole number of contracts');
+  return {
+    id,
+    at:              nowMs,
+    kind:            'trade',
+    symbol:          record.symbol,
+    asset:           record.asset,
+    option_type:     record.option_type,
+    strike:          record.strike,
+    expiry_ms:       record.expiry_ms,
+    contract_value:  record.contract_value ?? null,
+    spot_index_symbol: record.spot_index_symbol ?? null,
+    side,
+    qty,
+    price:           fillPrice,
+    price_source:    priceSource,
+  };
+}
+
+// ─── JSON export / import ─────────────────────────────────────────────────────
+
+const FORMAT = 'delta-dashboard/paper-portfolio';
+
+/** Portfolio file contents for a journal. */
+export function serializePortfolio(journal, nowMs = Date.now()) {
+  return JSON.stringify({ format: FORMAT, version: 1, exported_at: new Date(nowMs).toISOString(), journal }, null, 2);
+}
+
+/**
+ * Parse a file written by serializePortfolio(). Returns the journal sorted
+ * by time; throws an Error describing the first problem found.
+ */
+export function parsePortfolio(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+  if (doc?.format !== FORMAT || !Array.isArray(doc.journal)) {
+    throw new Error('Not a paper portfolio export');
+  }
+  doc.journal.forEach((e, i) => {
+    const ok = e && typeof e.symbol === 'string'
+      && (e.kind === 'trade' || e.kind === 'settlement')
+      && (e.side === 'buy' || e.side === 'sell')
+      && e.qty > 0 && Number.isFinite(e.price) && Number.isFinite(e.at);
+    if (!ok) throw new Error(`Journal entry ${i + 1} is malformed`);
+  });
+  return [...doc.journal].sort((a, b) => a.at - b.at);
+}
@@ -0,0 +1,144 @@
+/**
+ * Per-expiry positioning analytics from normalized option chain records:
+ * max pain, put/call ratios, the open-interest distribution by strike and
+ * OI / price build-up against a baseline record set.
+ */
+
+import { groupByExpiry } from './dataUtils';
+import { diffRecords } from './snapshots';
+
+/**
+ * Build-up classes from the direction of OI and price change:
+ *   OI ↑ price ↑  long build-up      OI ↓ price ↑  short covering
+ *   OI ↑ price ↓  short build-up     OI ↓ price ↓  long unwinding
+ */
+export const BUILDUPS = [
+  { value: 'long_buildup',   label: 'Long build-up'   },
+  { value: 'short_buildup',  label: 'Short build-up'  },
+  { value: 'short_covering', label: 'Short covering'  },
+  { value: 'long_unwinding', label: 'Long unwinding'  },
+];
+
+/**
+ * Max-pain strike: the settlement price at which option holders' total
+ * intrinsic payout (OI-weighted) is smallest.
+ * Returns null when there is no open interest.
+ */
+export function maxPainStrike(rows) {
+  const strikes = [...new Set(rows.map((r) => r.strike))].sort((a, b) => a - b);
+  const withOi  = rows.filter((r) => (r.open_interest ?? 0) > 0);
+  if (strikes.length === 0 || withOi.length === 0) return null;
+
+  let best = null;
+  let bestPayout = Infinity;
+  for (const settle of strikes) {
+    let payout = 0;
+    for (const r of withOi) {
+      const intrinsic = r.option_type === 'call'
+        ? Math.max(0, settle - r.strike)
+        : Math.max(0, r.strike - settle);
+      payout += intrinsic * r.open_interest;
+    }
+    if (payout < bestPayout) {
+      bestPayout = payout;
+      best = settle;
+    }
+  }
+  return best;
+}
+
+/** put / call ratio, null when the call side is empty */
+function ratio(put, call) {
+  return call > 0 ? put / call : null;
+}
+
+/**
+ * Positioning summary for one expiry's rows.
+ * Returns { expiryMs, expiryDate, spot, maxPain, callOi, putOi, pcrOi,
+ *           callVolume, putVolume, pcrVolume, byStrike: [{ strike, callOi, putOi }] }
+ */
+export function positioningForRows(rows) {
+  let callOi = 0, putOi = 0, callVolume = 0, putVolume = 0;
+  const strikes = new Map();
+
+  for (const r of rows) {
+    const oi  = r.open_interest ?? 0;
+    const vol = r.volume ?? 0;
+    if (!strikes.has(r.strike)) strikes.set(r.strike, { strike: r.strike, callOi: 0, putOi: 0 });
+    const s = strikes.get(r.strike);
+    if (r.option_type === 'call') {
+      callOi += oi; callVolume += vol; s.callOi += oi;
+    } else {
+      putOi += oi; putVolume += vol; s.putOi += oi;
+    }
+  }
+
+  return {
+    expiryMs:   rows[0]?.expiry_ms ?? null,
+    expiryDate: rows[0]?.expiry_date ?? '',
+    spot:       rows.find((r) => r.spot_price)?.spot_price ?? null,
+    maxPain:    maxPainStrike(rows),
+    callOi,
+    putOi,
+    pcrOi:      ratio(putOi, callOi),
+    callVolume,
+    putVolume,
+    pcrVolume:  ratio(putVolume, callVolume),
+    byStrike:   [...strikes.values()].sort((a, b) => a.strike - b.strike),
+  };
+}
+
+/**
+ * Positioning summary for every expiry, sorted by expiry ascending.
+ */
+export function positioningByExpiry(records) {
+  return [...groupByExpiry(records).values()].map(positioningForRows);
+}
+
+// ─── Build-up ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build-up class for an OI change and a price change, or null when either
+ * is missing or flat.
+ */
+export function classifyBuildup(oiChange, priceChange) {
+  if (!oiChange || !priceChange) return null;
+  if (oiChange > 0) return priceChange > 0 ? 'long_buildup' : 'short_buildup';
+  return priceChange > 0 ? 'short_covering' : 'long_unwinding';
+}
+
+/**
+ * Copy of `records` with change fields against `baseline` (matched by symbol):
+ * oi_change, oi_change_pct, price_change, price_change_pct (mark price) and
+ * buildup. Contracts missing from the baseline get null changes.
+ */
+export function withOiChange(records, baseline) {
+  const diff = new Map(diffRecords(baseline, records).map((d) => [d.symbol, d]));
+  return records.map((r) => {
+    const d = diff.get(r.symbol);
+    const known = d?.status === 'changed';
+    return {
+      ...r,
+      oi_change:        known ? d.oi_change : null,
+      oi_change_pct:    known ? d.oi_change_pct : null,
+      price_change:     known ? d.price_change : null,
+      price_change_pct: known ? d.price_change_pct : null,
+      buildup:          known ? classifyBuildup(d.oi_change, d.price_change) : null,
+    };
+  });
+}
+
+/**
+ * OI change per strike from withOiChange() rows:
+ * [{ strike, callChange, putChange }] sorted by strike.
+ */
+export function oiChangeByStrike(rows) {
+  const strikes = new Map();
+  for (const r of rows) {
+    if (!strikes.has(r.strike)) strikes.set(r.strike, { strike: r.strike, callChange: 0, putChange: 0 });
+    const s = strikes.get(r.strike);
+    if (r.option_type === 'call') s.callChange += r.oi_change ?? 0;
+    else s.putChange += r.oi_change ?? 0;
+  }
+  return [...strikes.values()].sort((a, b) => a.strike - b.strike);
+}
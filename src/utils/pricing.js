@@ -0,0 +1,218 @@
+/**
+ * Black-Scholes pricing and implied-volatility engine for option chain records.
+ *
+ * Conventions (matching the Delta Exchange API):
+ *   - prices are quoted in USD per 1 unit of the underlying
+ *   - volatility is a decimal fraction (0.55 = 55%)
+ *   - theta is per calendar day, vega and rho are per 1 percentage point
+ *   - rate defaults to 0 (crypto carry is reflected in the forward / spot)
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const MS_PER_DAY    = 24 * 3600 * 1000;
+const MS_PER_YEAR   = 365 * MS_PER_DAY;
+const IV_MIN        = 1e-4;
+const IV_MAX        = 10;      // 1000% — anything above is treated as unsolvable
+const IV_TOLERANCE  = 1e-6;
+const IV_MAX_ITERS  = 100;
+
+/** Model-derived fields added to each record by enrichRecord() */
+export const MODEL_FIELDS = [
+  'mark_iv', 'mid_iv', 'theo_price',
+  'theo_delta', 'theo_gamma', 'theo_theta', 'theo_vega', 'theo_rho',
+];
+
+// ─── Normal distribution ──────────────────────────────────────────────────────
+
+/** Standard normal probability density. */
+export function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution.
+ * Abramowitz & Stegun 26.2.17 — absolute error < 7.5e-8.
+ */
+export function normCdf(x) {
+  const k = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+  const tail = normPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+// ─── Black-Scholes ────────────────────────────────────────────────────────────
+
+/**
+ * Time to expiry in years (never negative).
+ */
+export function yearsToExpiry(expiryMs, nowMs = Date.now()) {
+  return Math.max(0, (expiryMs - nowMs) / MS_PER_YEAR);
+}
+
+function d1d2(S, K, T, sigma, r) {
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * sqrtT);
+  return { d1, d2: d1 - sigma * sqrtT, sqrtT };
+}
+
+/**
+ * Black-Scholes price of a European option.
+ * optionType: 'call' | 'put'
+ */
+export function bsPrice(optionType, S, K, T, sigma, r = 0) {
+  if (!(S > 0) || !(K > 0)) return null;
+  if (T <= 0 || sigma <= 0) {
+    // At / past expiry: intrinsic value only
+    return optionType === 'call' ? Math.max(0, S - K) : Math.max(0, K - S);
+  }
+  const { d1, d2 } = d1d2(S, K, T, sigma, r);
+  const df = Math.exp(-r * T);
+  return optionType === 'call'
+    ? S * normCdf(d1) - K * df * normCdf(d2)
+    : K * df * normCdf(-d2) - S * normCdf(-d1);
+}
+
+/**
+ * Black-Scholes greeks.
+ * Returns { delta, gamma, theta, vega, rho } or null when inputs are unusable.
+ */
+export function bsGreeks(optionType, S, K, T, sigma, r = 0) {
+  if (!(S > 0) || !(K > 0) || !(T > 0) || !(sigma > 0)) return null;
+
+  const { d1, d2, sqrtT } = d1d2(S, K, T, sigma, r);
+  const df  = Math.exp(-r * T);
+  const pdf = normPdf(d1);
+  const isCall = optionType === 'call';
+
+  const delta = isCall ? normCdf(d1) : normCdf(d1) - 1;
+  const gamma = pdf / (S * sigma * sqrtT);
+  const vega  = S * pdf * sqrtT;
+  const thetaYear = isCall
+    ? -(S * pdf * sigma) / (2 * sqrtT) - r * K * df * normCdf(d2)
+    : -(S * pdf * sigma) / (2 * sqrtT) + r * K * df * normCdf(-d2);
+  const rho = isCall
+    ? K * T * df * normCdf(d2)
+    : -K * T * df * normCdf(-d2);
+
+  return {
+    delta,
+    gamma,
+    theta: thetaYear / 365,
+    vega:  vega / 100,
+    rho:   rho / 100,
+  };
+}
+
+/**
+ * Solve implied volatility from an option price.
+ * Newton-Raphson with a bisection fallback; returns null when the price is
+ * outside the no-arbitrage bounds or no solution is found.
+ */
+export function impliedVol(optionType, price, S, K, T, r = 0) {
+  if (!(price > 0) || !(S > 0) || !(K > 0) || !(T > 0)) return null;
+
+  const df = Math.exp(-r * T);
+  const intrinsic = optionType === 'call'
+    ? Math.max(0, S - K * df)
+    : Math.max(0, K * df - S);
+  const upper = optionType === 'call' ? S : K * df;
+  if (price <= intrinsic || price >= upper) return null;
+
+  // Newton from a Brenner-Subrahmanyam style starting guess
+  let sigma = Math.min(IV_MAX, Math.max(0.05, Math.sqrt(2 * Math.PI / T) * price / S));
+  for (let i = 0; i < IV_MAX_ITERS; i++) {
+    const diff = bsPrice(optionType, S, K, T, sigma, r) - price;
+    if (Math.abs(diff) < IV_TOLERANCE) return sigma;
+    const vega = S * normPdf(d1d2(S, K, T, sigma, r).d1) * Math.sqrt(T);
+    if (vega < 1e-8) break;
+    const next = sigma - diff / vega;
+    if (!(next > IV_MIN) || next > IV_MAX) break;
+    sigma = next;
+  }
+
+  // Bisection fallback — price is monotonic in sigma
+  let lo = IV_MIN;
+  let hi = IV_MAX;
+  for (let i = 0; i < IV_MAX_ITERS; i++) {
+    const mid  = (lo + hi) / 2;
+    const diff = bsPrice(optionType, S, K, T, mid, r) - price;
+    if (Math.abs(diff) < IV_TOLERANCE) return mid;
+    if (diff > 0) hi = mid;
+    else lo = mid;
+  }
+  const result = (lo + hi) / 2;
+  return result > IV_MIN * 2 && result < IV_MAX * 0.99 ? result : null;
+}
+
+// ─── Record enrichment ────────────────────────────────────────────────────────
+
+/**
+ * Add model and derived values to a normalized option record.
+ *
+ * - dte is days to expiry_ms (the product settlement time once joined)
+ * - notional_oi_usd is open interest × contract size × spot
+ * - mark_iv / mid_iv are solved from mark and bid/ask mid prices
+ * - bid_iv / ask_iv are solved from bid / ask prices when the API omits them
+ * - theo_* greeks are computed at mark_iv (falling back to mid / API IVs)
+ * - API greeks that are missing are filled from the model; the names of
+ *   filled fields are listed in `model_filled`
+ */
+export function enrichRecord(record, { nowMs = Date.now(), rate = 0 } = {}) {
+  const { option_type: type, spot_price: S, strike: K } = record;
+  const T = yearsToExpiry(record.expiry_ms, nowMs);
+
+  const solve = (price) => (price != null ? impliedVol(type, price, S, K, T, rate) : null);
+
+  const markIv = solve(record.mark_price);
+  const bidIv  = record.bid_iv ?? solve(record.bid_price);
+  const askIv  = record.ask_iv ?? solve(record.ask_price);
+  const midIv  = bidIv != null && askIv != null
+    ? (bidIv + askIv) / 2
+    : solve(record.bid_price != null && record.ask_price != null
+      ? (record.bid_price + record.ask_price) / 2
+      : null);
+
+  const sigma  = markIv ?? midIv ?? bidIv ?? askIv;
+  const greeks = sigma != null ? bsGreeks(type, S, K, T, sigma, rate) : null;
+  const theo   = sigma != null ? bsPrice(type, S, K, T, sigma, rate) : null;
+
+  const enriched = {
+    ...record,
+    dte: Math.max(0, (record.expiry_ms - nowMs) / MS_PER_DAY),
+    notional_oi_usd: record.open_interest != null && S != null
+      ? record.open_interest * (record.contract_value ?? 1) * S
+      : null,
+    bid_iv:     bidIv,
+    ask_iv:     askIv,
+    mark_iv:    markIv,
+    mid_iv:     midIv,
+    theo_price: theo,
+    theo_delta: greeks?.delta ?? null,
+    theo_gamma: greeks?.gamma ?? null,
+    theo_theta: greeks?.theta ?? null,
+    theo_vega:  greeks?.vega  ?? null,
+    theo_rho:   greeks?.rho   ?? null,
+  };
+
+  const filled = [];
+  if (record.bid_iv == null && bidIv != null) filled.push('bid_iv');
+  if (record.ask_iv == null && askIv != null) filled.push('ask_iv');
+  if (greeks) {
+    for (const g of ['delta', 'gamma', 'theta', 'vega', 'rho']) {
+      if (record[g] == null) {
+        enriched[g] = greeks[g];
+        filled.push(g);
+      }
+    }
+  }
+  enriched.model_filled = filled;
+  return enriched;
+}
+
+/**
+ * Enrich every record of a normalized chain with model values.
+ */
+export function enrichRecords(records, opts) {
+  return records.map((r) => enrichRecord(r, opts));
+}
@@ -0,0 +1,112 @@
+/**
+ * Portfolio risk: aggregate Black-Scholes greeks and a spot / vol / time
+ * scenario grid for a book of option positions.
+ *
+ * Positions come from positionsFromJournal() (signed qty in contracts,
+ * contract_value in coin). Each is repriced off its current chain record —
+ * spot, mark IV and expiry — so greeks and scenarios share one model.
+ */
+
+import { bsPrice, bsGreeks, yearsToExpiry } from './pricing';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+export const SPOT_SHOCKS = [-20, -15, -10, -5, 0, 5, 10, 15, 20];   // % of spot
+export const IV_SHOCKS   = [-10, -5, 0, 5, 10];                     // vol points
+export const TIME_STEPS  = [0, 1, 3, 7, 14];                        // days forward
+
+const MS_PER_DAY = 24 * 3600 * 1000;
+const MIN_IV     = 0.01;
+
+// ─── Positions ────────────────────────────────────────────────────────────────
+
+/**
+ * Join open positions with their current records.
+ * Returns { priced: [{ …position, units, spot, iv }], unpriced: position[] } —
+ * units is the signed size in coin; positions whose contract, spot or IV is
+ * missing from assetData are unpriced.
+ */
+export function resolveRiskPositions(positions, assetData) {
+  const priced = [];
+  const unpriced = [];
+  for (const p of positions) {
+    if (p.qty === 0) continue;
+    const record = assetData.get(p.asset)?.records.find((r) => r.symbol === p.symbol);
+    const iv     = record?.mark_iv ?? record?.mid_iv ?? null;
+    if (!record?.spot_price || iv == null) {
+      unpriced.push(p);
+      continue;
+    }
+    priced.push({
+      ...p,
+      units: p.qty * (p.contract_value ?? record.contract_value ?? 1),
+      spot:  record.spot_price,
+      iv,
+    });
+  }
+  return { priced, unpriced };
+}
+
+/**
+ * Net greeks per asset.
+ * Returns [{ asset, spot, delta, deltaUsd, gamma, gammaUsd, vega, vegaUsd,
+ *            theta, thetaUsd }] where coin figures are in the asset:
+ *   delta — exposure equivalent to holding `delta` coins
+ *   gamma — change in delta for a 1% spot move
+ *   vega  — value change for +1 vol point
+ *   theta — value change per calendar day
+ * and the *Usd figures are the same at the current spot.
+ */
+export function portfolioGreeks(priced, nowMs = Date.now()) {
+  const byAsset = new Map();
+  for (const p of priced) {
+    if (!byAsset.has(p.asset)) {
+      byAsset.set(p.asset, { asset: p.asset, spot: p.spot, delta: 0, gammaUsd: 0, vegaUsd: 0, thetaUsd: 0 });
+    }
+    const T = yearsToExpiry(p.expiry_ms, nowMs);
+    const g = bsGreeks(p.option_type, p.spot, p.strike, T, p.iv);
+    if (!g) continue;   // expired — no sensitivities left
+    const a = byAsset.get(p.asset);
+    a.delta    += p.units * g.delta;
+    a.gammaUsd += p.units * g.gamma * p.spot * 0.01 * p.spot;
+    a.vegaUsd  += p.units * g.vega;
+    a.thetaUsd += p.units * g.theta;
+  }
+  return [...byAsset.values()].map((a) => ({
+    ...a,
+    deltaUsd: a.delta * a.spot,
+    gamma:    a.gammaUsd / a.spot,
+    vega:     a.vegaUsd / a.spot,
+    theta:    a.thetaUsd / a.spot,
+  }));
+}
+
+// ─── Scenarios ────────────────────────────────────────────────────────────────
+
+function bookValue(priced, spotShock, ivShock, evalMs) {
+  let value = 0;
+  for (const p of priced) {
+    const S  = p.spot * (1 + spotShock / 100);
+    const iv = Math.max(MIN_IV, p.iv + ivShock / 100);
+    value += p.units * (bsPrice(p.option_type, S, p.strike, yearsToExpiry(p.expiry_ms, evalMs), iv) ?? 0);
+  }
+  return value;
+}
+
+/**
+ * P&L (USD) of the book under every spot shock × IV shock after `days`,
+ * relative to its model value now. Every asset's spot moves by the same
+ * percentage; positions expiring before the horizon are worth intrinsic.
+ * Returns { spotShocks, ivShocks, cells: number[ivShocks.length][spotShocks.length] }.
+ */
+export function scenarioGrid(priced, {
+  days = 0, spotShocks = SPOT_SHOCKS, ivShocks = IV_SHOCKS,
+} = {}, nowMs = Date.now()) {
+  const base   = bookValue(priced, 0, 0, nowMs);
+  const evalMs = nowMs + days * MS_PER_DAY;
+  return {
+    spotShocks,
+    ivShocks,
+    cells: ivShocks.map((iv) => spotShocks.map((s) => bookValue(priced, s, iv, evalMs) - base)),
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Comparison of two option chain snapshots (arrays of normalized records).
+ */
+
+/** Implied volatility used for comparisons — model mark IV, else bid/ask mid */
+function recordIv(r) {
+  return r?.mark_iv ?? r?.mid_iv ?? null;
+}
+
+function change(before, after) {
+  return before != null && after != null ? after - before : null;
+}
+
+/**
+ * Per-contract changes between two record sets, matched by symbol.
+ * Contracts present on one side only are flagged 'added' / 'removed'.
+ *
+ * Returns [{ symbol, option_type, strike, expiry_date, expiry_ms, status,
+ *            oi_before, oi_after, oi_change, oi_change_pct,
+ *            iv_before, iv_after, iv_change,
+ *            price_before, price_after, price_change, price_change_pct }]
+ * sorted by expiry then strike.
+ */
+export function diffRecords(before, after) {
+  const prev = new Map(before.map((r) => [r.symbol, r]));
+  const next = new Map(after.map((r) => [r.symbol, r]));
+  const symbols = new Set([...prev.keys(), ...next.keys()]);
+
+  const rows = [];
+  for (const symbol of symbols) {
+    const a = prev.get(symbol);
+    const b = next.get(symbol);
+    const ref = b ?? a;
+
+    const oiBefore    = a?.open_interest ?? null;
+    const oiAfter     = b?.open_interest ?? null;
+    const priceBefore = a?.mark_price ?? null;
+    const priceAfter  = b?.mark_price ?? null;
+    const oiChange    = change(oiBefore, oiAfter);
+    const priceChange = change(priceBefore, priceAfter);
+
+    rows.push({
+      symbol,
+      option_type:      ref.option_type,
+      strike:           ref.strike,
+      expiry_date:      ref.expiry_date,
+      expiry_ms:        ref.expiry_ms,
+      status:           !a ? 'added' : !b ? 'removed' : 'changed',
+      oi_before:        oiBefore,
+      oi_after:         oiAfter,
+      oi_change:        oiChange,
+      oi_change_pct:    oiChange != null && oiBefore > 0 ? (oiChange / oiBefore) * 100 : null,
+      iv_before:        recordIv(a),
+      iv_after:         recordIv(b),
+      iv_change:        change(recordIv(a), recordIv(b)),
+      price_before:     priceBefore,
+      price_after:      priceAfter,
+      price_change:     priceChange,
+      price_change_pct: priceChange != null && priceBefore > 0 ? (priceChange / priceBefore) * 100 : null,
+    });
+  }
+
+  return rows.sort((x, y) => x.expiry_ms - y.expiry_ms || x.strike - y.strike);
+}
+
+/**
+ * Aggregate totals of a diffRecords() result:
+ * { added, removed, callOiChange, putOiChange }
+ */
+export function diffTotals(rows) {
+  const totals = { added: 0, removed: 0, callOiChange: 0, putOiChange: 0 };
+  for (const r of rows) {
+    if (r.status === 'added') totals.added += 1;
+    if (r.status === 'removed') totals.removed += 1;
+    const oi = (r.oi_after ?? 0) - (r.oi_before ?? 0);
+    if (r.option_type === 'call') totals.callOiChange += oi;
+    else totals.putOiChange += oi;
+  }
+  return totals;
+}
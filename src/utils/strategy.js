@@ -0,0 +1,232 @@
+/**
+ * Multi-leg option strategy maths: package pricing, payoff curves and
+ * risk summary (max profit / loss, breakevens, net greeks).
+ *
+ * A leg is { symbol, side: 'buy' | 'sell', qty } joined with its normalized
+ * chain record. Quantities are in contracts; premiums are quoted per unit of
+ * the underlying, so every leg is scaled by the product's contract_value
+ * (1 when product metadata is unavailable).
+ */
+
+import { bsPrice, yearsToExpiry } from './pricing';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+export const PRICE_SOURCES = [
+  { value: 'bidask', label: 'Bid / Ask (cross spread)' },
+  { value: 'mark',   label: 'Mark'                     },
+];
+
+const GREEKS = ['delta', 'gamma', 'theta', 'vega'];
+const CURVE_POINTS = 241;
+
+/** Preset strategies built around the ATM strike of one expiry */
+export const STRATEGY_TEMPLATES = [
+  { value: 'long_straddle',  label: 'Long Straddle'   },
+  { value: 'long_strangle',  label: 'Long Strangle'   },
+  { value: 'bull_call',      label: 'Bull Call Spread' },
+  { value: 'bear_put',       label: 'Bear Put Spread'  },
+  { value: 'call_butterfly', label: 'Call Butterfly'   },
+  { value: 'iron_condor',    label: 'Iron Condor'      },
+];
+
+// ─── Leg helpers ──────────────────────────────────────────────────────────────
+
+const sideSign = (side) => (side === 'sell' ? -1 : 1);
+
+/** Signed size of a resolved leg in units of the underlying */
+const legUnits = (l) => sideSign(l.side) * l.qty * (l.record.contract_value ?? 1);
+
+/**
+ * Entry price for a leg. With 'bidask' buys pay the ask and sells hit the bid,
+ * falling back to mark when that side of the book is empty.
+ */
+export function legEntryPrice(record, side, priceSource = 'bidask') {
+  if (!record) return null;
+  if (priceSource === 'bidask') {
+    const px = side === 'sell' ? record.bid_price : record.ask_price;
+    if (px != null && px > 0) return px;
+  }
+  return record.mark_price;
+}
+
+/**
+ * Join legs with the current chain records and entry prices.
+ * Legs whose symbol is no longer in the chain are dropped.
+ */
+export function resolveLegs(legs, records, priceSource = 'bidask') {
+  const bySymbol = new Map(records.map((r) => [r.symbol, r]));
+  return legs
+    .filter((leg) => bySymbol.has(leg.symbol))
+    .map((leg) => {
+      const record = bySymbol.get(leg.symbol);
+      return {
+        ...leg,
+        record,
+        price: legEntryPrice(record, leg.side, priceSource),
+        iv:    record.mark_iv ?? record.mid_iv ?? null,
+      };
+    });
+}
+
+/**
+ * Net premium of the package: positive = debit paid, negative = credit received.
+ */
+export function netPremium(resolved) {
+  return resolved.reduce((sum, l) => sum + legUnits(l) * (l.price ?? 0), 0);
+}
+
+/**
+ * Value of the package at spot S at time evalMs, minus the premium paid.
+ * Legs that have expired by evalMs are worth intrinsic; the rest are
+ * revalued with Black-Scholes at their current implied volatility.
+ * At S = 0 every leg is worth intrinsic (calls nothing, puts the strike).
+ */
+function packagePnl(resolved, S, evalMs) {
+  let pnl = 0;
+  for (const l of resolved) {
+    const { option_type: type, strike, expiry_ms: expiryMs } = l.record;
+    const T = yearsToExpiry(expiryMs, evalMs);
+    const value = S > 0
+      ? bsPrice(type, S, strike, T, l.iv ?? 0) ?? 0
+      : type === 'put' ? strike : 0;
+    pnl += legUnits(l) * (value - (l.price ?? 0));
+  }
+  return pnl;
+}
+
+/**
+ * Spot grid for payoff curves: spot ± range, always including every strike.
+ */
+export function spotGrid(resolved, spot, range = 0.5) {
+  const strikes = resolved.map((l) => l.record.strike);
+  const ref = spot ?? (strikes.length ? strikes.reduce((a, b) => a + b) / strikes.length : 0);
+  const lo = Math.max(0, Math.min(ref * (1 - range), ...strikes.map((k) => k * 0.9)));
+  const hi = Math.max(ref * (1 + range), ...strikes.map((k) => k * 1.1));
+  const step = (hi - lo) / (CURVE_POINTS - 1);
+  const grid = Array.from({ length: CURVE_POINTS }, (_, i) => lo + i * step);
+  return [...new Set([...grid, ...strikes])].sort((a, b) => a - b);
+}
+
+/**
+ * Payoff curves over a spot grid.
+ * Returns { expiry: [[S, pnl]], today: [[S, pnl]], expiryMs } where the
+ * expiry curve is evaluated at the earliest leg expiry.
+ */
+export function payoffCurves(resolved, spot, nowMs = Date.now()) {
+  if (resolved.length === 0) return { expiry: [], today: [], expiryMs: null };
+  const expiryMs = Math.min(...resolved.map((l) => l.record.expiry_ms));
+  const grid = spotGrid(resolved, spot);
+  return {
+    expiry: grid.map((S) => [S, packagePnl(resolved, S, expiryMs)]),
+    today:  grid.map((S) => [S, packagePnl(resolved, S, nowMs)]),
+    expiryMs,
+  };
+}
+
+/**
+ * Risk summary of a resolved package.
+ * Returns { netPremium, maxProfit, maxLoss, breakevens, greeks }
+ * maxProfit / maxLoss are Infinity / -Infinity when unbounded.
+ */
+export function strategySummary(resolved, spot, nowMs = Date.now()) {
+  const curves = payoffCurves(resolved, spot, nowMs);
+  // The plotted grid starts well above zero; the payoff can keep sloping
+  // below it, so S = 0 bounds the left tail
+  const expiry = curves.expiry.length > 0 && curves.expiry[0][0] > 0
+    ? [[0, packagePnl(resolved, 0, curves.expiryMs)], ...curves.expiry]
+    : curves.expiry;
+
+  const greeks = Object.fromEntries(GREEKS.map((g) => [g, 0]));
+  for (const l of resolved) {
+    for (const g of GREEKS) greeks[g] += legUnits(l) * (l.record[g] ?? 0);
+  }
+
+  if (expiry.length < 2) {
+    return { netPremium: netPremium(resolved), maxProfit: null, maxLoss: null, breakevens: [], greeks };
+  }
+
+  const pnls = expiry.map(([, p]) => p);
+  let maxProfit = Math.max(...pnls);
+  let maxLoss   = Math.min(...pnls);
+
+  // Beyond the last strike the payoff is linear — a residual slope means unbounded
+  const [s1, p1] = expiry[expiry.length - 2];
+  const [s2, p2] = expiry[expiry.length - 1];
+  const slope = (p2 - p1) / (s2 - s1);
+  const EPS = 1e-9;
+  if (slope > EPS) maxProfit = Infinity;
+  if (slope < -EPS) maxLoss = -Infinity;
+
+  // Breakevens: sign changes between consecutive non-zero points. Adjacent
+  // points are interpolated; across a flat zero stretch the stretch start is used.
+  const breakevens = [];
+  let prev = -1;
+  for (let i = 0; i < expiry.length; i++) {
+    if (Math.abs(pnls[i]) < EPS) continue;
+    if (prev >= 0 && Math.sign(pnls[prev]) !== Math.sign(pnls[i])) {
+      const [sa, pa] = expiry[prev];
+      const [sb, pb] = expiry[i];
+      breakevens.push(i === prev + 1 ? sa + (0 - pa) * (sb - sa) / (pb - pa) : expiry[prev + 1][0]);
+    }
+    prev = i;
+  }
+
+  return { netPremium: netPremium(resolved), maxProfit, maxLoss, breakevens, greeks };
+}
+
+// ─── Templates ────────────────────────────────────────────────────────────────
+
+/**
+ * Build the legs of a preset strategy for one expiry.
+ * Strikes are chosen around the ATM strike; `width` is the number of listed
+ * strikes between wings. Returns [] if the chain is too thin.
+ */
+export function buildTemplateLegs(template, records, expiryMs, spot, width = 1, qty = 1) {
+  const rows = records.filter((r) => r.expiry_ms === expiryMs);
+  const strikes = [...new Set(rows.map((r) => r.strike))].sort((a, b) => a - b);
+  if (strikes.length === 0 || spot == null) return [];
+
+  const atmIdx = strikes.reduce(
+    (best, k, i) => (Math.abs(k - spot) < Math.abs(strikes[best] - spot) ? i : best), 0
+  );
+  const find = (type, idx) => {
+    const k = strikes[idx];
+    return k == null ? null : rows.find((r) => r.option_type === type && r.strike === k) ?? null;
+  };
+  const leg = (type, idx, side, mult = 1) => {
+    const r = find(type, idx);
+    return r ? { symbol: r.symbol, side, qty: qty * mult } : null;
+  };
+
+  const w = Math.max(1, width);
+  let legs;
+  switch (template) {
+    case 'long_straddle':
+      legs = [leg('call', atmIdx, 'buy'), leg('put', atmIdx, 'buy')];
+      break;
+    case 'long_strangle':
+      legs = [leg('call', atmIdx + w, 'buy'), leg('put', atmIdx - w, 'buy')];
+      break;
+    case 'bull_call':
+      legs = [leg('call', atmIdx, 'buy'), leg('call', atmIdx + w, 'sell')];
+      break;
+    case 'bear_put':
+      legs = [leg('put', atmIdx, 'buy'), leg('put', atmIdx - w, 'sell')];
+      break;
+    case 'call_butterfly':
+      legs = [leg('call', atmIdx - w, 'buy'), leg('call', atmIdx, 'sell', 2), leg('call', atmIdx + w, 'buy')];
+      break;
+    case 'iron_condor':
+      legs = [
+        leg('put',  atmIdx - 2 * w, 'buy'),
+        leg('put',  atmIdx - w,     'sell'),
+        leg('call', atmIdx + w,     'sell'),
+        leg('call', atmIdx + 2 * w, 'buy'),
+      ];
+      break;
+    default:
+      legs = [];
+  }
+  return legs.includes(null) ? [] : legs;
+}
@@ -0,0 +1,72 @@
+/**
+ * URL encoding of the dashboard view: the selected tab, asset, chain expiry
+ * and mobile symbol, plus — in share links only — the settings that decide
+ * what is fetched (assets, metric, resolution, lookback), so a shared link
+ * reopens the view and fetches the same data.
+ *
+ *   ?assets=BTC,ETH&metric=mark_iv&res=60&lookback=24
+ *    &tab=Option+Chain&asset=ETH&expiry=2025-03-28&sym=C-ETH-3000-280325
+ */
+
+import { METRICS, RESOLUTIONS, MAX_LOOKBACK_HOURS, parseOptionSymbol } from './dataUtils';
+
+const ASSET_RE  = /^[A-Z0-9]{2,10}$/;
+const EXPIRY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read a view from a location.search string. Invalid or unknown values are
+ * dropped. Returns { settings, tab, asset, expiry, symbol } — settings holds
+ * only the keys present in the URL; the others are null when absent.
+ */
+export function parseViewParams(search, tabs) {
+  const p = new URLSearchParams(search);
+  const settings = {};
+
+  const assets = (p.get('assets') ?? '').split(',').map((a) => a.trim().toUpperCase()).filter((a) => ASSET_RE.test(a));
+  if (assets.length) settings.assets = [...new Set(assets)];
+
+  const metric = p.get('metric');
+  if (METRICS.some((m) => m.value === metric)) settings.metric = metric;
+
+  const resolution = Number(p.get('res'));
+  if (RESOLUTIONS.some((r) => r.value === resolution)) settings.resolution = resolution;
+
+  // Whole hours only, capped like the control panel input
+  const lookback = p.get('lookback');
+  if (/^\d+$/.test(lookback ?? '') && Number(lookback) > 0) {
+    settings.lookbackHours = Math.min(Number(lookback), MAX_LOOKBACK_HOURS);
+  }
+
+  const tab    = p.get('tab');
+  const asset  = p.get('asset')?.toUpperCase();
+  const expiry = p.get('expiry');
+  const symbol = p.get('sym')?.toUpperCase();
+
+  return {
+    settings,
+    tab:    tabs.includes(tab) ? tab : null,
+    asset:  asset && ASSET_RE.test(asset) ? asset : null,
+    expiry: expiry && EXPIRY_RE.test(expiry) ? expiry : null,
+    symbol: symbol && parseOptionSymbol(symbol) ? symbol : null,
+  };
+}
+
+/**
+ * location.search string for a view. Null / 'all' selections are omitted;
+ * settings are only encoded when given (share links).
+ */
+export function buildViewSearch({ settings = null, tab, asset, expiry, symbol }) {
+  const p = new URLSearchParams();
+  if (settings) {
+    p.set('assets',   settings.assets.join(','));
+    p.set('metric',   settings.metric);
+    p.set('res',      String(settings.resolution));
+    p.set('lookback', String(settings.lookbackHours));
+  }
+  if (tab)                       p.set('tab', tab);
+  if (asset)                     p.set('asset', asset);
+  if (expiry && expiry !== 'all') p.set('expiry', expiry);
+  if (symbol)                    p.set('sym', symbol);
+  // Keep the asset list readable — URLSearchParams would escape the commas
+  return `?${p.toString().replace(/%2C/g, ',')}`;
+}
@@ -0,0 +1,223 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) writer — no dependencies.
+ *
+ * Produces a workbook with one worksheet per sheet, a bold frozen header row,
+ * inline strings and numeric cells. The package is a ZIP archive with stored
+ * (uncompressed) entries, which every spreadsheet application accepts.
+ */
+
+// ─── ZIP (stored entries) ─────────────────────────────────────────────────────
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** CRC-32 (IEEE) of a byte array. */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS time / date words for a Date. */
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive of [{ name, data: Uint8Array }] without compression.
+ */
+export function zipStore(files, now = new Date()) {
+  const enc = new TextEncoder();
+  const { time, date } = dosDateTime(now);
+  const locals  = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = enc.encode(file.name);
+    const crc  = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);   // local file header signature
+    local.setUint16(4, 20, true);           // version needed
+    local.setUint16(6, 0x0800, true);       // UTF-8 names
+    local.setUint16(8, 0, true);            // method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    locals.push(new Uint8Array(local.buffer), name, file.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);   // central directory signature
+    entry.setUint16(4, 20, true);           // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);      // local header offset
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + size;
+  }
+
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);       // end of central directory
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  let pos = 0;
+  for (const p of parts) { out.set(p, pos); pos += p.length; }
+  return out;
+}
+
+// ─── SpreadsheetML ────────────────────────────────────────────────────────────
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN  = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL   = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG   = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CT       = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Spreadsheet column letters for a 0-based index: 0 → A, 26 → AA. */
+function columnName(idx) {
+  let name = '';
+  for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref, style = 0) {
+  if (value == null || value === '') return '';
+  const s = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml({ columns, rows }) {
+  const lines = [];
+  lines.push(`<row r="1">${columns.map((c, i) => cellXml(c, `${columnName(i)}1`, 1)).join('')}</row>`);
+  rows.forEach((row, r) => {
+    const n = r + 2;
+    lines.push(`<row r="${n}">${row.map((v, i) => cellXml(v, `${columnName(i)}${n}`)).join('')}</row>`);
+  });
+  return XML_HEAD
+    + `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">`
+    + '<sheetViews><sheetView workbookViewId="0">'
+    + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+    + '</sheetView></sheetViews>'
+    + `<sheetData>${lines.join('')}</sheetData>`
+    + '</worksheet>';
+}
+
+/**
+ * Sheet names: at most 31 characters, none of []:*?/\ and unique
+ * (case-insensitive) within the workbook.
+ */
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((s, i) => {
+    const base = (String(s.name ?? '').replace(/[[\]:*?/\\]/g, ' ').trim() || `Sheet${i + 1}`).slice(0, 31);
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Build an .xlsx workbook.
+ * sheets: [{ name, columns: string[], rows: Array<Array<string|number|boolean|null>> }]
+ * Returns the file as a Uint8Array.
+ */
+export function buildXlsx(sheets) {
+  const enc   = new TextEncoder();
+  const names = sheetNames(sheets);
+
+  const contentTypes = XML_HEAD
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + `<Override PartName="/xl/workbook.xml" ContentType="${CT}.sheet.main+xml"/>`
+    + `<Override PartName="/xl/styles.xml" ContentType="${CT}.styles+xml"/>`
+    + sheets.map((_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="${CT}.worksheet+xml"/>`).join('')
+    + '</Types>';
+
+  const rootRels = XML_HEAD
+    + `<Relationships xmlns="${NS_PKG}">`
+    + `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>`
+    + '</Relationships>';
+
+  const workbook = XML_HEAD
+    + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>`
+    + names.map((n, i) => `<sheet name="${escapeXml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+    + '</sheets></workbook>';
+
+  const workbookRels = XML_HEAD
+    + `<Relationships xmlns="${NS_PKG}">`
+    + sheets.map((_, i) =>
+      `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+    + `<Relationship Id="rId${sheets.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>`
+    + '</Relationships>';
+
+  // Style 0: default; style 1: bold header
+  const styles = XML_HEAD
+    + `<styleSheet xmlns="${NS_MAIN}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'
+    + '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill>'
+    + '<fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>';
+
+  return zipStore([
+    { name: '[Content_Types].xml',        data: enc.encode(contentTypes) },
+    { name: '_rels/.rels',                data: enc.encode(rootRels) },
+    { name: 'xl/workbook.xml',            data: enc.encode(workbook) },
+    { name: 'xl/_rels/workbook.xml.rels', data: enc.encode(workbookRels) },
+    { name: 'xl/styles.xml',              data: enc.encode(styles) },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: enc.encode(sheetXml(s)) })),
+  ]);
+}
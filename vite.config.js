@@ -1,7 +1,31 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { PROXY_MOUNT, deltaProxyMiddleware } from './api/_deltaProxy.js'
+import { PRIVATE_PROXY_MOUNT, deltaPrivateMiddleware } from './api/_deltaPrivate.js'
+
+/**
+ * Serve the Delta proxies from the dev server with the same handlers the
+ * Vercel functions use, so the client talks to /api/delta/* and
+ * /api/delta-private/* everywhere.
+ */
+function deltaProxy() {
+  const mount = (server) => {
+    server.middlewares.use(PROXY_MOUNT, deltaProxyMiddleware)
+    server.middlewares.use(PRIVATE_PROXY_MOUNT, deltaPrivateMiddleware)
+  }
+  return {
+    name: 'delta-proxy',
+    configureServer: mount,
+    configurePreviewServer: mount,
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // Signing-proxy credentials (DELTA_*) from .env files — server side only,
+  // never exposed to the client bundle (that needs the VITE_ prefix)
+  Object.assign(process.env, loadEnv(mode, process.cwd(), 'DELTA_'))
+  return {
+    plugins: [react(), deltaProxy()],
+  }
 })